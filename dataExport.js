@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Export module
+ * Downloads the currently filtered events as GeoJSON, CSV or native events JSON
+ */
+
+import { eventBus } from './js/store.js';
+import { qs, el, on, downloadFile } from './js/utils/dom.js';
+import { exportEvents, EXPORT_FORMATS } from './js/eventExport.js';
+import { getActiveFilters, getFilteredEvents } from './filters.js';
+
+/**
+ * Export DOM elements
+ */
+let exportElements = {
+  formatSelect: null,
+  button: null
+};
+
+/**
+ * Initialize export module
+ * @returns {boolean} Success status
+ */
+export function initDataExport() {
+  try {
+    console.log('📤 Initializing export module...');
+    
+    exportElements.formatSelect = qs('#exportFormatSelect');
+    exportElements.button = qs('#exportBtn');
+    
+    if (!exportElements.formatSelect || !exportElements.button) {
+      console.warn('Export controls not found');
+      return false;
+    }
+    
+    // Format options come from the exporter registry
+    exportElements.formatSelect.innerHTML = '';
+    Object.values(EXPORT_FORMATS).forEach(format => {
+      exportElements.formatSelect.appendChild(el('option', { value: format.id, textContent: format.label }));
+    });
+    
+    on(exportElements.button, 'click', () => {
+      exportFilteredEvents(exportElements.formatSelect.value);
+    });
+    
+    console.log('✅ Export module initialized');
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Export initialization failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Download the filtered events in a format
+ * @param {string} formatId - Export format id
+ * @returns {Promise<void>}
+ */
+async function exportFilteredEvents(formatId) {
+  const events = getFilteredEvents();
+  
+  if (events.length === 0) {
+    eventBus.emit('showNotification', {
+      type: 'warning',
+      title: 'Nothing to Export',
+      message: 'No events match the current filters.',
+      duration: 4000
+    });
+    return;
+  }
+  
+  exportElements.button.disabled = true;
+  
+  try {
+    const files = await exportEvents(events, formatId, getActiveFilters());
+    files.forEach(file => downloadFile(file.content, file.fileName, file.mimeType));
+    
+    eventBus.emit('showNotification', {
+      type: 'success',
+      title: 'Export Ready',
+      message: `${events.length} events saved to ${files.map(file => file.fileName).join(', ')}`,
+      duration: 4000
+    });
+    
+  } catch (error) {
+    console.error('❌ Export failed:', error);
+    eventBus.emit('showNotification', {
+      type: 'error',
+      title: 'Export Failed',
+      message: error.message,
+      duration: 6000
+    });
+    
+  } finally {
+    exportElements.button.disabled = false;
+  }
+}
+
+// Export public interface
+export {
+  exportFilteredEvents
+};
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Local file import module
+ * Drag-and-drop or pick event files, show their validation summary and toggle imported datasets
+ */
+
+import { eventBus } from './js/store.js';
+import { qs, el, on } from './js/utils/dom.js';
+import { importEventFile, listDatasets, setDatasetVisible, removeDataset, DATASET_CONFIG } from './js/datasets.js';
+
+/**
+ * Import DOM elements
+ */
+let importElements = {
+  fileButton: null,
+  fileInput: null,
+  modeSelect: null,
+  panel: null,
+  sourceList: null,
+  summary: null,
+  dropzone: null
+};
+
+/**
+ * Import UI state
+ */
+let importState = {
+  dragDepth: 0,
+  isImporting: false
+};
+
+/**
+ * Import UI configuration
+ */
+const IMPORT_CONFIG = {
+  maxListedMessages: 8
+};
+
+/**
+ * Initialize import module
+ * @returns {boolean} Success status
+ */
+export function initDataImport() {
+  try {
+    console.log('📂 Initializing import module...');
+    
+    importElements.fileButton = qs('#importFileBtn');
+    importElements.fileInput = qs('#importFileInput');
+    importElements.modeSelect = qs('#importModeSelect');
+    importElements.panel = qs('#importPanel');
+    importElements.sourceList = qs('#importSources');
+    importElements.summary = qs('#importSummary');
+    
+    if (!importElements.fileInput || !importElements.panel) {
+      console.warn('Import controls not found');
+      return false;
+    }
+    
+    importElements.fileInput.accept = DATASET_CONFIG.ACCEPT.join(',');
+    
+    // Page-wide drop target
+    importElements.dropzone = el('div', {
+      className: 'import-dropzone',
+      'aria-hidden': 'true',
+      hidden: true
+    }, el('div', { className: 'import-dropzone__message' }, 'Drop JSON, GeoJSON, CSV or KML files to import'));
+    document.body.appendChild(importElements.dropzone);
+    
+    setupImportEvents();
+    renderSources(listDatasets());
+    
+    console.log('✅ Import module initialized');
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Import initialization failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Setup import event listeners
+ */
+function setupImportEvents() {
+  on(importElements.fileButton, 'click', () => {
+    importElements.fileInput.click();
+  });
+  
+  on(importElements.fileInput, 'change', () => {
+    importFiles(Array.from(importElements.fileInput.files));
+    importElements.fileInput.value = '';
+  });
+  
+  // Drag and drop anywhere on the page
+  on(document, 'dragenter', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    importState.dragDepth++;
+    importElements.dropzone.hidden = false;
+  });
+  
+  on(document, 'dragover', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  
+  on(document, 'dragleave', (event) => {
+    if (!hasFiles(event)) return;
+    importState.dragDepth = Math.max(0, importState.dragDepth - 1);
+    if (importState.dragDepth === 0) {
+      importElements.dropzone.hidden = true;
+    }
+  });
+  
+  on(document, 'drop', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    importState.dragDepth = 0;
+    importElements.dropzone.hidden = true;
+    importFiles(Array.from(event.dataTransfer.files));
+  });
+  
+  // Source toggles and removal
+  on(importElements.sourceList, 'change', (event) => {
+    const checkbox = event.target.closest('.import-source__toggle');
+    if (checkbox) {
+      setDatasetVisible(checkbox.dataset.datasetId, checkbox.checked);
+    }
+  });
+  
+  on(importElements.sourceList, 'click', (event) => {
+    const button = event.target.closest('.import-source__remove');
+    if (button) {
+      removeDataset(button.dataset.datasetId);
+    }
+  });
+  
+  on(importElements.summary, 'click', (event) => {
+    if (event.target.closest('.import-summary__close')) {
+      importElements.summary.hidden = true;
+      updatePanelVisibility();
+    }
+  });
+  
+  eventBus.on('datasetsChanged', renderSources);
+}
+
+/**
+ * Whether a drag event carries files
+ * @param {DragEvent} event - Drag event
+ * @returns {boolean}
+ */
+function hasFiles(event) {
+  return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+/**
+ * Import files one after another
+ * @param {File[]} files - Files to import
+ */
+async function importFiles(files) {
+  if (files.length === 0 || importState.isImporting) return;
+  
+  importState.isImporting = true;
+  importElements.fileButton.disabled = true;
+  
+  // Replace applies to the first file only; the rest are merged into it
+  let mode = importElements.modeSelect?.value || 'merge';
+  
+  for (const file of files) {
+    try {
+      const dataset = await importEventFile(file, { mode });
+      renderSummary(file.name, dataset.summary, dataset.format);
+      
+      eventBus.emit('showNotification', {
+        type: dataset.summary.errors.length > 0 ? 'warning' : 'success',
+        title: 'Import Complete',
+        message: `${dataset.count} events imported from ${file.name}`,
+        duration: 4000
+      });
+      
+    } catch (error) {
+      console.error(`❌ Import of ${file.name} failed:`, error);
+      renderSummary(file.name, null, null, error);
+      
+      eventBus.emit('showNotification', {
+        type: 'error',
+        title: 'Import Failed',
+        message: `${file.name}: ${error.message}`,
+        duration: 6000
+      });
+    }
+    
+    mode = 'merge';
+  }
+  
+  importState.isImporting = false;
+  importElements.fileButton.disabled = false;
+}
+
+/**
+ * Render the validation summary of the last import
+ * @param {string} fileName - Imported file name
+ * @param {import('./js/datasets.js').ImportSummary|null} summary - Import summary
+ * @param {string|null} format - Detected format
+ * @param {Error} [error] - Import error
+ */
+function renderSummary(fileName, summary, format, error = null) {
+  const container = importElements.summary;
+  container.innerHTML = '';
+  
+  const heading = error ?
+    `${fileName}: import failed` :
+    `${fileName} (${format}): ${summary.importedEvents} of ${summary.totalEvents} events imported`;
+  
+  container.appendChild(el('div', { className: 'import-summary__header' }, [
+    el('strong', { className: 'import-summary__title' }, heading),
+    el('button', { className: 'import-summary__close', type: 'button', 'aria-label': 'Dismiss import summary' }, '×')
+  ]));
+  
+  const notes = [];
+  if (error) notes.push(error.message);
+  if (summary?.skipped > 0) notes.push(`${summary.skipped} records without a position were skipped`);
+  if (summary?.duplicates > 0) notes.push(`${summary.duplicates} events were already loaded and kept as they were`);
+  if (summary && summary.validEvents < summary.totalEvents) {
+    notes.push(`${summary.totalEvents - summary.validEvents} invalid events were left out`);
+  }
+  notes.forEach(note => container.appendChild(el('p', { className: 'import-summary__note' }, note)));
+  
+  // Structure errors of native files come with their validation result
+  const errors = summary?.errors || error?.validation?.errors || [];
+  const warnings = summary?.warnings || error?.validation?.warnings || [];
+  appendMessageList(container, 'Errors', errors, 'error');
+  appendMessageList(container, 'Warnings', warnings, 'warning');
+  
+  container.dataset.status = error ? 'error' : errors.length > 0 ? 'warning' : 'success';
+  container.hidden = false;
+  updatePanelVisibility();
+}
+
+/**
+ * Append a collapsible list of validation messages
+ * @param {HTMLElement} container - Summary container
+ * @param {string} title - List title
+ * @param {string[]} messages - Messages
+ * @param {'error'|'warning'} kind - Message kind
+ */
+function appendMessageList(container, title, messages, kind) {
+  if (messages.length === 0) return;
+  
+  const items = messages
+    .slice(0, IMPORT_CONFIG.maxListedMessages)
+    .map(message => el('li', {}, message));
+    
+  if (messages.length > IMPORT_CONFIG.maxListedMessages) {
+    items.push(el('li', { className: 'import-summary__more' },
+      `…and ${messages.length - IMPORT_CONFIG.maxListedMessages} more (see console)`));
+  }
+  
+  container.appendChild(el('details', { className: `import-summary__list import-summary__list--${kind}` }, [
+    el('summary', {}, `${title} (${messages.length})`),
+    el('ul', {}, items)
+  ]));
+}
+
+/**
+ * Render the list of imported datasets
+ * @param {import('./js/datasets.js').ImportedDataset[]} datasets - Imported datasets
+ */
+function renderSources(datasets) {
+  const list = importElements.sourceList;
+  list.innerHTML = '';
+  
+  datasets.forEach(dataset => {
+    const checkbox = el('input', {
+      type: 'checkbox',
+      className: 'import-source__toggle',
+      checked: dataset.visible,
+      'data-dataset-id': dataset.id,
+      'aria-label': `Show ${dataset.label}`
+    });
+    
+    list.appendChild(el('li', { className: 'import-source' }, [
+      el('label', { className: 'import-source__label' }, [
+        checkbox,
+        el('span', { className: 'import-source__name', title: dataset.label }, dataset.label),
+        el('span', { className: 'import-source__meta' }, `${dataset.format} · ${dataset.count} events`)
+      ]),
+      el('button', {
+        type: 'button',
+        className: 'import-source__remove',
+        'data-dataset-id': dataset.id,
+        'aria-label': `Remove ${dataset.label}`,
+        title: 'Remove dataset'
+      }, '✕')
+    ]));
+  });
+  
+  list.hidden = datasets.length === 0;
+  updatePanelVisibility();
+}
+
+/**
+ * Show the import panel while it has content
+ */
+function updatePanelVisibility() {
+  importElements.panel.hidden = importElements.sourceList.hidden && importElements.summary.hidden;
+}
+
+/**
+ * Cleanup import module
+ */
+function cleanup() {
+  importElements.dropzone?.remove();
+  console.log('🧹 Import module cleaned up');
+}
+
+// Module event handling
+eventBus.on('cleanup', cleanup);
+
+// Export public interface
+export {
+  importFiles,
+  IMPORT_CONFIG
+};
\ No newline at end of file
@@ -6,6 +6,9 @@
 import { store, actions, eventBus } from './js/store.js';
 import { formatDate } from './js/utils/format.js';
 import { qs, el, on, debounce } from './js/utils/dom.js';
+import { createEventFilter } from './js/eventFilter.js';
+import { describeShape } from './js/utils/geo.js';
+import { CONTINENTS, getEventCountries } from './js/regions.js';
 
 /**
  * Filter state
@@ -17,6 +20,8 @@ let filterState = {
   dateRange: { start: null, end: null },
   regions: [],
   searchQuery: '',
+  spatial: null,
+  hiddenDatasets: [],
   isActive: false
 };
 
@@ -54,15 +59,7 @@ const FILTER_OPTIONS = {
     { id: 4, label: 'Severe', color: '#FF6347' },
     { id: 5, label: 'Extreme', color: '#DC143C' }
   ],
-  regions: [
-    { id: 'north_america', label: 'North America' },
-    { id: 'south_america', label: 'South America' },
-    { id: 'europe', label: 'Europe' },
-    { id: 'asia', label: 'Asia' },
-    { id: 'africa', label: 'Africa' },
-    { id: 'oceania', label: 'Oceania' },
-    { id: 'antarctica', label: 'Antarctica' }
-  ]
+  regions: CONTINENTS
 };
 
 /**
@@ -241,9 +238,10 @@ function generateEventTypeCheckboxes() {
 }
 
 /**
- * Generate region options
+ * Generate region options: continents, then the countries that have events
+ * @param {import('./js/types.js').EventRecord[]} [events] - Loaded events
  */
-function generateRegionOptions() {
+function generateRegionOptions(events = []) {
   const select = filterElements.regionSelector;
   if (!select) return;
   
@@ -254,13 +252,30 @@ function generateRegionOptions() {
     select.appendChild(allOption);
   }
   
+  const continentGroup = el('optgroup', { label: 'Continents' });
   FILTER_OPTIONS.regions.forEach(region => {
     const option = el('option', {
       value: region.id,
-      textContent: region.label
+      textContent: region.label,
+      selected: filterState.regions.includes(region.id)
     });
-    select.appendChild(option);
+    continentGroup.appendChild(option);
   });
+  select.appendChild(continentGroup);
+  
+  const countries = getEventCountries(events);
+  if (countries.length > 0) {
+    const countryGroup = el('optgroup', { label: 'Countries' });
+    countries.forEach(country => {
+      const option = el('option', {
+        value: country.id,
+        textContent: `${country.label} (${country.count})`,
+        selected: filterState.regions.includes(country.id)
+      });
+      countryGroup.appendChild(option);
+    });
+    select.appendChild(countryGroup);
+  }
 }
 
 /**
@@ -332,8 +347,11 @@ function setupFilterEvents() {
 function initializeFilterOptions(events) {
   if (!events || events.length === 0) return;
   
+  // Country tier of the region selector depends on which events are loaded
+  generateRegionOptions(events);
+  
   // Get date range from events
-  const dates = events.map(event => new Date(event.date));
+  const dates = events.map(event => new Date(event.timestamp));
   const minDate = new Date(Math.min(...dates));
   const maxDate = new Date(Math.max(...dates));
   
@@ -408,9 +426,10 @@ function updateDateRangeFilter() {
   const startDate = filterElements.dateInputs.start.value;
   const endDate = filterElements.dateInputs.end.value;
   
+  // Dates are UTC days, and the end day is included in full
   filterState.dateRange = {
     start: startDate ? new Date(startDate) : null,
-    end: endDate ? new Date(endDate) : null
+    end: endDate ? new Date(`${endDate}T23:59:59.999Z`) : null
   };
   
   updateFilterState();
@@ -419,6 +438,27 @@ function updateDateRangeFilter() {
   console.log(`🔍 Date range filter: ${startDate} to ${endDate}`);
 }
 
+/**
+ * Set the date range filter from elsewhere (the timeline brush)
+ * @param {{start: (Date|string|null), end: (Date|string|null)}|null} range - Range with an inclusive end, or null to clear
+ */
+function setDateRange(range) {
+  const start = range?.start ? new Date(range.start) : null;
+  const end = range?.end ? new Date(range.end) : null;
+  filterState.dateRange = { start, end };
+  
+  // Keep the date inputs showing the range
+  if (filterElements.dateInputs) {
+    filterElements.dateInputs.start.value = start ? start.toISOString().split('T')[0] : '';
+    filterElements.dateInputs.end.value = end ? end.toISOString().split('T')[0] : '';
+  }
+  
+  updateFilterState();
+  applyCurrentFilters();
+  
+  console.log(`🔍 Date range filter: ${start ? start.toISOString() : '…'} to ${end ? end.toISOString() : '…'}`);
+}
+
 /**
  * Apply date preset
  * @param {string} preset - Preset identifier
@@ -474,6 +514,9 @@ function clearAllFilters() {
     dateRange: { start: null, end: null },
     regions: [],
     searchQuery: '',
+    spatial: null,
+    // Dataset visibility belongs to the import panel, not the filter panel
+    hiddenDatasets: filterState.hiddenDatasets,
     isActive: false
   };
   
@@ -501,6 +544,19 @@ function clearAllFilters() {
   console.log('🔍 All filters cleared');
 }
 
+/**
+ * Set the map-drawn area filter
+ * @param {import('./js/utils/geo.js').SpatialShape|null} shape - Drawn shape, or null to clear
+ */
+function setSpatialFilter(shape) {
+  filterState.spatial = shape || null;
+  
+  updateFilterState();
+  applyCurrentFilters();
+  
+  console.log(`🔍 Area filter: ${describeShape(filterState.spatial)}`);
+}
+
 /**
  * Update filter state
  */
@@ -512,7 +568,9 @@ function updateFilterState() {
     filterState.dateRange.start ||
     filterState.dateRange.end ||
     filterState.regions.length > 0 ||
-    filterState.searchQuery.length > 0
+    filterState.searchQuery.length > 0 ||
+    Boolean(filterState.spatial) ||
+    filterState.hiddenDatasets.length > 0
   );
   
   // Update active count display
@@ -530,6 +588,7 @@ function updateActiveFilterCount() {
   if (filterState.dateRange.start || filterState.dateRange.end) activeCount++;
   if (filterState.regions.length > 0) activeCount++;
   if (filterState.searchQuery.length > 0) activeCount++;
+  if (filterState.spatial) activeCount++;
   
   if (filterElements.activeCount) {
     filterElements.activeCount.textContent = activeCount === 0 ? 
@@ -555,64 +614,12 @@ function applyCurrentFilters() {
 }
 
 /**
- * Apply filters to events
- * @param {import('./js/types.js').FilterState} filters - Filter state
- * @returns {function} Filter function
+ * Get the filters in effect
+ * Store filters also carry settings made outside this panel (dataset visibility).
+ * @returns {import('./js/types.js').FilterState} Filter state
  */
-function createEventFilter(filters) {
-  return (event) => {
-    // Search query filter
-    if (filters.searchQuery) {
-      const query = filters.searchQuery.toLowerCase();
-      const searchableText = [
-        event.title,
-        event.description || '',
-        event.location || ''
-      ].join(' ').toLowerCase();
-      
-      if (!searchableText.includes(query)) {
-        return false;
-      }
-    }
-    
-    // Event type filter
-    if (filters.eventTypes.length > 0) {
-      if (!filters.eventTypes.includes(event.type)) {
-        return false;
-      }
-    }
-    
-    // Severity filter
-    if (filters.severityLevels.length > 0) {
-      const eventSeverity = event.severity || 1;
-      if (!filters.severityLevels.includes(eventSeverity)) {
-        return false;
-      }
-    }
-    
-    // Date range filter
-    if (filters.dateRange.start || filters.dateRange.end) {
-      const eventDate = new Date(event.date);
-      
-      if (filters.dateRange.start && eventDate < filters.dateRange.start) {
-        return false;
-      }
-      
-      if (filters.dateRange.end && eventDate > filters.dateRange.end) {
-        return false;
-      }
-    }
-    
-    // Region filter
-    if (filters.regions.length > 0) {
-      const eventRegion = event.region || '';
-      if (!filters.regions.includes(eventRegion)) {
-        return false;
-      }
-    }
-    
-    return true;
-  };
+function getActiveFilters() {
+  return { ...filterState, ...store.getState().filters };
 }
 
 /**
@@ -620,14 +627,8 @@ function createEventFilter(filters) {
  * @returns {import('./js/types.js').EventRecord[]} Filtered events
  */
 function getFilteredEvents() {
-  const state = store.getState();
-  const events = state.events || [];
-  
-  if (!filterState.isActive) {
-    return events;
-  }
-  
-  const filterFunction = createEventFilter(filterState);
+  const events = store.getState().events || [];
+  const filterFunction = createEventFilter(getActiveFilters());
   return events.filter(filterFunction);
 }
 
@@ -651,11 +652,16 @@ function cleanup() {
 
 // Module event handling
 eventBus.on('cleanup', cleanup);
+eventBus.on('spatialFilterDrawn', setSpatialFilter);
+eventBus.on('dateRangeSelected', setDateRange);
 
 // Export public interface
 export {
   filterState,
   clearAllFilters,
+  setSpatialFilter,
+  setDateRange,
+  getActiveFilters,
   getFilteredEvents,
   createEventFilter,
   FILTER_OPTIONS
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Shared helpers for data source adapters
+ * Maps loosely named source properties onto data-file event records
+ */
+
+import { getGeometryBounds } from '../utils/geo.js';
+
+/**
+ * Property names accepted for each event field, in order of preference (compared case-insensitively)
+ */
+const FIELD_ALIASES = {
+  id: ['id', 'event_id', 'eventid', 'uid'],
+  title: ['title', 'name', 'label'],
+  description: ['description', 'summary', 'details'],
+  timestamp: ['timestamp', 'datetime', 'time', 'date', 'when', 'start', 'begin'],
+  startTime: ['starttime', 'start_time', 'start', 'begin'],
+  endTime: ['endtime', 'end_time', 'end', 'finish'],
+  type: ['type', 'event_type', 'anomaly_type', 'category'],
+  severity: ['severity', 'level'],
+  instrument: ['instrument', 'sensor'],
+  satellite: ['satellite', 'platform'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x']
+};
+
+/**
+ * Values used when a source does not provide a required field
+ */
+const RECORD_DEFAULTS = {
+  type: 'unknown',
+  instrument: 'unknown'
+};
+
+/**
+ * Find the source key used for an event field
+ * @param {Object} properties - Source properties
+ * @param {string} field - Event field name (key of FIELD_ALIASES)
+ * @returns {string|null} Matching property key
+ */
+export function findFieldKey(properties, field) {
+  const keys = Object.keys(properties);
+  for (const alias of FIELD_ALIASES[field] || [field]) {
+    const key = keys.find(candidate => candidate.toLowerCase() === alias);
+    if (key !== undefined && properties[key] !== '' && properties[key] !== null && properties[key] !== undefined) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a data-file (schema version 1) event record from source properties and a position
+ * Unmapped properties are kept in `metadata`.
+ * @param {Object} properties - Source properties
+ * @param {Object} location - Where the event is
+ * @param {number} location.lat - Latitude
+ * @param {number} location.lng - Longitude
+ * @param {Object} [location.geometry] - GeoJSON geometry of the affected area
+ * @param {Object} context - Record context
+ * @param {string} context.sourceId - Source identifier, used to build ids for records without one
+ * @param {number} context.index - Record position in the source
+ * @param {Object} [context.defaults] - Field values for fields the source lacks
+ * @returns {Object} Event record
+ */
+export function buildEventRecord(properties, location, context) {
+  const defaults = { ...RECORD_DEFAULTS, ...(context.defaults || {}) };
+  const used = new Set();
+  const take = (field) => {
+    const key = findFieldKey(properties, field);
+    if (key === null) return undefined;
+    used.add(key);
+    return properties[key];
+  };
+
+  const record = {
+    id: take('id') ?? `${context.sourceId}_${context.index + 1}`,
+    title: take('title'),
+    timestamp: take('timestamp') ?? defaults.timestamp,
+    startTime: take('startTime'),
+    endTime: take('endTime'),
+    type: take('type') ?? defaults.type,
+    severity: take('severity') ?? defaults.severity,
+    instrument: take('instrument') ?? defaults.instrument,
+    satellite: take('satellite'),
+    description: take('description'),
+    coordinates: { lat: location.lat, lng: location.lng }
+  };
+
+  // Coordinates columns are already in the position
+  take('lat');
+  take('lng');
+
+  const bounds = location.geometry && location.geometry.type !== 'Point' ? getGeometryBounds(location.geometry) : null;
+  if (bounds) record.coordinates.bounds = bounds;
+  if (location.geometry && /Polygon$/.test(location.geometry.type)) {
+    record.coordinates.footprint = location.geometry;
+  }
+
+  record.metadata = Object.fromEntries(
+    Object.entries(properties).filter(([key, value]) => !used.has(key) && value !== '' && value !== undefined)
+  );
+
+  // Drop fields the source did not have rather than carrying undefined around
+  Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+
+  return record;
+}
+
+/**
+ * Representative point of a geometry: the point itself, or the centre of its bounds
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {import('../types.js').Coordinates|null}
+ */
+export function getGeometryCenter(geometry) {
+  if (geometry?.type === 'Point') {
+    const [lng, lat] = geometry.coordinates;
+    return { lat, lng };
+  }
+
+  const bounds = getGeometryBounds(geometry);
+  if (!bounds) return null;
+  return { lat: (bounds.north + bounds.south) / 2, lng: (bounds.east + bounds.west) / 2 };
+}
+
+/**
+ * Source id derived from a file name, for ids of records that have none
+ * @param {string} [fileName] - Source file name
+ * @returns {string}
+ */
+export function getSourceId(fileName) {
+  const base = String(fileName || 'source').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  return base.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'source';
+}
+
+export { FIELD_ALIASES, RECORD_DEFAULTS };
\ No newline at end of file
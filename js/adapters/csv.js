@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Adapters for CSV tables: NASA FIRMS active fire exports and generic event tables
+ */
+
+import { parseCsv } from '../utils/csv.js';
+import { buildEventRecord, findFieldKey, getSourceId } from './common.js';
+
+/**
+ * FIRMS conversion settings
+ */
+const FIRMS_CONFIG = {
+  KM_PER_DEGREE: 111.32,
+  // Fire radiative power (MW) at which a detection reaches each severity
+  FRP_SEVERITY: [
+    { min: 100, severity: 'critical' },
+    { min: 30, severity: 'high' },
+    { min: 10, severity: 'medium' },
+    { min: 0, severity: 'low' }
+  ]
+};
+
+/**
+ * FIRMS satellite codes
+ */
+const FIRMS_SATELLITES = {
+  T: 'Terra',
+  A: 'Aqua',
+  N: 'Suomi NPP',
+  1: 'NOAA-20',
+  N20: 'NOAA-20',
+  2: 'NOAA-21',
+  N21: 'NOAA-21'
+};
+
+/**
+ * VIIRS confidence classes
+ */
+const FIRMS_CONFIDENCE = {
+  l: 'low',
+  n: 'nominal',
+  h: 'high'
+};
+
+/**
+ * Drop leading "#" comment lines (such as the provenance header of exported CSV)
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+function stripComments(text) {
+  return text.replace(/^(?:\uFEFF)?(?:#[^\n]*\n)+/, '');
+}
+
+/**
+ * Pick the field delimiter from the header line
+ * @param {string} head - Start of the file
+ * @returns {string}
+ */
+function detectDelimiter(head) {
+  const header = head.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Lowercased header names of a CSV head
+ * @param {string} head - Start of the file
+ * @returns {string[]}
+ */
+function getHeaders(head) {
+  const header = stripComments(head);
+  const delimiter = detectDelimiter(header);
+  return header.split(/\r?\n/, 1)[0].split(delimiter).map(header => header.trim().replace(/^"|"$/g, '').toLowerCase());
+}
+
+/**
+ * Convert a number-like CSV field
+ * @param {string} value - Field
+ * @returns {number|undefined}
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Severity for a fire radiative power
+ * @param {number} frp - Fire radiative power in MW
+ * @returns {string}
+ */
+function getFrpSeverity(frp) {
+  if (frp === undefined) return 'medium';
+  return FIRMS_CONFIG.FRP_SEVERITY.find(({ min }) => frp >= min).severity;
+}
+
+/**
+ * NASA FIRMS active fire CSV adapter (MODIS and VIIRS, standard and NRT)
+ * @type {import('./index.js').DataAdapter}
+ */
+export const firmsAdapter = {
+  id: 'firms',
+  label: 'NASA FIRMS CSV',
+  extensions: ['csv', 'txt'],
+  mimeTypes: ['text/csv'],
+
+  sniff(head) {
+    const headers = getHeaders(head);
+    return headers.includes('acq_date') && headers.includes('latitude') && headers.includes('longitude');
+  },
+
+  parse(text, options = {}) {
+    const table = stripComments(text);
+    const { records } = parseCsv(table, detectDelimiter(table.slice(0, 1024)));
+    const events = [];
+    let skipped = 0;
+
+    records.forEach(row => {
+      const lat = toNumber(row.latitude);
+      const lng = toNumber(row.longitude);
+      if (lat === undefined || lng === undefined || !row.acq_date) {
+        skipped++;
+        return;
+      }
+
+      // acq_time is HHMM in UTC, sometimes without leading zeros
+      const time = String(row.acq_time || '0').padStart(4, '0');
+      const timestamp = `${row.acq_date}T${time.slice(0, 2)}:${time.slice(2, 4)}:00Z`;
+
+      const instrument = (row.instrument || options.defaults?.instrument || (row.bright_ti4 ? 'VIIRS' : 'MODIS')).toLowerCase();
+      const frp = toNumber(row.frp);
+      const scan = toNumber(row.scan);
+      const track = toNumber(row.track);
+
+      const confidence = FIRMS_CONFIDENCE[String(row.confidence).toLowerCase()] ?? toNumber(row.confidence);
+      const metadata = {
+        fire_radiative_power: frp,
+        brightness: toNumber(row.bright_ti4 ?? row.brightness),
+        brightness_secondary: toNumber(row.bright_ti5 ?? row.bright_t31),
+        scan_km: scan,
+        track_km: track,
+        daynight: row.daynight,
+        version: row.version
+      };
+      if (typeof confidence === 'number') metadata.confidence = confidence;
+      else if (confidence) metadata.confidence_class = confidence;
+
+      const record = {
+        // Stable across re-downloads of overlapping date ranges
+        id: `firms_${instrument}_${row.acq_date.replace(/-/g, '')}_${time}_${lat.toFixed(4)}_${lng.toFixed(4)}`,
+        title: `${instrument.toUpperCase()} fire detection`,
+        timestamp,
+        type: 'fire',
+        severity: getFrpSeverity(frp),
+        instrument,
+        satellite: FIRMS_SATELLITES[row.satellite] || row.satellite || undefined,
+        coordinates: { lat, lng },
+        metadata: Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== ''))
+      };
+
+      // Scan and track are the pixel size in km; use them as the detection footprint
+      if (scan && track) {
+        const dLat = track / 2 / FIRMS_CONFIG.KM_PER_DEGREE;
+        const dLng = scan / 2 / (FIRMS_CONFIG.KM_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+        record.coordinates.bounds = { north: lat + dLat, south: lat - dLat, east: lng + dLng, west: lng - dLng };
+      }
+      if (!record.satellite) delete record.satellite;
+
+      events.push(record);
+    });
+
+    return { events, skipped };
+  }
+};
+
+/**
+ * Generic CSV adapter: one event per row, with latitude/longitude columns
+ * @type {import('./index.js').DataAdapter}
+ */
+export const csvAdapter = {
+  id: 'csv',
+  label: 'CSV',
+  extensions: ['csv', 'tsv', 'txt'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+
+  sniff(head) {
+    const headers = getHeaders(head);
+    const sample = Object.fromEntries(headers.map(header => [header, 'x']));
+    return findFieldKey(sample, 'lat') !== null && findFieldKey(sample, 'lng') !== null;
+  },
+
+  parse(text, options = {}) {
+    const table = stripComments(text);
+    const { records } = parseCsv(table, detectDelimiter(table.slice(0, 1024)));
+    const sourceId = getSourceId(options.fileName);
+    const events = [];
+    let skipped = 0;
+
+    records.forEach((row, index) => {
+      const lat = toNumber(row[findFieldKey(row, 'lat')]);
+      const lng = toNumber(row[findFieldKey(row, 'lng')]);
+      if (lat === undefined || lng === undefined) {
+        skipped++;
+        return;
+      }
+
+      events.push(buildEventRecord(row, { lat, lng }, { sourceId, index, defaults: options.defaults }));
+    });
+
+    return { events, skipped };
+  }
+};
+
+export { FIRMS_CONFIG };
\ No newline at end of file
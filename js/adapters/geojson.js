@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Adapter for GeoJSON Features and FeatureCollections
+ * Points become event positions; polygons also become event bounds and footprints
+ */
+
+import { buildEventRecord, getGeometryCenter, getSourceId } from './common.js';
+
+/**
+ * GeoJSON adapter
+ * @type {import('./index.js').DataAdapter}
+ */
+export const geojsonAdapter = {
+  id: 'geojson',
+  label: 'GeoJSON',
+  extensions: ['geojson', 'json'],
+  mimeTypes: ['application/geo+json'],
+
+  sniff(head) {
+    return /"type"\s*:\s*"(FeatureCollection|Feature)"/.test(head);
+  },
+
+  parse(text, options = {}) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features :
+      data.type === 'Feature' ? [data] : null;
+
+    if (!Array.isArray(features)) {
+      throw new Error('GeoJSON must be a Feature or FeatureCollection');
+    }
+
+    const sourceId = getSourceId(options.fileName);
+    const events = [];
+    let skipped = 0;
+
+    features.forEach((feature, index) => {
+      const center = getGeometryCenter(feature.geometry);
+      if (!center) {
+        skipped++;
+        return;
+      }
+
+      const properties = { ...(feature.properties || {}) };
+      if (feature.id !== undefined && properties.id === undefined) {
+        properties.id = feature.id;
+      }
+
+      events.push(buildEventRecord(properties, { ...center, geometry: feature.geometry }, {
+        sourceId,
+        index,
+        defaults: options.defaults
+      }));
+    });
+
+    return { events, skipped };
+  }
+};
\ No newline at end of file
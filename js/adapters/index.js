@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Data source adapter registry
+ * Adapters turn source text (events JSON, GeoJSON, CSV, FIRMS, KML, ...) into raw event records;
+ * js/dataLoader.js normalizes and validates whatever they return.
+ */
+
+import { nativeAdapter } from './native.js';
+import { geojsonAdapter } from './geojson.js';
+import { firmsAdapter, csvAdapter } from './csv.js';
+import { kmlAdapter } from './kml.js';
+
+/**
+ * @typedef {Object} AdapterResult
+ * @property {Object[]} events - Raw event records in any shape js/eventSchema.js understands
+ * @property {number} [schemaVersion] - File schema version, when the format has one
+ * @property {number} [year] - File year (native event files)
+ * @property {number} [skipped] - Source records dropped for lacking a position
+ */
+
+/**
+ * @typedef {Object} DataAdapter
+ * @property {string} id - Format id, usable as `format` in the events index and load options
+ * @property {string} label - Human readable format name
+ * @property {string[]} extensions - File extensions (lowercase, without dot)
+ * @property {string[]} [mimeTypes] - Content types
+ * @property {function(string): boolean} [sniff] - Recognize the format from the first few KB of text
+ * @property {function(string, Object): AdapterResult} parse - Parse source text (options: fileName, defaults)
+ */
+
+/**
+ * Registry configuration
+ */
+const ADAPTER_CONFIG = {
+  SNIFF_LENGTH: 4096
+};
+
+/**
+ * Registered adapters, in detection order
+ * @type {Map<string, DataAdapter>}
+ */
+const adapters = new Map();
+
+/**
+ * Register a data source adapter (replaces an adapter with the same id)
+ * @param {DataAdapter} adapter - Adapter
+ */
+export function registerAdapter(adapter) {
+  if (!adapter?.id || typeof adapter.parse !== 'function') {
+    throw new Error('Data adapter needs an id and a parse function');
+  }
+
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get adapter by id
+ * @param {string} id - Adapter id
+ * @returns {DataAdapter|null}
+ */
+export function getAdapter(id) {
+  return adapters.get(id) || null;
+}
+
+/**
+ * List registered adapters
+ * @returns {DataAdapter[]}
+ */
+export function listAdapters() {
+  return Array.from(adapters.values());
+}
+
+/**
+ * Pick the adapter for a source
+ * An explicit format wins; otherwise adapters claiming the file extension (or content type)
+ * are tried in registration order, and the first whose sniff accepts the content is used.
+ * @param {string} text - Source text
+ * @param {Object} [options] - Source hints
+ * @param {string} [options.format] - Adapter id
+ * @param {string} [options.fileName] - File name or URL
+ * @param {string} [options.contentType] - Content type
+ * @returns {DataAdapter}
+ */
+export function detectAdapter(text, options = {}) {
+  if (options.format) {
+    const adapter = getAdapter(options.format);
+    if (!adapter) throw new Error(`Unknown data format: ${options.format}`);
+    return adapter;
+  }
+
+  const extension = String(options.fileName || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const contentType = String(options.contentType || '').split(';')[0].trim().toLowerCase();
+  const head = text.slice(0, ADAPTER_CONFIG.SNIFF_LENGTH);
+
+  const all = listAdapters();
+  const claimed = all.filter(adapter =>
+    adapter.extensions.includes(extension) || (contentType && adapter.mimeTypes?.includes(contentType))
+  );
+
+  // Unknown extensions still get a chance through content sniffing
+  const candidates = claimed.length > 0 ? claimed : all;
+  const match = candidates.find(adapter => !adapter.sniff || adapter.sniff(head));
+
+  if (!match) {
+    throw new Error(`Unrecognized data format${options.fileName ? ` for ${options.fileName}` : ''}`);
+  }
+  return match;
+}
+
+/**
+ * Parse source text with the matching adapter
+ * @param {string} text - Source text
+ * @param {Object} [options] - Options passed to detectAdapter and the adapter
+ * @returns {AdapterResult & {adapter: DataAdapter}}
+ */
+export function parseSource(text, options = {}) {
+  const adapter = detectAdapter(text, options);
+  const result = adapter.parse(text, options);
+
+  if (!result || !Array.isArray(result.events)) {
+    throw new Error(`${adapter.label} adapter returned no events array`);
+  }
+
+  return { ...result, adapter };
+}
+
+// Built-in adapters (order matters for detection: specific formats before generic ones)
+[nativeAdapter, geojsonAdapter, kmlAdapter, firmsAdapter, csvAdapter].forEach(registerAdapter);
+
+export { ADAPTER_CONFIG };
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Adapter for KML documents
+ * Each Placemark with a Point, Polygon or MultiGeometry becomes an event
+ */
+
+import { buildEventRecord, getGeometryCenter, getSourceId } from './common.js';
+
+/**
+ * Child elements of a node by local name, ignoring namespace prefixes
+ * @param {Element|Document} node - Parent node
+ * @param {string} name - Local element name
+ * @returns {Element[]}
+ */
+function findAll(node, name) {
+  return Array.from(node.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Text of the first descendant with a local name
+ * @param {Element} node - Parent node
+ * @param {string} name - Local element name
+ * @returns {string|undefined}
+ */
+function findText(node, name) {
+  const text = findAll(node, name)[0]?.textContent?.trim();
+  return text || undefined;
+}
+
+/**
+ * Parse a KML coordinates string ("lng,lat[,alt] lng,lat[,alt] ...")
+ * @param {string} text - Coordinates text
+ * @returns {number[][]} [lng, lat] positions
+ */
+function parseCoordinates(text) {
+  return String(text || '')
+    .trim()
+    .split(/\s+/)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+}
+
+/**
+ * Convert a KML Polygon element to GeoJSON rings
+ * @param {Element} polygon - Polygon element
+ * @returns {number[][][]} Outer ring followed by holes
+ */
+function parsePolygon(polygon) {
+  const outer = findAll(polygon, 'outerBoundaryIs').flatMap(boundary => parseCoordinates(findText(boundary, 'coordinates')));
+  const holes = findAll(polygon, 'innerBoundaryIs').map(boundary => parseCoordinates(findText(boundary, 'coordinates')));
+  return [outer, ...holes.filter(hole => hole.length > 0)];
+}
+
+/**
+ * Build a GeoJSON geometry for a Placemark (polygons win over points and lines)
+ * @param {Element} placemark - Placemark element
+ * @returns {Object|null} GeoJSON geometry
+ */
+function parseGeometry(placemark) {
+  const polygons = findAll(placemark, 'Polygon').map(parsePolygon).filter(([outer]) => outer.length >= 3);
+  if (polygons.length === 1) return { type: 'Polygon', coordinates: polygons[0] };
+  if (polygons.length > 1) return { type: 'MultiPolygon', coordinates: polygons };
+
+  const point = findAll(placemark, 'Point').map(node => parseCoordinates(findText(node, 'coordinates'))[0]).find(Boolean);
+  if (point) return { type: 'Point', coordinates: point };
+
+  const line = findAll(placemark, 'LineString').map(node => parseCoordinates(findText(node, 'coordinates'))).find(coords => coords.length > 0);
+  if (line) return { type: 'LineString', coordinates: line };
+
+  return null;
+}
+
+/**
+ * Collect Placemark properties: name, description, time and ExtendedData
+ * @param {Element} placemark - Placemark element
+ * @returns {Object<string, string>}
+ */
+function parseProperties(placemark) {
+  const properties = {};
+
+  const id = placemark.getAttribute('id');
+  if (id) properties.id = id;
+
+  // Extended data first so the standard elements below take precedence
+  findAll(placemark, 'Data').forEach(data => {
+    const name = data.getAttribute('name');
+    if (name) properties[name] = findText(data, 'value') ?? '';
+  });
+  findAll(placemark, 'SimpleData').forEach(data => {
+    const name = data.getAttribute('name');
+    if (name) properties[name] = data.textContent.trim();
+  });
+
+  const name = findText(placemark, 'name');
+  const description = findText(placemark, 'description');
+  const when = findText(placemark, 'when');
+  const begin = findText(placemark, 'begin');
+  const end = findText(placemark, 'end');
+
+  if (name) properties.name = name;
+  if (description) properties.description = description;
+  if (when || begin) properties.timestamp = when || begin;
+  if (end) properties.end = end;
+
+  return properties;
+}
+
+/**
+ * KML adapter (needs DOMParser, so browser only)
+ * @type {import('./index.js').DataAdapter}
+ */
+export const kmlAdapter = {
+  id: 'kml',
+  label: 'KML',
+  extensions: ['kml'],
+  mimeTypes: ['application/vnd.google-earth.kml+xml'],
+
+  sniff(head) {
+    return /<kml[\s>]/.test(head);
+  },
+
+  parse(text, options = {}) {
+    if (typeof DOMParser === 'undefined') {
+      throw new Error('KML import needs DOMParser, which is not available here');
+    }
+
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('KML is not well-formed XML');
+    }
+
+    const sourceId = getSourceId(options.fileName);
+    const events = [];
+    let skipped = 0;
+
+    findAll(doc, 'Placemark').forEach((placemark, index) => {
+      const geometry = parseGeometry(placemark);
+      const center = getGeometryCenter(geometry);
+      if (!center) {
+        skipped++;
+        return;
+      }
+
+      events.push(buildEventRecord(parseProperties(placemark), { ...center, geometry }, {
+        sourceId,
+        index,
+        defaults: options.defaults
+      }));
+    });
+
+    return { events, skipped };
+  }
+};
\ No newline at end of file
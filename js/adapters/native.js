@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Adapter for the project's own event files
+ * `events.YEAR.json` envelopes, plus bare arrays of events such as events.mock.json
+ */
+
+/**
+ * Native events file adapter
+ * @type {import('./index.js').DataAdapter}
+ */
+export const nativeAdapter = {
+  id: 'native',
+  label: 'Events JSON',
+  extensions: ['json'],
+  mimeTypes: ['application/json'],
+
+  sniff(head) {
+    return /^\s*\[/.test(head) || /"(schemaVersion|events)"\s*:/.test(head);
+  },
+
+  parse(text) {
+    const data = JSON.parse(text);
+
+    if (Array.isArray(data)) {
+      return { events: data };
+    }
+
+    if (!data || !Array.isArray(data.events)) {
+      throw new Error('Events file has no events array');
+    }
+
+    return {
+      schemaVersion: data.schemaVersion,
+      year: data.year,
+      events: data.events
+    };
+  }
+};
\ No newline at end of file
@@ -1,15 +1,28 @@
 /**
- * @fileoverview Data loading, validation and caching for structured JSON data
+ * @fileoverview Data loading, validation and caching for structured JSON data and other event source formats
  * @requires ./types.js
  * @requires ./store.js
  * @requires ./validation.js
+ * @requires ./eventSchema.js
+ * @requires ./regions.js
+ * @requires ./adapters/index.js
+ * @requires ./persistentCache.js
+ * @requires ./utils/jsonStream.js
+ * @requires ./migrations.js
  */
 
 import './types.js';
-import { actions, eventBus } from './store.js';
-import { validateEvents, validateEventFile, logValidationResult } from './validation.js';
+import { store, actions, eventBus } from './store.js';
+import { validateEvents, validateEventFile, validateDocument, setReferenceData, logValidationResult } from './validation.js';
+import { normalizeEvents, EVENT_SCHEMA_VERSION } from './eventSchema.js';
+import { assignRegions } from './regions.js';
+import { parseSource, detectAdapter, getAdapter, ADAPTER_CONFIG } from './adapters/index.js';
+import { createPersistentCache } from './persistentCache.js';
+import { createJsonArrayParser } from './utils/jsonStream.js';
+import { migrateDocument, detectDocumentVersion, assertSupportedVersion, getSupportedVersion } from './migrations.js';
 
 /**
+ * In-memory cache tier
  * @type {Map<string, any>}
  */
 const cache = new Map();
@@ -18,10 +31,29 @@ const cache = new Map();
  * Cache configuration
  */
 const CACHE_CONFIG = {
-  TTL: 10 * 60 * 1000, // 10 minutes
-  MAX_SIZE: 100
+  TTL: 10 * 60 * 1000, // 10 minutes (memory tier)
+  MAX_BYTES: 25 * 1024 * 1024 // 25 MB (persistent tier)
 };
 
+/**
+ * Persistent cache tier (IndexedDB), keyed by file name and data version
+ */
+const persistentCache = createPersistentCache({ maxBytes: CACHE_CONFIG.MAX_BYTES });
+
+/**
+ * Memory tier hit and miss counters
+ */
+const memoryStats = {
+  hits: 0,
+  misses: 0
+};
+
+/**
+ * Data version the persistent tier was last invalidated for
+ * @type {string|null}
+ */
+let persistedVersion = null;
+
 /**
  * Data endpoints configuration
  */
@@ -31,7 +63,9 @@ const DATA_CONFIG = {
     index: 'events.index.json',
     instruments: 'instruments.json',
     anomalyTypes: 'anomaly-types.json'
-  }
+  },
+  // Events per store update while a file streams in
+  streamBatchSize: 200
 };
 
 /**
@@ -44,10 +78,12 @@ async function loadEventsIndex() {
   if (cache.has(cacheKey)) {
     const cached = cache.get(cacheKey);
     if (Date.now() - cached.timestamp < CACHE_CONFIG.TTL) {
+      memoryStats.hits++;
       console.log('📦 Using cached events index');
       return cached.data;
     }
   }
+  memoryStats.misses++;
 
   try {
     console.log('📥 Loading events index...');
@@ -57,11 +93,24 @@ async function loadEventsIndex() {
       throw new Error(`Failed to load events index: ${response.status}`);
     }
 
-    const index = await response.json();
+    // Upgrade older index versions; newer ones are rejected
+    const index = migrateDocument('eventsIndex', await response.json(), { label: DATA_CONFIG.endpoints.index }).data;
     
     // Validate index structure
-    if (!index.schemaVersion || !index.years || !Array.isArray(index.years)) {
-      throw new Error('Invalid events index structure');
+    const indexValidation = validateDocument('eventsIndex', index);
+    if (!indexValidation.valid) {
+      logValidationResult(indexValidation, DATA_CONFIG.endpoints.index);
+      const error = new Error(`Invalid events index structure: ${indexValidation.errors[0]}`);
+      error.validation = indexValidation;
+      throw error;
+    }
+
+    // A changed index makes every stored file stale; keep a copy of the index for offline use
+    const version = getDataVersion(index);
+    if (version !== persistedVersion) {
+      await persistentCache.invalidate(version);
+      await persistentCache.set(DATA_CONFIG.endpoints.index, version, index);
+      persistedVersion = version;
     }
 
     // Cache the result
@@ -74,79 +123,412 @@ async function loadEventsIndex() {
     return index;
 
   } catch (error) {
+    // Offline: fall back to the last stored index, whose files are still stored with it
+    const stored = await persistentCache.getLatest(DATA_CONFIG.endpoints.index);
+    if (stored) {
+      console.warn('⚠️ Events index unavailable, using the stored copy:', error.message);
+      cache.set(cacheKey, { data: stored, timestamp: Date.now() });
+      return stored;
+    }
+
     console.error('❌ Failed to load events index:', error);
     throw error;
   }
 }
 
 /**
- * Load events for a specific year
- * @param {number} year - Year to load events for
- * @returns {Promise<Object[]>} Array of events
+ * Version stamp for stored data files
+ * Stored events are already normalized, so the record schema version is part of the stamp.
+ * @param {Object} index - Events index
+ * @returns {string}
  */
-async function loadEventsForYear(year) {
-  const cacheKey = `events.${year}`;
-  
+function getDataVersion(index) {
+  return `${index.updated}#${EVENT_SCHEMA_VERSION}`;
+}
+
+/**
+ * Load a data file through the memory and persistent cache tiers
+ * @param {string} cacheKey - Memory cache key
+ * @param {string} file - Data file name (persistent cache key)
+ * @param {function(): Promise<*>} load - Loads the data from the network
+ * @returns {Promise<*>} Data
+ */
+async function loadThroughCache(cacheKey, file, load) {
   if (cache.has(cacheKey)) {
     const cached = cache.get(cacheKey);
     if (Date.now() - cached.timestamp < CACHE_CONFIG.TTL) {
-      console.log(`📦 Using cached events for ${year}`);
+      memoryStats.hits++;
+      console.log(`📦 Using cached ${file}`);
       return cached.data;
     }
   }
+  memoryStats.misses++;
 
-  try {
-    console.log(`📥 Loading events for ${year}...`);
-    const response = await fetch(`${DATA_CONFIG.baseUrl}events.${year}.json`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to load events for ${year}: ${response.status}`);
+  const version = getDataVersion(await loadEventsIndex());
+  let data = await persistentCache.get(file, version);
+
+  if (data !== undefined) {
+    console.log(`💾 Using stored ${file}`);
+  } else {
+    data = await load();
+    await persistentCache.set(file, version, data);
+  }
+
+  cache.set(cacheKey, {
+    data,
+    timestamp: Date.now()
+  });
+
+  return data;
+}
+
+/**
+ * Parse, normalize and validate event source text with the matching data adapter
+ * Only events that pass validation are returned; nothing is written to the store.
+ * @param {string} text - Source text
+ * @param {Object} [options] - Source options
+ * @param {string} [options.format] - Adapter id (detected from file name and content when omitted)
+ * @param {string} [options.fileName] - File name or URL, used for detection and generated ids
+ * @param {string} [options.contentType] - Content type, used for detection
+ * @param {string} [options.label] - Label for validation logging
+ * @param {Object} [options.defaults] - Values for fields the source lacks (e.g. instrument)
+ * @returns {{events: Object[], validation: Object, adapter: Object, skipped: number}}
+ * @throws {Error} When no adapter matches, a native file is newer than supported, or it fails structure validation (error.validation holds the result)
+ */
+function processEventSource(text, options = {}) {
+  const label = options.label || options.fileName || 'Event source';
+  let parsed = parseSource(text, options);
+
+  // Native files, legacy bare arrays included, are upgraded to the file version this app reads
+  if (parsed.adapter.id === 'native') {
+    const migration = migrateDocument('eventFile', {
+      schemaVersion: parsed.schemaVersion,
+      year: parsed.year,
+      events: parsed.events
+    }, { label });
+    if (migration.applied.length > 0) {
+      console.log(`⬆️ Migrated ${label} from schema version ${migration.fromVersion} to ${migration.version}`);
     }
+    parsed = { ...parsed, ...migration.data };
+  }
 
-    const fileData = await response.json();
-    
-    // Validate file structure
-    const fileValidation = validateEventFile(fileData);
+  // Map records onto the canonical event shape before validating them
+  const events = normalizeEvents(parsed.events, parsed.schemaVersion);
+
+  // Native event files carry a year and must keep their file structure (records are checked below)
+  const isEventFile = parsed.year !== undefined;
+  if (isEventFile) {
+    const fileValidation = validateEventFile({ schemaVersion: parsed.schemaVersion, year: parsed.year, events: [] });
     if (!fileValidation.valid) {
-      console.error(`❌ Invalid events file for ${year}:`, fileValidation.errors);
-      throw new Error(`Invalid events file structure for ${year}`);
+      console.error(`❌ Invalid events file for ${label}:`, fileValidation.errors);
+      const error = new Error(`Invalid events file structure for ${label}`);
+      error.validation = fileValidation;
+      throw error;
+    }
+  }
+
+  // Validate events data; issue paths point into the file's events array
+  const validation = validateEvents(events, { path: isEventFile ? '/events' : '' });
+  logValidationResult(validation, label);
+
+  if (!validation.valid) {
+    // Log errors but don't fail completely - use valid events only
+    console.warn(`⚠️ Some events in ${label} are invalid, using ${validation.validEvents} valid events`);
+  }
+
+  // Filter to valid events only
+  const validEvents = events.filter((_, index) =>
+    validation.eventResults[index].valid
+  );
+
+  return {
+    events: validEvents,
+    validation,
+    adapter: parsed.adapter,
+    skipped: parsed.skipped || 0
+  };
+}
+
+/**
+ * Fetch and process an event source in any registered format
+ * @param {string} url - Source URL
+ * @param {Object} [options] - Options for processEventSource
+ * @returns {Promise<{events: Object[], validation: Object, adapter: Object, skipped: number}>}
+ */
+async function fetchEventSource(url, options = {}) {
+  await loadReferenceData();
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+
+  const text = await response.text();
+  return processEventSource(text, {
+    fileName: url,
+    contentType: response.headers?.get('content-type') || undefined,
+    ...options
+  });
+}
+
+/**
+ * Fetch an event source, delivering its valid events in batches while the response streams in
+ * Native events files at the supported version are parsed incrementally; other formats, older
+ * file versions, and responses without a body stream, are read whole and delivered as one batch.
+ * @param {string} url - Source URL
+ * @param {Object} [options] - Options for processEventSource, plus the callbacks below
+ * @param {function(Object[]): (Promise<void>|void)} [options.onBatch] - Receives each batch of valid events; awaited before reading on
+ * @param {function({loadedBytes: number, totalBytes: (number|null), loadedEvents: number}): void} [options.onProgress] - Called after every chunk
+ * @returns {Promise<{events: Object[], validation: Object, adapter: Object, skipped: number}>}
+ * @throws {Error} When the request fails, no adapter matches, or a native file fails structure validation (error.validation holds the result)
+ */
+async function streamEventSource(url, options = {}) {
+  const { onBatch, onProgress, ...sourceOptions } = options;
+  const label = sourceOptions.label || url;
+  await loadReferenceData();
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+
+  const sourceInfo = {
+    fileName: url,
+    contentType: response.headers?.get('content-type') || undefined,
+    ...sourceOptions
+  };
+
+  // Compressed responses report the encoded length, which the decoded bytes would overrun
+  const totalBytes = response.headers?.get('content-encoding') ? null :
+    Number(response.headers?.get('content-length')) || null;
+  let loadedBytes = 0;
+
+  const events = [];
+  const pending = [];
+  const seenIds = new Set();
+  const validation = { valid: true, totalEvents: 0, validEvents: 0, errors: [], warnings: [], issues: [] };
+  let eventsPath = '';
+  let header = null;
+  let headerChecked = false;
+  let sniffed = false;
+  let parser = null;
+
+  // Text read before the format is known; the whole text for formats that do not stream
+  let buffered = '';
+  // Text read until the file header is checked, kept in case the file has to be migrated whole
+  let headerText = '';
+  const reader = response.body?.getReader ? response.body.getReader() : null;
+  const decoder = new TextDecoder();
+  let streaming = Boolean(reader);
+
+  if (!reader) {
+    buffered = await response.text();
+    loadedBytes = buffered.length;
+  }
+
+  /**
+   * Normalize and validate a batch of raw records, then hand the valid ones on
+   * @param {Object[]} records - Raw records
+   */
+  const flush = async (records) => {
+    const batch = normalizeEvents(records, header?.schemaVersion);
+    const result = validateEvents(batch, { offset: validation.totalEvents, seenIds, path: eventsPath });
+    const valid = batch.filter((_, index) => result.eventResults[index].valid);
+
+    validation.totalEvents += result.totalEvents;
+    validation.validEvents += result.validEvents;
+    validation.errors.push(...result.errors);
+    validation.warnings.push(...result.warnings);
+    validation.issues.push(...result.issues);
+    events.push(...valid);
+
+    if (valid.length > 0 && onBatch) {
+      await onBatch(valid);
+    }
+  };
+
+  while (streaming) {
+    const { done, value } = await reader.read();
+    const chunk = done ? decoder.decode() : decoder.decode(value, { stream: true });
+    if (value) loadedBytes += value.byteLength;
+
+    if (parser) {
+      if (!headerChecked) headerText += chunk;
+      parser.write(chunk);
+    } else {
+      buffered += chunk;
+
+      // Pick the adapter once there is enough text to sniff
+      if (!sniffed && (buffered.length >= ADAPTER_CONFIG.SNIFF_LENGTH || done)) {
+        sniffed = true;
+        // Legacy bare arrays need migrating as a whole
+        if (detectAdapter(buffered, sourceInfo).id === 'native' && !/^\s*\[/.test(buffered)) {
+          eventsPath = '/events';
+          parser = createJsonArrayParser({
+            arrayKey: 'events',
+            onHeader: members => { header = members; },
+            onItem: record => pending.push(record)
+          });
+          headerText = buffered;
+          parser.write(buffered);
+          buffered = '';
+        }
+      }
     }
 
-    // Validate events data
-    const eventsValidation = validateEvents(fileData.events);
-    logValidationResult(eventsValidation, `Events ${year}`);
+    // Members before the events array carry the file structure
+    if (header && !headerChecked) {
+      headerChecked = true;
+      const version = detectDocumentVersion(header);
 
-    if (!eventsValidation.valid) {
-      // Log errors but don't fail completely - use valid events only
-      console.warn(`⚠️ Some events for ${year} are invalid, using ${eventsValidation.validEvents} valid events`);
+      try {
+        assertSupportedVersion('eventFile', version, label);
+      } catch (error) {
+        reader.cancel();
+        throw error;
+      }
+
+      if (version < getSupportedVersion('eventFile')) {
+        // Older files are read whole and migrated; drop what the parser produced so far
+        parser = null;
+        buffered = headerText;
+        pending.length = 0;
+      } else if (header.year !== undefined) {
+        const fileValidation = validateEventFile({ schemaVersion: header.schemaVersion, year: header.year, events: [] });
+        if (!fileValidation.valid) {
+          reader.cancel();
+          console.error(`❌ Invalid events file for ${label}:`, fileValidation.errors);
+          const error = new Error(`Invalid events file structure for ${label}`);
+          error.validation = fileValidation;
+          throw error;
+        }
+      }
+      headerText = '';
     }
 
-    // Filter to valid events only
-    const validEvents = fileData.events.filter((_, index) => 
-      eventsValidation.eventResults[index].valid
-    );
+    while (pending.length >= DATA_CONFIG.streamBatchSize || (done && pending.length > 0)) {
+      await flush(pending.splice(0, DATA_CONFIG.streamBatchSize));
+    }
 
-    // Cache the result
-    cache.set(cacheKey, {
-      data: validEvents,
-      timestamp: Date.now()
+    if (onProgress) {
+      onProgress({ loadedBytes, totalBytes, loadedEvents: events.length });
+    }
+
+    streaming = !done;
+  }
+
+  if (!parser) {
+    const result = processEventSource(buffered, sourceInfo);
+    if (result.events.length > 0 && onBatch) {
+      await onBatch(result.events);
+    }
+    if (onProgress) {
+      onProgress({ loadedBytes, totalBytes, loadedEvents: result.events.length });
+    }
+    return result;
+  }
+
+  parser.end();
+  validation.valid = validation.errors.length === 0;
+  logValidationResult(validation, label);
+
+  if (!validation.valid) {
+    console.warn(`⚠️ Some events in ${label} are invalid, using ${validation.validEvents} valid events`);
+  }
+
+  return {
+    events,
+    validation,
+    adapter: getAdapter('native'),
+    skipped: 0
+  };
+}
+
+/**
+ * Load events for a specific year
+ * The index entry's `file` and optional `format` pick the source; any registered adapter format works.
+ * Progress is reported on the event bus as `dataLoadProgress` ({file, year, loadedBytes, totalBytes,
+ * loadedEvents, done}); files served from the cache report once, done and `cached`.
+ * @param {number} year - Year to load events for
+ * @param {Object} [options] - Loading options
+ * @param {function(Object[], (number|string)): Promise<void>} [options.onBatch] - Receives copies of the events as they arrive, with the year
+ * @returns {Promise<Object[]>} Array of events
+ */
+async function loadEventsForYear(year, options = {}) {
+  const { onBatch } = options;
+  let progress = null;
+
+  const reportProgress = (update) => {
+    progress = { ...progress, ...update };
+    eventBus.emit('dataLoadProgress', { ...progress });
+  };
+
+  // Views enrich the records they receive; the cached records stay as parsed
+  const deliver = (batch) => onBatch(batch.map(event => ({ ...event })), year);
+
+  try {
+    const index = await loadEventsIndex();
+    const entry = index.years.find(y => y.year === year) || {};
+    const file = entry.file || `events.${year}.json`;
+    let fetched = false;
+
+    const validEvents = await loadThroughCache(`events.${year}`, file, async () => {
+      fetched = true;
+      console.log(`📥 Loading events for ${year}...`);
+      reportProgress({ file, year, loadedBytes: 0, totalBytes: null, loadedEvents: 0, done: false });
+
+      const { events } = await streamEventSource(`${DATA_CONFIG.baseUrl}${file}`, {
+        format: entry.format,
+        label: `Events ${year}`,
+        onBatch: onBatch ? deliver : undefined,
+        onProgress: reportProgress
+      });
+      console.log(`✅ Loaded ${events.length} valid events for ${year}`);
+      return events;
     });
 
-    console.log(`✅ Loaded ${validEvents.length} valid events for ${year}`);
+    if (fetched) {
+      reportProgress({ done: true });
+    } else {
+      reportProgress({ file, year, loadedBytes: 0, totalBytes: null, loadedEvents: validEvents.length, done: true, cached: true });
+      if (onBatch && validEvents.length > 0) {
+        await deliver(validEvents);
+      }
+    }
+
     return validEvents;
 
   } catch (error) {
+    if (progress) {
+      reportProgress({ done: true, failed: true });
+    }
     console.error(`❌ Failed to load events for ${year}:`, error);
     throw error;
   }
 }
 
+/**
+ * Add the imported events in the store to a list of catalogue events
+ * Files can be imported while the year files are still streaming; their events must survive the
+ * store updates of the load. The store copy of an event wins, as in the year loader.
+ * @param {Object[]} events - Catalogue events
+ * @returns {Object[]} Catalogue and imported events
+ */
+function mergeImportedEvents(events) {
+  const imported = (store.getState().events || []).filter(event => event.datasetId);
+  if (imported.length === 0) return events;
+
+  const importedIds = new Set(imported.map(event => event.id));
+  return [...events.filter(event => !importedIds.has(event.id)), ...imported];
+}
+
 /**
  * Load all events from multiple years
  * @param {number[]} years - Array of years to load
+ * @param {Object} [options] - Options for loadEventsForYear (onBatch)
  * @returns {Promise<Object[]>} Array of all events
  */
-async function loadAllEvents(years = null) {
+async function loadAllEvents(years = null, options = {}) {
   try {
     // Get years from index if not provided
     if (!years) {
@@ -157,7 +539,7 @@ async function loadAllEvents(years = null) {
     console.log(`📥 Loading events for years: ${years.join(', ')}`);
     
     // Load events for all years in parallel
-    const eventPromises = years.map(year => loadEventsForYear(year));
+    const eventPromises = years.map(year => loadEventsForYear(year, options));
     const eventArrays = await Promise.all(eventPromises);
     
     // Flatten and combine all events
@@ -177,34 +559,20 @@ async function loadAllEvents(years = null) {
  * @returns {Promise<Object>} Instruments data
  */
 async function loadInstruments() {
-  const cacheKey = 'instruments';
-  
-  if (cache.has(cacheKey)) {
-    const cached = cache.get(cacheKey);
-    if (Date.now() - cached.timestamp < CACHE_CONFIG.TTL) {
-      console.log('📦 Using cached instruments data');
-      return cached.data;
-    }
-  }
-
   try {
-    console.log('📥 Loading instruments data...');
-    const response = await fetch(`${DATA_CONFIG.baseUrl}${DATA_CONFIG.endpoints.instruments}`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to load instruments: ${response.status}`);
-    }
+    return await loadThroughCache('instruments', DATA_CONFIG.endpoints.instruments, async () => {
+      console.log('📥 Loading instruments data...');
+      const response = await fetch(`${DATA_CONFIG.baseUrl}${DATA_CONFIG.endpoints.instruments}`);
+      
+      if (!response.ok) {
+        throw new Error(`Failed to load instruments: ${response.status}`);
+      }
 
-    const instruments = await response.json();
-    
-    cache.set(cacheKey, {
-      data: instruments,
-      timestamp: Date.now()
+      const instruments = prepareReferenceFile('instruments', await response.json(), DATA_CONFIG.endpoints.instruments);
+      console.log('✅ Instruments data loaded');
+      return instruments;
     });
 
-    console.log('✅ Instruments data loaded');
-    return instruments;
-
   } catch (error) {
     console.error('❌ Failed to load instruments:', error);
     throw error;
@@ -216,40 +584,98 @@ async function loadInstruments() {
  * @returns {Promise<Object>} Anomaly types data
  */
 async function loadAnomalyTypes() {
-  const cacheKey = 'anomalyTypes';
-  
-  if (cache.has(cacheKey)) {
-    const cached = cache.get(cacheKey);
-    if (Date.now() - cached.timestamp < CACHE_CONFIG.TTL) {
-      console.log('📦 Using cached anomaly types data');
-      return cached.data;
-    }
-  }
-
   try {
-    console.log('📥 Loading anomaly types data...');
-    const response = await fetch(`${DATA_CONFIG.baseUrl}${DATA_CONFIG.endpoints.anomalyTypes}`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to load anomaly types: ${response.status}`);
-    }
+    return await loadThroughCache('anomalyTypes', DATA_CONFIG.endpoints.anomalyTypes, async () => {
+      console.log('📥 Loading anomaly types data...');
+      const response = await fetch(`${DATA_CONFIG.baseUrl}${DATA_CONFIG.endpoints.anomalyTypes}`);
+      
+      if (!response.ok) {
+        throw new Error(`Failed to load anomaly types: ${response.status}`);
+      }
 
-    const anomalyTypes = await response.json();
-    
-    cache.set(cacheKey, {
-      data: anomalyTypes,
-      timestamp: Date.now()
+      const anomalyTypes = prepareReferenceFile('anomalyTypes', await response.json(), DATA_CONFIG.endpoints.anomalyTypes);
+      console.log('✅ Anomaly types data loaded');
+      return anomalyTypes;
     });
 
-    console.log('✅ Anomaly types data loaded');
-    return anomalyTypes;
-
   } catch (error) {
     console.error('❌ Failed to load anomaly types:', error);
     throw error;
   }
 }
 
+/**
+ * Upgrade a reference file to the supported version and validate it against its schema
+ * Validation problems are logged but do not stop loading; the file is still the best reference available.
+ * @param {string} name - Schema document name
+ * @param {Object} data - Parsed file
+ * @param {string} file - File name for logging
+ * @returns {Object} Migrated file
+ * @throws {Error} When the file is newer than this app reads
+ */
+function prepareReferenceFile(name, data, file) {
+  const migrated = migrateDocument(name, data, { label: file }).data;
+
+  const validation = validateDocument(name, migrated);
+  if (!validation.valid || validation.warnings.length > 0) {
+    logValidationResult(validation, file);
+  }
+  return migrated;
+}
+
+/**
+ * Make the reference files the source of known event types, severities and instruments
+ * Validation still runs without them, minus those checks.
+ * @returns {Promise<void>}
+ */
+async function loadReferenceData() {
+  try {
+    const [instruments, anomalyTypes] = await Promise.all([
+      loadInstruments(),
+      loadAnomalyTypes()
+    ]);
+    setReferenceData({ instruments, anomalyTypes });
+
+  } catch (error) {
+    console.warn('⚠️ Reference data unavailable, event types and instruments are not checked:', error.message);
+  }
+}
+
+/**
+ * Anomaly type entry for an event type, by key or alias
+ * @param {Object} anomalyTypes - Anomaly types data
+ * @param {string} type - Event type
+ * @returns {Object|undefined}
+ */
+function getAnomalyType(anomalyTypes, type) {
+  return anomalyTypes.types[type] ||
+    Object.values(anomalyTypes.types).find(entry => (entry.aliases || []).includes(type));
+}
+
+/**
+ * Attach instrument and anomaly type reference data to events (in place)
+ * @param {Object[]} events - Events to enrich
+ * @returns {Promise<Object[]>} The same events
+ */
+async function enrichEvents(events) {
+  const [instruments, anomalyTypes] = await Promise.all([
+    loadInstruments(),
+    loadAnomalyTypes()
+  ]);
+
+  events.forEach(event => {
+    if (event.instrument && instruments.instruments[event.instrument]) {
+      event.instrumentData = instruments.instruments[event.instrument];
+    }
+    const typeData = event.type && getAnomalyType(anomalyTypes, event.type);
+    if (typeData) {
+      event.typeData = typeData;
+    }
+  });
+
+  return events;
+}
+
 /**
  * Cache management utilities
  */
@@ -267,27 +693,37 @@ const cacheManager = {
   },
 
   /**
-   * Clear all cache
+   * Clear both cache tiers
+   * @returns {Promise<void>}
    */
-  clearAll() {
+  async clearAll() {
     cache.clear();
+    persistedVersion = null;
+    await persistentCache.clear();
     console.log('🗑️ Cache cleared');
   },
 
   /**
-   * Get cache stats
+   * Get cache stats for both tiers
    */
   getStats() {
     return {
       size: cache.size,
-      maxSize: CACHE_CONFIG.MAX_SIZE,
-      keys: Array.from(cache.keys())
+      keys: Array.from(cache.keys()),
+      memory: {
+        ...memoryStats,
+        entries: cache.size,
+        ttl: CACHE_CONFIG.TTL
+      },
+      persistent: persistentCache.getStats()
     };
   }
 };
 
 /**
  * Main data loading function
+ * Events reach the store in batches while the year files stream in; each batch is announced
+ * with `eventsBatchLoaded` ({events, batch, year}) and the complete list with `eventsLoaded`.
  * @param {Object} options - Loading options
  * @returns {Promise<Object[]>} Array of events
  */
@@ -300,36 +736,44 @@ export async function loadEvents(options = {}) {
     } = options;
 
     if (forceRefresh) {
-      cacheManager.clearAll();
+      await cacheManager.clearAll();
     }
 
     // Clean up expired cache entries
     cacheManager.clearExpired();
 
+    // Events received so far, by year
+    const loadedByYear = new Map();
+
+    const onBatch = async (batch, year) => {
+      // Derive continent and country from coordinates for the region filter
+      await assignRegions(batch);
+
+      // Load metadata if requested
+      if (includeMetadata) {
+        await enrichEvents(batch);
+      }
+
+      if (!loadedByYear.has(year)) {
+        loadedByYear.set(year, []);
+      }
+      loadedByYear.get(year).push(...batch);
+
+      // Let views render what has arrived without waiting for the other files
+      const loaded = mergeImportedEvents(Array.from(loadedByYear.values()).flat());
+      actions.setEvents(loaded);
+      eventBus.emit('eventsBatchLoaded', { events: loaded, batch, year });
+    };
+
     // Load all events
-    const events = await loadAllEvents(years);
-
-    // Load metadata if requested
-    if (includeMetadata) {
-      const [instruments, anomalyTypes] = await Promise.all([
-        loadInstruments(),
-        loadAnomalyTypes()
-      ]);
-
-      // Enrich events with metadata
-      events.forEach(event => {
-        if (event.instrument && instruments.instruments[event.instrument]) {
-          event.instrumentData = instruments.instruments[event.instrument];
-        }
-        if (event.type && anomalyTypes.types[event.type]) {
-          event.typeData = anomalyTypes.types[event.type];
-        }
-      });
-    }
+    const loadYears = years || await getAvailableYears();
+    await loadAllEvents(loadYears, { onBatch });
+    const events = loadYears.flatMap(year => loadedByYear.get(year) || []);
 
     // Update store
-    actions.setEvents(events);
-    eventBus.emit('eventsLoaded', events);
+    const merged = mergeImportedEvents(events);
+    actions.setEvents(merged);
+    eventBus.emit('eventsLoaded', merged);
 
     console.log(`✅ Data loading complete: ${events.length} events loaded`);
     return events;
@@ -350,6 +794,28 @@ export async function loadEventsByYears(years) {
   return await loadAllEvents(years);
 }
 
+/**
+ * Load events from a URL in any registered source format (GeoJSON, CSV, FIRMS, KML, events JSON)
+ * The events are normalized and validated but not added to the store.
+ * @param {string} url - Source URL
+ * @param {Object} [options] - Source options (format, label, defaults)
+ * @returns {Promise<{events: Object[], validation: Object, adapter: Object, skipped: number}>}
+ */
+export async function loadEventSource(url, options = {}) {
+  try {
+    console.log(`📥 Loading event source ${url}...`);
+    const result = await fetchEventSource(url, options);
+    await assignRegions(result.events);
+
+    console.log(`✅ Loaded ${result.events.length} valid events from ${url} (${result.adapter.label})`);
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Failed to load event source ${url}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get available years from index
  * @returns {Promise<number[]>} Available years
@@ -397,6 +863,8 @@ export async function preloadData() {
 }
 
 // Export cache manager for debugging
-export { cacheManager };
+export { cacheManager, processEventSource, enrichEvents, loadReferenceData };
+export { registerAdapter, listAdapters } from './adapters/index.js';
+export { normalizeEvent, normalizeEvents, EVENT_SCHEMA_VERSION } from './eventSchema.js';
 
 console.log('📡 Modern DataLoader initialized');
\ No newline at end of file
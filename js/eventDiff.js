@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Dataset diffing between two versions of an events file
+ * Matches events by `id` and reports which were added, removed or modified, with a change per
+ * field (nested objects such as coordinates and metadata are compared member by member).
+ * @requires ./utils/jsonSchema.js
+ */
+
+import { joinPointer } from './utils/jsonSchema.js';
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field - Top-level field ('severity', 'coordinates', 'metadata', ...)
+ * @property {string} path - JSON pointer of the changed value within the event (e.g. '/coordinates/lat')
+ * @property {*} before - Old value (undefined when the value was added)
+ * @property {*} after - New value (undefined when the value was removed)
+ */
+
+/**
+ * @typedef {Object} ModifiedEvent
+ * @property {string} id - Event id
+ * @property {string} title - Event title (new version)
+ * @property {FieldChange[]} changes - Changed values
+ * @property {Object} before - Old event
+ * @property {Object} after - New event
+ */
+
+/**
+ * @typedef {Object} EventsDiff
+ * @property {Object[]} added - Events only in the new version
+ * @property {Object[]} removed - Events only in the old version
+ * @property {ModifiedEvent[]} modified - Events in both versions whose fields differ
+ * @property {number} unchanged - Events in both versions without changes
+ */
+
+/**
+ * Diff configuration
+ */
+const DIFF_CONFIG = {
+  // Added while loading (enrichment, dataset import) or by normalization, not part of the data
+  IGNORED_FIELDS: ['schemaVersion', 'instrumentData', 'typeData', 'datasetId', 'region', 'country', 'countryName']
+};
+
+/**
+ * Whether a value is a plain object (compared member by member)
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether two values are equal; arrays and objects compare by content
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Collect the changes between two values
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} field - Top-level field the values belong to
+ * @param {string} pointer - JSON pointer of the values
+ * @param {FieldChange[]} changes - Changes found so far
+ */
+function collectChanges(before, after, field, pointer, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      collectChanges(before[key], after[key], field, joinPointer(pointer, key), changes);
+    });
+    return;
+  }
+
+  if (!isEqual(before, after)) {
+    changes.push({ field, path: pointer, before, after });
+  }
+}
+
+/**
+ * Changes between two versions of an event
+ * @param {Object} before - Old event
+ * @param {Object} after - New event
+ * @returns {FieldChange[]} Changes, empty when the events match
+ */
+export function diffEvent(before, after) {
+  const changes = [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (DIFF_CONFIG.IGNORED_FIELDS.includes(field)) return;
+    collectChanges(before?.[field], after?.[field], field, joinPointer('', field), changes);
+  });
+
+  return changes;
+}
+
+/**
+ * Index events by id (the last record wins for duplicate ids)
+ * @param {Object[]} events - Events
+ * @returns {Map<string, Object>}
+ */
+function indexById(events) {
+  const byId = new Map();
+  (events || []).forEach(event => {
+    if (event?.id !== undefined && event.id !== null) {
+      byId.set(String(event.id), event);
+    }
+  });
+  return byId;
+}
+
+/**
+ * Compare two versions of an events file by event id
+ * @param {Object[]} beforeEvents - Events of the old version
+ * @param {Object[]} afterEvents - Events of the new version
+ * @returns {EventsDiff}
+ */
+export function diffEvents(beforeEvents, afterEvents) {
+  const before = indexById(beforeEvents);
+  const after = indexById(afterEvents);
+  const diff = { added: [], removed: [], modified: [], unchanged: 0 };
+
+  after.forEach((event, id) => {
+    if (!before.has(id)) {
+      diff.added.push(event);
+      return;
+    }
+
+    const previous = before.get(id);
+    const changes = diffEvent(previous, event);
+    if (changes.length > 0) {
+      diff.modified.push({ id, title: event.title || previous.title || id, changes, before: previous, after: event });
+    } else {
+      diff.unchanged++;
+    }
+  });
+
+  before.forEach((event, id) => {
+    if (!after.has(id)) diff.removed.push(event);
+  });
+
+  return diff;
+}
+
+/**
+ * Compare two sets of event ids (e.g. a stored snapshot with the events loaded now)
+ * @param {Iterable<string>} previousIds - Earlier ids
+ * @param {Iterable<string>} currentIds - Current ids
+ * @returns {{added: string[], removed: string[]}}
+ */
+export function diffEventIds(previousIds, currentIds) {
+  const previous = new Set(previousIds);
+  const current = new Set(currentIds);
+
+  return {
+    added: Array.from(current).filter(id => !previous.has(id)),
+    removed: Array.from(previous).filter(id => !current.has(id))
+  };
+}
+
+/**
+ * Short readable form of a value for change descriptions
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function describeValue(value) {
+  if (value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Readable one-line form of a change
+ * @param {FieldChange} change - Change
+ * @returns {string} `pointer: old → new`
+ */
+export function formatChange(change) {
+  return `${change.path}: ${describeValue(change.before)} → ${describeValue(change.after)}`;
+}
+
+/**
+ * Count of changed events in a diff
+ * @param {EventsDiff} diff - Diff
+ * @returns {number}
+ */
+export function countChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.modified.length;
+}
+
+export { DIFF_CONFIG };
+
+console.log('🔀 Event diff loaded');
\ No newline at end of file
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Event export: GeoJSON, CSV and native events.YEAR.json
+ * Every export carries a provenance header with the active filters and the data file versions.
+ * @requires ./dataLoader.js
+ * @requires ./datasets.js
+ */
+
+import { getDataStats } from './dataLoader.js';
+import { listDatasets } from './datasets.js';
+import { formatCsv } from './utils/csv.js';
+import { describeShape } from './utils/geo.js';
+
+/**
+ * @typedef {Object} ExportProvenance
+ * @property {string} generator - Application name
+ * @property {string} exportedAt - ISO timestamp of the export
+ * @property {number} eventCount - Events in the export
+ * @property {string[]} filters - Active filters, one readable line each
+ * @property {Object} filterState - Active filter values
+ * @property {{schemaVersion: number, updated: string}} index - Events index version
+ * @property {{year: (number|string), file: string, count: number, schemaVersion: number}[]} dataFiles - Catalogue data files
+ * @property {{label: string, format: string, count: number, visible: boolean}[]} importedDatasets - Imported files
+ */
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} id - Format id
+ * @property {string} label - Display label
+ * @property {string} extension - File extension
+ * @property {string} mimeType - Content type
+ * @property {function(import('./types.js').EventRecord[], ExportProvenance): {fileName: string, content: string}[]} serialize
+ */
+
+/**
+ * Export configuration
+ */
+const EXPORT_CONFIG = {
+  GENERATOR: 'Interactive Earth Story Map',
+  FILE_PREFIX: 'earth-events',
+  // Structure version of native events files (see validateEventFile)
+  NATIVE_FILE_VERSION: 1,
+  // Runtime-only fields added after loading (reference data enrichment, import tagging)
+  RUNTIME_FIELDS: ['instrumentData', 'typeData', 'datasetId'],
+  // Fields derived from coordinates on every load
+  DERIVED_FIELDS: ['region', 'country', 'countryName']
+};
+
+/**
+ * Event record without runtime-only fields
+ * @param {import('./types.js').EventRecord} event - Event
+ * @param {string[]} omit - Fields to drop
+ * @returns {Object}
+ */
+function toPlainRecord(event, omit) {
+  return Object.fromEntries(Object.entries(event).filter(([key]) => !omit.includes(key)));
+}
+
+/**
+ * Export geometry: the footprint, else the bounds as a polygon, else the point
+ * Bounds crossing the antimeridian (west > east) become one polygon on each side of it.
+ * @param {import('./types.js').EventCoordinates} coordinates - Event coordinates
+ * @returns {Object} GeoJSON geometry
+ */
+function getExportGeometry(coordinates) {
+  if (coordinates.footprint) return coordinates.footprint;
+
+  const bounds = coordinates.bounds;
+  if (bounds) {
+    const { north, south, east, west } = bounds;
+    const box = (from, to) => [[[from, south], [to, south], [to, north], [from, north], [from, south]]];
+    return west > east ?
+      { type: 'MultiPolygon', coordinates: [box(west, 180), box(-180, east)] } :
+      { type: 'Polygon', coordinates: box(west, east) };
+  }
+
+  return { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] };
+}
+
+/**
+ * Flatten nested metadata to dot paths (arrays become JSON)
+ * @param {Object} metadata - Event metadata
+ * @param {string} [prefix='metadata'] - Path prefix
+ * @returns {Object<string, *>}
+ */
+function flattenMetadata(metadata, prefix = 'metadata') {
+  const flat = {};
+
+  Object.entries(metadata || {}).forEach(([key, value]) => {
+    const path = `${prefix}.${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenMetadata(value, path));
+    } else {
+      flat[path] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Date stamp for file names
+ * @param {string} isoTimestamp - ISO timestamp
+ * @returns {string} YYYYMMDD
+ */
+function getDateStamp(isoTimestamp) {
+  return isoTimestamp.slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Export formats by id
+ * @type {Object<string, ExportFormat>}
+ */
+const EXPORT_FORMATS = {
+  geojson: {
+    id: 'geojson',
+    label: 'GeoJSON',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+
+    serialize(events, provenance) {
+      const collection = {
+        type: 'FeatureCollection',
+        // Foreign member (RFC 7946 section 6.1), ignored by GeoJSON readers that do not know it
+        provenance,
+        features: events.map(event => {
+          const { coordinates, ...properties } = toPlainRecord(event, EXPORT_CONFIG.RUNTIME_FIELDS);
+          return {
+            type: 'Feature',
+            id: event.id,
+            geometry: getExportGeometry(coordinates),
+            properties: { ...properties, lat: coordinates.lat, lng: coordinates.lng }
+          };
+        })
+      };
+
+      return [{
+        fileName: `${EXPORT_CONFIG.FILE_PREFIX}-${getDateStamp(provenance.exportedAt)}.geojson`,
+        content: JSON.stringify(collection, null, 2)
+      }];
+    }
+  },
+
+  csv: {
+    id: 'csv',
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+
+    serialize(events, provenance) {
+      const rows = events.map(event => {
+        const { coordinates, location, metadata } = event;
+        return {
+          id: event.id,
+          title: event.title,
+          timestamp: event.timestamp,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          type: event.type,
+          severity: event.severity,
+          instrument: event.instrument,
+          satellite: event.satellite,
+          latitude: coordinates.lat,
+          longitude: coordinates.lng,
+          north: coordinates.bounds?.north,
+          south: coordinates.bounds?.south,
+          east: coordinates.bounds?.east,
+          west: coordinates.bounds?.west,
+          location: location?.name,
+          region: event.region,
+          country: event.country,
+          confidence: event.confidence,
+          description: event.description,
+          sources: (event.sources || []).join(' '),
+          ...flattenMetadata(metadata)
+        };
+      });
+
+      // Fixed columns first, then every metadata path that occurs
+      const headers = [];
+      rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+      }));
+
+      const header = [
+        `${provenance.generator} export, ${provenance.exportedAt}`,
+        `Events: ${provenance.eventCount}`,
+        `Filters: ${provenance.filters.join('; ') || 'none'}`,
+        `Events index: schema ${provenance.index.schemaVersion}, updated ${provenance.index.updated}`,
+        ...provenance.dataFiles.map(file => `Data file: ${file.file} (schema ${file.schemaVersion}, ${file.count} events)`),
+        ...provenance.importedDatasets.map(dataset => `Imported: ${dataset.label} (${dataset.format}, ${dataset.count} events)`)
+      ].map(line => `# ${line.replace(/[\r\n]+/g, ' ')}`).join('\r\n');
+
+      return [{
+        fileName: `${EXPORT_CONFIG.FILE_PREFIX}-${getDateStamp(provenance.exportedAt)}.csv`,
+        content: `${header}\r\n${formatCsv(headers, rows)}`
+      }];
+    }
+  },
+
+  json: {
+    id: 'json',
+    label: 'Events JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+
+    // Native files hold one year each, so a multi-year selection yields one file per year
+    serialize(events, provenance) {
+      const years = new Map();
+      events.forEach(event => {
+        const year = new Date(event.timestamp).getUTCFullYear();
+        if (!years.has(year)) years.set(year, []);
+        years.get(year).push(toPlainRecord(event, [...EXPORT_CONFIG.RUNTIME_FIELDS, ...EXPORT_CONFIG.DERIVED_FIELDS]));
+      });
+
+      return Array.from(years.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([year, records]) => ({
+          fileName: `events.${year}.json`,
+          content: JSON.stringify({
+            schemaVersion: EXPORT_CONFIG.NATIVE_FILE_VERSION,
+            year,
+            provenance: { ...provenance, eventCount: records.length },
+            events: records
+          }, null, 2)
+        }));
+    }
+  }
+};
+
+/**
+ * Readable lines for the active filters
+ * @param {import('./types.js').FilterState} filters - Filter state
+ * @returns {string[]}
+ */
+export function describeFilters(filters = {}) {
+  const lines = [];
+  const datasetLabels = new Map(listDatasets().map(dataset => [dataset.id, dataset.label]));
+
+  if (filters.searchQuery) lines.push(`Search: "${filters.searchQuery}"`);
+  if (filters.eventTypes?.length > 0) lines.push(`Types: ${filters.eventTypes.join(', ')}`);
+  if (filters.severityLevels?.length > 0) lines.push(`Severity levels: ${filters.severityLevels.join(', ')}`);
+  if (filters.dateRange?.start || filters.dateRange?.end) {
+    lines.push(`Dates: ${filters.dateRange.start || '…'} to ${filters.dateRange.end || '…'}`);
+  }
+  if (filters.regions?.length > 0) lines.push(`Regions: ${filters.regions.join(', ')}`);
+  if (filters.spatial) lines.push(`Area: ${describeShape(filters.spatial)}`);
+  if (filters.hiddenDatasets?.length > 0) {
+    lines.push(`Hidden imports: ${filters.hiddenDatasets.map(id => datasetLabels.get(id) || id).join(', ')}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Build the provenance header for an export
+ * @param {import('./types.js').EventRecord[]} events - Exported events
+ * @param {import('./types.js').FilterState} filters - Active filters
+ * @returns {Promise<ExportProvenance>}
+ */
+export async function buildProvenance(events, filters = {}) {
+  const stats = await getDataStats();
+  const { isActive, ...filterState } = filters;
+
+  return {
+    generator: EXPORT_CONFIG.GENERATOR,
+    exportedAt: new Date().toISOString(),
+    eventCount: events.length,
+    filters: describeFilters(filters),
+    filterState,
+    index: {
+      schemaVersion: stats.schemaVersion,
+      updated: stats.lastUpdated
+    },
+    dataFiles: stats.years.map(entry => ({
+      year: entry.year,
+      file: entry.file,
+      count: entry.count,
+      schemaVersion: entry.schemaVersion ?? stats.schemaVersion
+    })),
+    importedDatasets: listDatasets().map(({ label, format, count, visible }) => ({ label, format, count, visible }))
+  };
+}
+
+/**
+ * Serialize events for download
+ * @param {import('./types.js').EventRecord[]} events - Events to export
+ * @param {string} formatId - Export format id
+ * @param {import('./types.js').FilterState} [filters] - Filters that produced the events
+ * @returns {Promise<{fileName: string, content: string, mimeType: string}[]>} Files to save
+ */
+export async function exportEvents(events, formatId, filters = {}) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  const provenance = await buildProvenance(events, filters);
+  const files = format.serialize(events, provenance);
+
+  console.log(`📤 Exported ${events.length} events as ${format.label} (${files.length} file${files.length === 1 ? '' : 's'})`);
+  return files.map(file => ({ ...file, mimeType: format.mimeType }));
+}
+
+export { EXPORT_CONFIG, EXPORT_FORMATS };
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Event filter predicate
+ * Shared by the filters panel, map, timeline and story mode so every view applies the same filter state
+ */
+
+import { isPointInShape } from './utils/geo.js';
+import { getEventSpan } from './eventSchema.js';
+
+/**
+ * Numeric level (1-5, as on the severity slider) for each event severity
+ */
+const SEVERITY_LEVEL_MAP = {
+  low: 2,
+  medium: 3,
+  high: 4,
+  critical: 5
+};
+
+/**
+ * Get numeric severity level of an event
+ * @param {import('./types.js').EventRecord} event - Event
+ * @returns {number} Level from 1 (minor) to 5 (extreme)
+ */
+export function getSeverityLevel(event) {
+  if (typeof event.severity === 'number') return event.severity;
+  return SEVERITY_LEVEL_MAP[event.severity] || 1;
+}
+
+/**
+ * Get event position from either coordinate shape in use
+ * @param {import('./types.js').EventRecord} event - Event
+ * @returns {import('./types.js').Coordinates|null}
+ */
+function getEventPosition(event) {
+  const coordinates = event.coordinates || event.location?.coordinates;
+  if (coordinates && typeof coordinates.lat === 'number' && typeof coordinates.lng === 'number') {
+    return coordinates;
+  }
+  if (typeof event.latitude === 'number' && typeof event.longitude === 'number') {
+    return { lat: event.latitude, lng: event.longitude };
+  }
+  return null;
+}
+
+/**
+ * Create filter predicate from filter state
+ * Accepts the live filter state as well as the store's JSON copy (where dates are strings).
+ * @param {import('./types.js').FilterState} filters - Filter state
+ * @returns {function(import('./types.js').EventRecord): boolean} Filter function
+ */
+export function createEventFilter(filters = {}) {
+  const eventTypes = filters.eventTypes || [];
+  const severityLevels = filters.severityLevels || [];
+  const regions = filters.regions || [];
+  const dateStart = filters.dateRange?.start ? new Date(filters.dateRange.start) : null;
+  const dateEnd = filters.dateRange?.end ? new Date(filters.dateRange.end) : null;
+  const query = (filters.searchQuery || '').toLowerCase();
+  const spatial = filters.spatial || null;
+  const hiddenDatasets = filters.hiddenDatasets || [];
+
+  return (event) => {
+    // Imported datasets switched off in the import panel
+    if (event.datasetId && hiddenDatasets.includes(event.datasetId)) {
+      return false;
+    }
+
+    // Search query filter
+    if (query) {
+      const searchableText = [
+        event.title,
+        event.description || '',
+        event.location?.name || ''
+      ].join(' ').toLowerCase();
+
+      if (!searchableText.includes(query)) {
+        return false;
+      }
+    }
+
+    // Event type filter
+    if (eventTypes.length > 0) {
+      if (!eventTypes.includes(event.type)) {
+        return false;
+      }
+    }
+
+    // Severity filter
+    if (severityLevels.length > 0) {
+      if (!severityLevels.includes(getSeverityLevel(event))) {
+        return false;
+      }
+    }
+
+    // Date range filter (events with a span match when it overlaps the range)
+    if (dateStart || dateEnd) {
+      const { start, end } = event.timestamp ?
+        getEventSpan(event) :
+        { start: new Date(event.date).getTime(), end: new Date(event.date).getTime() };
+
+      if (dateStart && end < dateStart) {
+        return false;
+      }
+
+      if (dateEnd && start > dateEnd) {
+        return false;
+      }
+    }
+
+    // Region filter (continent ids and ISO country codes share one list)
+    if (regions.length > 0) {
+      if (!regions.includes(event.region) && !regions.includes(event.country)) {
+        return false;
+      }
+    }
+
+    // Spatial filter (drawn on the map)
+    if (spatial) {
+      const position = getEventPosition(event);
+      if (!position || !isPointInShape(spatial, position.lat, position.lng)) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
\ No newline at end of file
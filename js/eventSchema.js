@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Canonical event record and normalization
+ * Maps every known event input shape onto one versioned record so map, timeline and popup
+ * can rely on the same fields.
+ */
+
+/**
+ * Version of the canonical in-memory event record
+ */
+const EVENT_SCHEMA_VERSION = 2;
+
+/**
+ * Severity names for numeric levels (1-5, as on the severity slider)
+ */
+const SEVERITY_NAMES = ['low', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Record upgrades, applied in order from the detected version up to EVENT_SCHEMA_VERSION
+ *
+ * - 0: unversioned legacy shapes (sampleData.js, events.mock.json, story mode's flat
+ *      `latitude`/`longitude` records) with `location.coordinates`, `date` and `summary`
+ * - 1: data/events.*.json records with top-level `coordinates`, `timestamp` and `description`
+ * - 2: canonical record: version 1 with every field consumers read guaranteed and normalized,
+ *      plus the optional `startTime`/`endTime` span of events lasting days or weeks
+ *
+ * @type {Object<number, function(Object): Object>}
+ */
+const EVENT_UPGRADES = {
+  0: upgradeLegacyRecord,
+  1: upgradeDataFileRecord
+};
+
+/**
+ * Guess the schema version of a raw record
+ * @param {Object} raw - Raw event
+ * @param {number} [fileVersion] - schemaVersion of the file the record came from
+ * @returns {number}
+ */
+export function detectEventVersion(raw, fileVersion) {
+  if (Number.isInteger(raw.schemaVersion)) return raw.schemaVersion;
+
+  const legacy = raw.location?.coordinates || raw.date !== undefined || raw.summary !== undefined ||
+    raw.latitude !== undefined || raw.anomaly_type !== undefined;
+  if (legacy && !raw.coordinates && !raw.timestamp) return 0;
+
+  return Number.isInteger(fileVersion) ? fileVersion : 1;
+}
+
+/**
+ * Version 0 → 1: move legacy fields to their data-file names
+ * @param {Object} raw - Legacy record
+ * @returns {Object} Version 1 record
+ */
+function upgradeLegacyRecord(raw) {
+  const {
+    location, date, summary, latitude, longitude, anomaly_type: anomalyType, confidence,
+    mapPosition, ...rest
+  } = raw;
+
+  const coordinates = raw.coordinates || location?.coordinates ||
+    (latitude !== undefined ? { lat: latitude, lng: longitude } : undefined);
+
+  const record = {
+    ...rest,
+    type: raw.type || anomalyType,
+    timestamp: raw.timestamp || date,
+    description: raw.description ?? summary,
+    coordinates: coordinates ? { ...coordinates } : undefined,
+    metadata: { ...(raw.metadata || {}) },
+    schemaVersion: 1
+  };
+
+  if (location?.name) record.location = { name: location.name };
+  if (confidence !== undefined && record.metadata.confidence === undefined) {
+    record.metadata.confidence = confidence;
+  }
+
+  return record;
+}
+
+/**
+ * Version 1 → 2: fill and normalize the fields every consumer reads
+ * @param {Object} raw - Version 1 record
+ * @returns {Object} Canonical record
+ */
+function upgradeDataFileRecord(raw) {
+  const metadata = { ...(raw.metadata || {}) };
+  const coordinates = raw.coordinates ? {
+    ...raw.coordinates,
+    lat: toNumber(raw.coordinates.lat),
+    lng: toNumber(raw.coordinates.lng)
+  } : undefined;
+
+  const record = {
+    ...raw,
+    schemaVersion: 2,
+    id: raw.id !== undefined ? String(raw.id) : raw.id,
+    type: typeof raw.type === 'string' ? raw.type.toLowerCase() : raw.type,
+    title: raw.title || humanizeType(raw.type),
+    description: raw.description ?? metadata.description ?? '',
+    timestamp: normalizeTimestamp(raw.timestamp),
+    severity: normalizeSeverity(raw.severity),
+    instrument: typeof raw.instrument === 'string' ? raw.instrument.toLowerCase() : raw.instrument,
+    coordinates,
+    location: { name: raw.location?.name || '' },
+    confidence: normalizeConfidence(raw.confidence ?? metadata.confidence),
+    metadata,
+    sources: Array.isArray(raw.sources) ? raw.sources : []
+  };
+
+  // Optional span; only added when the source gives it
+  if (raw.startTime !== undefined) record.startTime = normalizeTimestamp(raw.startTime);
+  if (raw.endTime !== undefined) record.endTime = normalizeTimestamp(raw.endTime);
+
+  return record;
+}
+
+/**
+ * Coerce numeric strings (as found in CSV-derived data) to numbers
+ * @param {*} value - Value
+ * @returns {*} Number when convertible, otherwise the value unchanged
+ */
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Normalize a timestamp to an ISO 8601 string
+ * @param {string|number|Date} value - Timestamp
+ * @returns {string|undefined} ISO string, or the original value when it cannot be parsed
+ */
+function normalizeTimestamp(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+/**
+ * Time in milliseconds of a timestamp
+ * @param {string|number|Date} value - Timestamp
+ * @returns {number} NaN when missing or unparseable
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  return new Date(value).getTime();
+}
+
+/**
+ * Normalize severity to a severity name
+ * @param {string|number} value - Severity name or numeric level
+ * @returns {string} 'low', 'medium', 'high' or 'critical' (unknown names pass through lowercased)
+ */
+function normalizeSeverity(value) {
+  if (typeof value === 'number') {
+    return SEVERITY_NAMES[Math.min(Math.max(Math.round(value), 1), 5) - 1];
+  }
+  if (typeof value === 'string' && value.trim()) {
+    return value.trim().toLowerCase();
+  }
+  return 'medium';
+}
+
+/**
+ * Normalize confidence to a percentage
+ * @param {number|string} value - Confidence as 0-1 fraction or 0-100 percentage
+ * @returns {number|null}
+ */
+function normalizeConfidence(value) {
+  const number = toNumber(value);
+  if (typeof number !== 'number' || Number.isNaN(number)) return null;
+  return number <= 1 ? Math.round(number * 1000) / 10 : number;
+}
+
+/**
+ * Title for events that have none
+ * @param {string} type - Event type
+ * @returns {string}
+ */
+function humanizeType(type) {
+  if (!type) return 'Untitled event';
+  const words = String(type).replace(/_/g, ' ');
+  return `${words.charAt(0).toUpperCase()}${words.slice(1)} event`;
+}
+
+/**
+ * Normalize one raw event to the canonical record
+ * Records newer than EVENT_SCHEMA_VERSION are returned unchanged (validation reports them).
+ * @param {Object} raw - Raw event in any known shape
+ * @param {number} [fileVersion] - schemaVersion of the file the record came from
+ * @returns {import('./types.js').EventRecord} Canonical event
+ */
+export function normalizeEvent(raw, fileVersion) {
+  if (!raw || typeof raw !== 'object') return raw;
+
+  let version = detectEventVersion(raw, fileVersion);
+  if (version > EVENT_SCHEMA_VERSION) {
+    console.warn(`⚠️ Event ${raw.id} has schema version ${version}, newer than supported ${EVENT_SCHEMA_VERSION}`);
+    return raw;
+  }
+
+  let record = raw;
+  while (version < EVENT_SCHEMA_VERSION) {
+    record = EVENT_UPGRADES[version](record);
+    version++;
+  }
+
+  return record;
+}
+
+/**
+ * Time span of an event
+ * `startTime`/`endTime` when given (a missing side is the timestamp); otherwise the dates of the
+ * `timeline` entries together with the timestamp. Events with neither start and end at their
+ * timestamp, and so do spans that end before they start (validation reports those).
+ * @param {import('./types.js').EventRecord} event - Event
+ * @returns {{start: number, end: number}} Start and end (ms); NaN without a timestamp or span
+ */
+export function getEventSpan(event) {
+  const time = toTime(event.timestamp);
+  let start = toTime(event.startTime);
+  let end = toTime(event.endTime);
+
+  if (Number.isNaN(start) && Number.isNaN(end) && Array.isArray(event.timeline)) {
+    const times = event.timeline.map(entry => toTime(entry?.date)).filter(value => !Number.isNaN(value));
+    if (!Number.isNaN(time)) times.push(time);
+    if (times.length > 0) {
+      start = Math.min(...times);
+      end = Math.max(...times);
+    }
+  }
+
+  if (Number.isNaN(start)) start = time;
+  if (Number.isNaN(end)) end = time;
+  if (end < start) return { start: time, end: time };
+
+  return { start, end };
+}
+
+/**
+ * Whether an event lasts rather than happening at one instant
+ * @param {import('./types.js').EventRecord} event - Event
+ * @returns {boolean}
+ */
+export function hasEventSpan(event) {
+  const { start, end } = getEventSpan(event);
+  return end > start;
+}
+
+/**
+ * Normalize a list of raw events
+ * @param {Object[]} events - Raw events
+ * @param {number} [fileVersion] - schemaVersion of the file the events came from
+ * @returns {import('./types.js').EventRecord[]} Canonical events
+ */
+export function normalizeEvents(events, fileVersion) {
+  return (events || []).map(event => normalizeEvent(event, fileVersion));
+}
+
+export { EVENT_SCHEMA_VERSION };
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview "New since last visit" tracking
+ * Keeps a snapshot of the catalogue event ids seen so far in localStorage, grouped by calendar
+ * year, and compares the events loaded now against the snapshot from the previous visit. Ids
+ * missing from it are new; years the previous visit never loaded have no baseline and report
+ * nothing, so lazily loaded years are not mistaken for new data. Changes to the set of new ids
+ * are announced as `newEventsChanged`. Imported datasets are not tracked.
+ * @requires ./store.js
+ * @requires ./eventDiff.js
+ */
+
+import { eventBus } from './store.js';
+import { diffEventIds } from './eventDiff.js';
+
+/**
+ * @typedef {Object} VisitSnapshot
+ * @property {number} version - Snapshot format version
+ * @property {string} savedAt - ISO time the snapshot was written
+ * @property {Object<string, string[]>} years - Event ids by calendar year
+ */
+
+/**
+ * Last visit configuration
+ */
+const LAST_VISIT_CONFIG = {
+  STORAGE_KEY: 'earth-story-map:lastVisit',
+  SNAPSHOT_VERSION: 1,
+  SAVE_DELAY: 2000
+};
+
+/**
+ * Snapshot from the previous visit (null on a first visit or without localStorage)
+ * @type {VisitSnapshot|null}
+ */
+const previousSnapshot = readSnapshot();
+
+/**
+ * Ids seen on this or earlier visits, by calendar year; written back as the next snapshot
+ * @type {Map<string, Set<string>>}
+ */
+const seenIds = new Map(
+  Object.entries(previousSnapshot?.years || {}).map(([year, ids]) => [year, new Set(ids)])
+);
+
+/**
+ * Ids of loaded events that the previous visit had not seen
+ * @type {Set<string>}
+ */
+const newIds = new Set();
+
+let saveTimer = null;
+
+/**
+ * Read the stored snapshot
+ * @returns {VisitSnapshot|null}
+ */
+function readSnapshot() {
+  try {
+    const text = globalThis.localStorage?.getItem(LAST_VISIT_CONFIG.STORAGE_KEY);
+    const snapshot = text ? JSON.parse(text) : null;
+    if (snapshot?.version !== LAST_VISIT_CONFIG.SNAPSHOT_VERSION || typeof snapshot.years !== 'object') {
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.warn('⚠️ Could not read last visit snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Write the ids seen so far as the snapshot for the next visit
+ */
+function saveSnapshot() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const years = {};
+  seenIds.forEach((ids, year) => {
+    years[year] = Array.from(ids);
+  });
+
+  try {
+    globalThis.localStorage?.setItem(LAST_VISIT_CONFIG.STORAGE_KEY, JSON.stringify({
+      version: LAST_VISIT_CONFIG.SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      years
+    }));
+  } catch (error) {
+    // Quota exceeded or storage disabled; highlighting still works for this visit
+    console.warn('⚠️ Could not save last visit snapshot:', error);
+  }
+}
+
+/**
+ * Save the snapshot once loading settles
+ */
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveSnapshot, LAST_VISIT_CONFIG.SAVE_DELAY);
+}
+
+/**
+ * Calendar year key of an event
+ * @param {import('./types.js').EventRecord} event - Event
+ * @returns {string}
+ */
+function getYearKey(event) {
+  return String(new Date(event.timestamp).getUTCFullYear());
+}
+
+/**
+ * Compare loaded events with the previous snapshot and remember their ids
+ * @param {import('./types.js').EventRecord[]} events - Loaded events
+ */
+function trackEvents(events) {
+  const byYear = new Map();
+  events.forEach(event => {
+    if (event.datasetId || event.id === undefined) return;
+    const year = getYearKey(event);
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(String(event.id));
+  });
+
+  let changed = false;
+  byYear.forEach((ids, year) => {
+    const previousIds = previousSnapshot?.years[year];
+    if (previousIds) {
+      diffEventIds(previousIds, ids).added.forEach(id => {
+        if (!newIds.has(id)) {
+          newIds.add(id);
+          changed = true;
+        }
+      });
+    }
+
+    if (!seenIds.has(year)) seenIds.set(year, new Set());
+    ids.forEach(id => seenIds.get(year).add(id));
+  });
+
+  if (byYear.size > 0) scheduleSave();
+  if (changed) emitChange();
+}
+
+/**
+ * Announce the current set of new ids
+ */
+function emitChange() {
+  eventBus.emit('newEventsChanged', {
+    ids: Array.from(newIds),
+    since: getLastVisitTime()
+  });
+}
+
+/**
+ * Whether an event is new since the last visit
+ * @param {string} id - Event id
+ * @returns {boolean}
+ */
+export function isNewSinceLastVisit(id) {
+  return newIds.has(String(id));
+}
+
+/**
+ * Ids of the loaded events that are new since the last visit
+ * @returns {string[]}
+ */
+export function getNewEventIds() {
+  return Array.from(newIds);
+}
+
+/**
+ * Time of the previous visit's snapshot
+ * @returns {string|null} ISO time, null on a first visit
+ */
+export function getLastVisitTime() {
+  return previousSnapshot?.savedAt || null;
+}
+
+/**
+ * Stop highlighting new events and save the snapshot now
+ */
+export function markAllSeen() {
+  saveSnapshot();
+  if (newIds.size === 0) return;
+
+  newIds.clear();
+  emitChange();
+}
+
+// Loaded years, streamed batches and imported datasets all arrive through these
+eventBus.on('eventsLoaded', (events) => {
+  trackEvents(events || []);
+});
+
+eventBus.on('eventsBatchLoaded', ({ events }) => {
+  trackEvents(events || []);
+});
+
+eventBus.on('cleanup', () => {
+  if (saveTimer) saveSnapshot();
+});
+
+if (typeof window !== 'undefined') {
+  // Keep ids seen in the last seconds before the page closes
+  window.addEventListener('pagehide', () => {
+    if (saveTimer) saveSnapshot();
+  });
+}
+
+export { LAST_VISIT_CONFIG };
+
+console.log('🆕 Last visit tracking loaded');
\ No newline at end of file
@@ -6,6 +6,8 @@
 import './types.js';
 import { store, actions, eventBus } from './store.js';
 import { loadEvents, preloadData } from './dataLoader.js';
+import { loadInitialYears } from './yearLoader.js';
+import './lastVisit.js'; // Tracks new events from the first batch on
 import { initAccessibility } from './accessibility.js';
 import { domReady } from './utils/dom.js';
 
@@ -20,7 +22,8 @@ const APP_CONFIG = {
   data: {
     loadMetadata: true,
     cacheTTL: 10 * 60 * 1000, // 10 minutes
-    preloadCurrentYear: true
+    preloadCurrentYear: true,
+    lazyYears: true // Load the latest year first, others when the timeline or date filter reaches them
   },
   modules: {
     timeline: true,
@@ -28,7 +31,9 @@ const APP_CONFIG = {
     story: true,
     filters: true,
     notifications: true,
-    popup: true
+    popup: true,
+    dataImport: true,
+    dataExport: true
   }
 };
 
@@ -90,7 +95,7 @@ async function loadModules() {
     {
       name: 'timeline',
       loader: async () => {
-        const { initTimeline } = await import('../timeline-enhanced.js');
+        const { initTimeline } = await import('../timeline.js');
         return initTimeline();
       }
     },
@@ -128,6 +133,20 @@ async function loadModules() {
         const { initPopup } = await import('../popup-enhanced.js');
         return initPopup();
       }
+    },
+    {
+      name: 'dataImport',
+      loader: async () => {
+        const { initDataImport } = await import('../dataImport.js');
+        return initDataImport();
+      }
+    },
+    {
+      name: 'dataExport',
+      loader: async () => {
+        const { initDataExport } = await import('../dataExport.js');
+        return initDataExport();
+      }
     }
   ];
 
@@ -244,15 +263,18 @@ async function initializeApp() {
       await preloadData();
     }
     
-    // Load event data
+    // Load event data; batches stream into the store while the modules start up
     console.log('📡 Loading application data...');
-    await loadEvents({
+    const loadOptions = {
       includeMetadata: APP_CONFIG.data.loadMetadata,
       forceRefresh: false
-    });
+    };
+    const eventsLoading = APP_CONFIG.data.lazyYears ?
+      loadInitialYears(loadOptions) :
+      loadEvents(loadOptions);
     
     // Load and initialize modules
-    await loadModules();
+    await Promise.all([loadModules(), eventsLoading]);
     
     // Setup demo mode if enabled
     if (APP_CONFIG.enableDemoMode) {
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview World basemap renderer
+ * Draws country polygons from a bundled low-resolution GeoJSON file onto the map canvas
+ */
+
+/**
+ * Basemap configuration
+ */
+const BASEMAP_CONFIG = {
+  url: './data/world.geo.json',
+  spaceColor: '#05070d', // Background around globe projections
+  graticuleStep: 30, // Degrees between graticule lines
+  graticuleResolution: 2 // Degrees between sampled points along a graticule line
+};
+
+/**
+ * Colour palettes per map layer
+ */
+const BASEMAP_STYLES = {
+  satellite: {
+    ocean: '#0b2545',
+    land: '#2f5d3a',
+    border: '#8fb996',
+    graticule: '#ffffff1a'
+  },
+  terrain: {
+    ocean: '#a5c8e4',
+    land: '#d9c8a0',
+    border: '#8c7851',
+    graticule: '#0000001a'
+  },
+  street: {
+    ocean: '#aadaff',
+    land: '#f2efe9',
+    border: '#b9a8c9',
+    graticule: '#0000000f'
+  },
+  hybrid: {
+    ocean: '#0b2545',
+    land: '#2f5d3a',
+    border: '#f5f5f5',
+    graticule: '#ffffff33'
+  },
+  density: {
+    ocean: '#10141c',
+    land: '#2a2f3a',
+    border: '#4a5160',
+    graticule: '#ffffff14'
+  }
+};
+
+/**
+ * Loaded basemap data
+ * @type {{features: Object[]}|null}
+ */
+let basemapData = null;
+
+/**
+ * Pending load promise (shared between concurrent callers)
+ * @type {Promise<Object|null>|null}
+ */
+let loadPromise = null;
+
+/**
+ * Load basemap GeoJSON
+ * @param {string} [url] - GeoJSON URL
+ * @returns {Promise<Object|null>} Basemap data, or null when it could not be loaded
+ */
+export function loadBasemap(url = BASEMAP_CONFIG.url) {
+  if (basemapData) return Promise.resolve(basemapData);
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    try {
+      console.log('🌍 Loading world basemap...');
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`Failed to load basemap: ${response.status}`);
+      }
+
+      const geojson = await response.json();
+      if (geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+        throw new Error('Invalid basemap structure');
+      }
+
+      basemapData = geojson;
+      console.log(`✅ World basemap loaded: ${geojson.features.length} features`);
+      return basemapData;
+
+    } catch (error) {
+      console.warn('⚠️ World basemap unavailable, drawing graticule only:', error);
+      loadPromise = null;
+      return null;
+    }
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Get loaded basemap data
+ * @returns {Object|null} Basemap GeoJSON or null if not loaded yet
+ */
+export function getBasemap() {
+  return basemapData;
+}
+
+/**
+ * Draw basemap
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {function(number, number): import('./projections.js').ProjectedPoint} project - Projects lat/lng to canvas pixels
+ * @param {Object} [options] - Drawing options
+ * @param {string} [options.layer] - Map layer name selecting the palette
+ * @param {{cx: number, cy: number, r: number}|null} [options.outline] - Globe disc, for globe projections
+ */
+export function drawBasemap(ctx, project, options = {}) {
+  const { width, height } = ctx.canvas;
+  const style = BASEMAP_STYLES[options.layer] || BASEMAP_STYLES.satellite;
+  const outline = options.outline || null;
+
+  ctx.clearRect(0, 0, width, height);
+
+  // Ocean (the whole canvas, or the globe disc)
+  if (outline) {
+    ctx.fillStyle = BASEMAP_CONFIG.spaceColor;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(outline.cx, outline.cy, outline.r, 0, Math.PI * 2);
+    ctx.fillStyle = style.ocean;
+    ctx.fill();
+    ctx.clip();
+  } else {
+    ctx.fillStyle = style.ocean;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  drawGraticule(ctx, project, style);
+
+  if (basemapData) {
+    // Land
+    ctx.beginPath();
+    basemapData.features.forEach(feature => {
+      traceGeometry(ctx, feature.geometry, project);
+    });
+    ctx.fillStyle = style.land;
+    ctx.fill('evenodd');
+
+    // Borders
+    ctx.strokeStyle = style.border;
+    ctx.lineWidth = 0.5;
+    ctx.stroke();
+  }
+
+  if (outline) {
+    ctx.restore();
+
+    // Limb
+    ctx.beginPath();
+    ctx.arc(outline.cx, outline.cy, outline.r, 0, Math.PI * 2);
+    ctx.strokeStyle = style.border;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draw graticule lines
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {function(number, number): import('./projections.js').ProjectedPoint} project - Projection function
+ * @param {Object} style - Layer palette
+ */
+function drawGraticule(ctx, project, style) {
+  const { graticuleStep: step, graticuleResolution: res } = BASEMAP_CONFIG;
+
+  ctx.beginPath();
+
+  // Meridians
+  for (let lng = -180; lng <= 180; lng += step) {
+    let penDown = false;
+    for (let lat = -90; lat <= 90; lat += res) {
+      penDown = traceLinePoint(ctx, project(lat, lng), penDown);
+    }
+  }
+
+  // Parallels
+  for (let lat = -90 + step; lat < 90; lat += step) {
+    let penDown = false;
+    for (let lng = -180; lng <= 180; lng += res) {
+      penDown = traceLinePoint(ctx, project(lat, lng), penDown);
+    }
+  }
+
+  ctx.strokeStyle = style.graticule;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+}
+
+/**
+ * Add a point to an open polyline, lifting the pen over the far side of the globe
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {import('./projections.js').ProjectedPoint} point - Projected point
+ * @param {boolean} penDown - Whether the previous point was drawn
+ * @returns {boolean} Whether the pen is down after this point
+ */
+function traceLinePoint(ctx, point, penDown) {
+  if (point.visible === false) return false;
+
+  if (penDown) ctx.lineTo(point.x, point.y);
+  else ctx.moveTo(point.x, point.y);
+  return true;
+}
+
+/**
+ * Add a GeoJSON geometry to the current canvas path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {function(number, number): import('./projections.js').ProjectedPoint} project - Projection function
+ */
+function traceGeometry(ctx, geometry, project) {
+  if (!geometry) return;
+
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates :
+    geometry.type === 'Polygon' ? [geometry.coordinates] : [];
+
+  polygons.forEach(rings => {
+    rings.forEach(ring => {
+      const points = ring.map(([lng, lat]) => project(lat, lng));
+
+      // Rings entirely on the far side of a globe would otherwise fill the whole disc
+      if (!points.some(point => point.visible !== false)) return;
+
+      points.forEach(({ x, y }, index) => {
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+    });
+  });
+}
+
+export { BASEMAP_CONFIG, BASEMAP_STYLES };
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Zoom-aware grid clustering for map markers
+ * Groups markers that fall into the same screen-space cell so dense event sets stay readable
+ */
+
+/**
+ * Clustering configuration
+ */
+const CLUSTER_CONFIG = {
+  CELL_SIZE: 60, // Grid cell size in pixels
+  MIN_CLUSTER_SIZE: 2, // Fewer markers than this in a cell are drawn individually
+  MAX_ZOOM: 10 // At or above this zoom every marker is drawn individually
+};
+
+/**
+ * @typedef {Object} MarkerCluster
+ * @property {string} id - Cluster identifier (stable for a grid cell)
+ * @property {boolean} isCluster - Always true, distinguishes clusters from markers in hit testing
+ * @property {Object[]} markers - Member markers
+ * @property {number} count - Number of member markers
+ * @property {number} pixelX - Mean pixel X of the members
+ * @property {number} pixelY - Mean pixel Y of the members
+ * @property {number} lat - Mean latitude of the members
+ * @property {number} lng - Mean longitude of the members
+ * @property {string} dominantType - Most common event type among the members
+ * @property {Object<string, number>} typeCounts - Member count per event type
+ * @property {{north: number, south: number, east: number, west: number}} bounds - Member extent
+ */
+
+/**
+ * Cluster markers by screen-space grid cell
+ * @param {Object[]} markers - Markers with up-to-date pixelX/pixelY
+ * @param {Object} options - Clustering options
+ * @param {number} options.zoom - Current map zoom
+ * @param {{x: number, y: number}} [options.origin] - Pixel position the grid is anchored to, keeps cells stable while panning
+ * @param {number} [options.cellSize] - Grid cell size in pixels
+ * @returns {{clusters: MarkerCluster[], singles: Object[]}} Clusters and unclustered markers
+ */
+export function clusterMarkers(markers, options) {
+  const {
+    zoom,
+    origin = { x: 0, y: 0 },
+    cellSize = CLUSTER_CONFIG.CELL_SIZE
+  } = options;
+
+  if (zoom >= CLUSTER_CONFIG.MAX_ZOOM) {
+    return { clusters: [], singles: markers.slice() };
+  }
+
+  // Bucket markers into grid cells
+  const cells = new Map();
+  markers.forEach(marker => {
+    const col = Math.floor((marker.pixelX - origin.x) / cellSize);
+    const row = Math.floor((marker.pixelY - origin.y) / cellSize);
+    const key = `${col}:${row}`;
+
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(marker);
+  });
+
+  const clusters = [];
+  const singles = [];
+
+  cells.forEach((members, key) => {
+    if (members.length < CLUSTER_CONFIG.MIN_CLUSTER_SIZE) {
+      singles.push(...members);
+    } else {
+      clusters.push(createCluster(key, members));
+    }
+  });
+
+  return { clusters, singles };
+}
+
+/**
+ * Build a cluster from its member markers
+ * @param {string} key - Grid cell key
+ * @param {Object[]} members - Member markers
+ * @returns {MarkerCluster} Cluster
+ */
+function createCluster(key, members) {
+  const typeCounts = {};
+  let sumX = 0;
+  let sumY = 0;
+  let sumLat = 0;
+  let sumLng = 0;
+  const bounds = { north: -90, south: 90, east: -180, west: 180 };
+
+  members.forEach(marker => {
+    sumX += marker.pixelX;
+    sumY += marker.pixelY;
+    sumLat += marker.lat;
+    sumLng += marker.lng;
+
+    bounds.north = Math.max(bounds.north, marker.lat);
+    bounds.south = Math.min(bounds.south, marker.lat);
+    bounds.east = Math.max(bounds.east, marker.lng);
+    bounds.west = Math.min(bounds.west, marker.lng);
+
+    const type = marker.type || 'unknown';
+    typeCounts[type] = (typeCounts[type] || 0) + 1;
+  });
+
+  const dominantType = Object.entries(typeCounts)
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  return {
+    id: `cluster_${key}`,
+    isCluster: true,
+    markers: members,
+    count: members.length,
+    pixelX: sumX / members.length,
+    pixelY: sumY / members.length,
+    lat: sumLat / members.length,
+    lng: sumLng / members.length,
+    dominantType,
+    typeCounts,
+    bounds
+  };
+}
+
+/**
+ * Get drawn radius for a cluster
+ * @param {MarkerCluster} cluster - Cluster
+ * @returns {number} Radius in pixels
+ */
+export function getClusterRadius(cluster) {
+  return 12 + Math.log2(cluster.count) * 3;
+}
+
+export { CLUSTER_CONFIG };
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Spatial filter drawing on the map canvas
+ * Rectangle, polygon and radius tools producing shapes for the filter state
+ */
+
+import { on, isEditableElement } from '../utils/dom.js';
+import { distance, geoDistance } from '../utils/math.js';
+import { getShapeRing } from '../utils/geo.js';
+
+/**
+ * Draw tool configuration
+ */
+const DRAW_CONFIG = {
+  MIN_DRAG: 6, // Pixels a rectangle/radius drag must cover to count
+  CLOSE_DISTANCE: 10, // Pixels from the first polygon vertex that close the polygon
+  MIN_POLYGON_VERTICES: 3
+};
+
+/**
+ * Colours for committed and in-progress shapes
+ */
+const DRAW_STYLES = {
+  active: { fill: 'rgba(59, 130, 246, 0.12)', stroke: '#3B82F6' },
+  preview: { fill: 'rgba(6, 182, 212, 0.15)', stroke: '#06B6D4' }
+};
+
+/**
+ * Available drawing modes
+ */
+const DRAW_MODES = ['rect', 'polygon', 'radius'];
+
+/**
+ * Attach drawing tools to the map canvas
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} handlers - Map callbacks
+ * @param {function(number, number): (import('../types.js').Coordinates|null)} handlers.toGeo - Pixel to lat/lng, null off the map
+ * @param {function(import('../utils/geo.js').SpatialShape|null): void} handlers.onPreview - In-progress shape changed
+ * @param {function(import('../utils/geo.js').SpatialShape): void} handlers.onComplete - Shape finished
+ * @param {function(string|null): void} [handlers.onModeChange] - Mode switched
+ * @returns {{setMode: function(string|null): void, getMode: function(): (string|null), isActive: function(): boolean, consumeClick: function(): boolean, cancel: function(): void, detach: function(): void}} Draw controller
+ */
+export function attachDrawTool(canvas, handlers) {
+  let mode = null;
+  let drag = null;
+  let vertices = [];
+  let suppressClick = false;
+
+  /**
+   * Get pointer position relative to the canvas
+   * @param {PointerEvent|MouseEvent} event - Pointer event
+   * @returns {{x: number, y: number}}
+   */
+  function getPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * Switch drawing mode
+   * @param {string|null} nextMode - 'rect', 'polygon', 'radius' or null to stop drawing
+   */
+  function setMode(nextMode) {
+    if (nextMode !== null && !DRAW_MODES.includes(nextMode)) {
+      console.warn(`Unknown draw mode: ${nextMode}`);
+      return;
+    }
+
+    reset();
+    mode = nextMode;
+    canvas.classList.toggle('is-drawing', mode !== null);
+    handlers.onModeChange?.(mode);
+  }
+
+  /**
+   * Discard any in-progress shape
+   */
+  function reset() {
+    drag = null;
+    vertices = [];
+    handlers.onPreview(null);
+  }
+
+  /**
+   * Cancel drawing and leave draw mode
+   */
+  function cancel() {
+    if (mode !== null) setMode(null);
+  }
+
+  /**
+   * Finish with a shape and leave draw mode
+   * @param {import('../utils/geo.js').SpatialShape} shape - Finished shape
+   */
+  function complete(shape) {
+    setMode(null);
+    handlers.onComplete(shape);
+  }
+
+  /**
+   * Shape spanned by a drag
+   * @param {import('../types.js').Coordinates} start - Drag start
+   * @param {import('../types.js').Coordinates} end - Drag end
+   * @returns {import('../utils/geo.js').SpatialShape}
+   */
+  function dragShape(start, end) {
+    if (mode === 'radius') {
+      return {
+        type: 'radius',
+        center: { lat: start.lat, lng: start.lng },
+        radiusKm: geoDistance(start.lat, start.lng, end.lat, end.lng)
+      };
+    }
+
+    return {
+      type: 'rect',
+      north: Math.max(start.lat, end.lat),
+      south: Math.min(start.lat, end.lat),
+      east: Math.max(start.lng, end.lng),
+      west: Math.min(start.lng, end.lng)
+    };
+  }
+
+  /**
+   * Polygon from the placed vertices, optionally followed by the cursor
+   * @param {import('../types.js').Coordinates} [cursor] - Current pointer position
+   * @returns {import('../utils/geo.js').PolygonShape}
+   */
+  function polygonShape(cursor) {
+    const points = cursor ? [...vertices, { geo: cursor }] : vertices;
+    return {
+      type: 'polygon',
+      coordinates: points.map(({ geo }) => [geo.lng, geo.lat])
+    };
+  }
+
+  /**
+   * Close the polygon if it has enough vertices
+   */
+  function finishPolygon() {
+    if (vertices.length >= DRAW_CONFIG.MIN_POLYGON_VERTICES) {
+      complete(polygonShape());
+    }
+  }
+
+  function handlePointerDown(event) {
+    if (!mode || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+    const position = getPosition(event);
+    const geo = handlers.toGeo(position.x, position.y);
+    if (!geo) return;
+
+    event.preventDefault();
+    suppressClick = true;
+    canvas.setPointerCapture?.(event.pointerId);
+
+    if (mode === 'polygon') {
+      const first = vertices[0];
+      if (first && vertices.length >= DRAW_CONFIG.MIN_POLYGON_VERTICES &&
+        distance(first.x, first.y, position.x, position.y) <= DRAW_CONFIG.CLOSE_DISTANCE) {
+        finishPolygon();
+        return;
+      }
+
+      vertices.push({ x: position.x, y: position.y, geo });
+      handlers.onPreview(polygonShape());
+      return;
+    }
+
+    drag = { start: position, startGeo: geo };
+  }
+
+  function handlePointerMove(event) {
+    if (!mode) return;
+
+    const position = getPosition(event);
+    const geo = handlers.toGeo(position.x, position.y);
+    if (!geo) return;
+
+    if (mode === 'polygon') {
+      if (vertices.length > 0) handlers.onPreview(polygonShape(geo));
+    } else if (drag) {
+      handlers.onPreview(dragShape(drag.startGeo, geo));
+    }
+  }
+
+  function handlePointerUp(event) {
+    if (!mode || !drag) return;
+
+    canvas.releasePointerCapture?.(event.pointerId);
+
+    const position = getPosition(event);
+    const geo = handlers.toGeo(position.x, position.y);
+    const dragged = distance(drag.start.x, drag.start.y, position.x, position.y) >= DRAW_CONFIG.MIN_DRAG;
+
+    if (geo && dragged && event.type === 'pointerup') {
+      complete(dragShape(drag.startGeo, geo));
+    } else {
+      drag = null;
+      handlers.onPreview(null);
+    }
+  }
+
+  function handleDoubleClick(event) {
+    if (mode !== 'polygon') return;
+    event.preventDefault();
+
+    // The double-click's second press repeats the vertex placed by its first
+    const last = vertices[vertices.length - 1];
+    const previous = vertices[vertices.length - 2];
+    if (last && previous && distance(last.x, last.y, previous.x, previous.y) <= DRAW_CONFIG.MIN_DRAG) {
+      vertices.pop();
+    }
+    finishPolygon();
+  }
+
+  function handleKeydown(event) {
+    // Keys typed into the search box or filter inputs are not drawing commands
+    if (!mode || isEditableElement(event.target)) return;
+
+    switch (event.key) {
+      case 'Escape':
+        cancel();
+        break;
+      case 'Enter':
+        if (mode === 'polygon') finishPolygon();
+        break;
+      case 'Backspace':
+        if (mode === 'polygon' && vertices.length > 0) {
+          event.preventDefault();
+          vertices.pop();
+          handlers.onPreview(vertices.length > 0 ? polygonShape() : null);
+        }
+        break;
+    }
+  }
+
+  const cleanups = [
+    on(canvas, 'pointerdown', handlePointerDown),
+    on(canvas, 'pointermove', handlePointerMove),
+    on(canvas, 'pointerup', handlePointerUp),
+    on(canvas, 'pointercancel', handlePointerUp),
+    on(canvas, 'dblclick', handleDoubleClick),
+    on(document, 'keydown', handleKeydown)
+  ];
+
+  return {
+    setMode,
+    getMode: () => mode,
+    isActive: () => mode !== null,
+    cancel,
+
+    /**
+     * Check whether the click that follows a drawing gesture should be ignored
+     * @returns {boolean} True if the last pointer press was used for drawing
+     */
+    consumeClick() {
+      const wasDrawing = suppressClick;
+      suppressClick = false;
+      return wasDrawing;
+    },
+
+    /**
+     * Remove all drawing listeners
+     */
+    detach() {
+      cancel();
+      cleanups.forEach(cleanup => cleanup());
+    }
+  };
+}
+
+/**
+ * Draw a spatial shape on the map
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {import('../utils/geo.js').SpatialShape} shape - Shape to draw
+ * @param {function(number, number): import('./projections.js').ProjectedPoint} project - Projects lat/lng to canvas pixels
+ * @param {Object} [options] - Drawing options
+ * @param {boolean} [options.preview] - Draw as an in-progress shape
+ */
+export function drawSpatialShape(ctx, shape, project, options = {}) {
+  const ring = getShapeRing(shape);
+  if (ring.length < 2) return;
+
+  const points = ring.map(([lng, lat]) => project(lat, lng));
+  if (!points.some(point => point.visible !== false)) return;
+
+  const style = options.preview ? DRAW_STYLES.preview : DRAW_STYLES.active;
+
+  ctx.save();
+  ctx.beginPath();
+  points.forEach(({ x, y }, index) => {
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+
+  ctx.fillStyle = style.fill;
+  ctx.fill();
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = 2;
+  ctx.setLineDash(options.preview ? [6, 4] : []);
+  ctx.stroke();
+
+  // Vertex handles while a polygon is being placed
+  if (options.preview && shape.type === 'polygon') {
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#FFFFFF';
+    shape.coordinates.forEach(([lng, lat]) => {
+      const { x, y, visible } = project(lat, lng);
+      if (visible === false) return;
+      ctx.beginPath();
+      ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+  ctx.restore();
+}
+
+export { DRAW_CONFIG, DRAW_MODES };
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Event footprint layer
+ * Builds spatial footprints from event bounds (or polygons) and draws them shaded by severity
+ */
+
+import { geoDistance } from '../utils/math.js';
+
+/**
+ * Footprint configuration
+ */
+const FOOTPRINT_CONFIG = {
+  EDGE_RESOLUTION: 1, // Degrees between sampled points along bounds edges, so edges curve with the projection
+  MIN_PIXEL_SIZE: 4 // Footprints smaller than this on screen are left to the marker
+};
+
+/**
+ * Fill and stroke colours per severity level
+ */
+const FOOTPRINT_STYLES = {
+  low: { fill: 'rgba(255, 214, 0, 0.15)', stroke: '#FFD600' },
+  medium: { fill: 'rgba(255, 136, 0, 0.2)', stroke: '#FF8800' },
+  high: { fill: 'rgba(255, 51, 51, 0.25)', stroke: '#FF3333' },
+  critical: { fill: 'rgba(179, 0, 60, 0.3)', stroke: '#B3003C' },
+  default: { fill: 'rgba(160, 160, 160, 0.15)', stroke: '#A0A0A0' }
+};
+
+/**
+ * @typedef {Object} EventFootprint
+ * @property {string} id - Event identifier
+ * @property {Object} event - Source event
+ * @property {string} severity - Event severity
+ * @property {'bounds'|'polygon'} source - Where the shape came from
+ * @property {number[][][]} rings - Rings of [lng, lat] positions
+ * @property {{north: number, south: number, east: number, west: number}} bounds - Geographic extent
+ * @property {{x: number, y: number}[][]} paths - Projected rings (filled in by projectFootprint)
+ * @property {boolean} isOnScreen - Whether any part faces the viewer
+ * @property {number} pixelArea - Projected bounding box area, used to prefer the smallest footprint on hover
+ */
+
+/**
+ * Build the footprint for an event
+ * A GeoJSON Polygon/MultiPolygon in `coordinates.footprint` wins over `coordinates.bounds`.
+ * @param {Object} event - Event data
+ * @returns {EventFootprint|null} Footprint, or null when the event has no spatial extent
+ */
+export function createFootprint(event) {
+  const coordinates = event?.coordinates;
+  if (!coordinates) return null;
+
+  let rings = null;
+  let source = 'bounds';
+
+  if (coordinates.footprint) {
+    rings = getGeometryRings(coordinates.footprint);
+    source = 'polygon';
+  } else if (isValidBounds(coordinates.bounds)) {
+    rings = [boundsToRing(coordinates.bounds)];
+  }
+
+  if (!rings || rings.length === 0) return null;
+
+  return {
+    id: event.id,
+    event,
+    severity: event.severity,
+    source,
+    rings,
+    bounds: getRingsBounds(rings),
+    paths: [],
+    isOnScreen: false,
+    pixelArea: 0
+  };
+}
+
+/**
+ * Check that bounds describe a non-empty box
+ * @param {Object} bounds - Bounds object
+ * @returns {boolean}
+ */
+function isValidBounds(bounds) {
+  if (!bounds) return false;
+  const { north, south, east, west } = bounds;
+  return [north, south, east, west].every(value => typeof value === 'number' && isFinite(value)) &&
+    north > south && east !== west;
+}
+
+/**
+ * Turn bounds into a closed ring, sampling the edges so they follow parallels and meridians
+ * @param {{north: number, south: number, east: number, west: number}} bounds - Bounds
+ * @returns {number[][]} Ring of [lng, lat] positions
+ */
+function boundsToRing(bounds) {
+  const { north, south, west } = bounds;
+  // Boxes crossing the antimeridian have east < west
+  const east = bounds.east < west ? bounds.east + 360 : bounds.east;
+  const ring = [];
+
+  const edge = (fromLng, fromLat, toLng, toLat) => {
+    const span = Math.max(Math.abs(toLng - fromLng), Math.abs(toLat - fromLat));
+    const steps = Math.max(1, Math.ceil(span / FOOTPRINT_CONFIG.EDGE_RESOLUTION));
+    for (let i = 0; i < steps; i++) {
+      const t = i / steps;
+      ring.push([fromLng + (toLng - fromLng) * t, fromLat + (toLat - fromLat) * t]);
+    }
+  };
+
+  edge(west, south, east, south);
+  edge(east, south, east, north);
+  edge(east, north, west, north);
+  edge(west, north, west, south);
+  ring.push([west, south]);
+
+  return ring;
+}
+
+/**
+ * Get all rings of a GeoJSON polygon geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number[][][]} Rings
+ */
+function getGeometryRings(geometry) {
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+}
+
+/**
+ * Geographic extent of a set of rings
+ * @param {number[][][]} rings - Rings of [lng, lat] positions
+ * @returns {{north: number, south: number, east: number, west: number}}
+ */
+function getRingsBounds(rings) {
+  const bounds = { north: -90, south: 90, east: -Infinity, west: Infinity };
+  rings.forEach(ring => {
+    ring.forEach(([lng, lat]) => {
+      bounds.north = Math.max(bounds.north, lat);
+      bounds.south = Math.min(bounds.south, lat);
+      bounds.east = Math.max(bounds.east, lng);
+      bounds.west = Math.min(bounds.west, lng);
+    });
+  });
+  return bounds;
+}
+
+/**
+ * Project a footprint into pixel paths for the current view
+ * @param {EventFootprint} footprint - Footprint
+ * @param {function(number, number): import('./projections.js').ProjectedPoint} project - Projects lat/lng to canvas pixels
+ */
+export function projectFootprint(footprint, project) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  footprint.paths = [];
+  footprint.rings.forEach(ring => {
+    const points = ring.map(([lng, lat]) => project(lat, lng));
+
+    // Rings entirely on the far side of a globe
+    if (!points.some(point => point.visible !== false)) return;
+
+    const path = points.map(({ x, y }) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+      return { x, y };
+    });
+    footprint.paths.push(path);
+  });
+
+  footprint.isOnScreen = footprint.paths.length > 0;
+  footprint.pixelArea = footprint.isOnScreen ? (maxX - minX) * (maxY - minY) : 0;
+}
+
+/**
+ * Get colours for a severity level
+ * @param {string} severity - Severity level
+ * @returns {{fill: string, stroke: string}}
+ */
+export function getFootprintStyle(severity) {
+  return FOOTPRINT_STYLES[severity] || FOOTPRINT_STYLES.default;
+}
+
+/**
+ * Whether a projected footprint is on screen and large enough to draw (and so to hit)
+ * @param {EventFootprint} footprint - Footprint with up-to-date paths
+ * @returns {boolean}
+ */
+function isFootprintDrawn(footprint) {
+  return footprint.isOnScreen &&
+    footprint.pixelArea >= FOOTPRINT_CONFIG.MIN_PIXEL_SIZE * FOOTPRINT_CONFIG.MIN_PIXEL_SIZE;
+}
+
+/**
+ * Draw a projected footprint
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {EventFootprint} footprint - Footprint with up-to-date paths
+ * @param {Object} [state] - Interaction state
+ * @param {boolean} [state.hovered] - Footprint is under the pointer
+ * @param {boolean} [state.selected] - Footprint belongs to the selected event
+ */
+export function drawFootprint(ctx, footprint, state = {}) {
+  if (!isFootprintDrawn(footprint)) return;
+
+  const style = getFootprintStyle(footprint.severity);
+  const emphasized = state.hovered || state.selected;
+
+  ctx.beginPath();
+  footprint.paths.forEach(path => {
+    path.forEach(({ x, y }, index) => {
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+  });
+
+  ctx.save();
+  ctx.fillStyle = style.fill;
+  ctx.globalAlpha = emphasized ? 1 : 0.8;
+  ctx.fill('evenodd');
+
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = emphasized ? 2 : 1;
+  ctx.setLineDash(state.selected ? [] : [4, 3]);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Find the footprint under a pixel position
+ * Nested footprints resolve to the smallest one, so small events inside large ones stay reachable.
+ * @param {EventFootprint[]} footprints - Projected footprints
+ * @param {number} x - Pixel X
+ * @param {number} y - Pixel Y
+ * @returns {EventFootprint|null} Footprint or null
+ */
+export function findFootprintAt(footprints, x, y) {
+  let best = null;
+
+  footprints.forEach(footprint => {
+    if (!isFootprintDrawn(footprint)) return;
+    if (best && footprint.pixelArea >= best.pixelArea) return;
+
+    // Even-odd rule across all rings, matching how the footprint is filled
+    const inside = footprint.paths.reduce((acc, path) => acc !== isPointInPath(path, x, y), false);
+    if (inside) best = footprint;
+  });
+
+  return best;
+}
+
+/**
+ * Ray-casting point in polygon test
+ * @param {{x: number, y: number}[]} path - Closed pixel path
+ * @param {number} x - Pixel X
+ * @param {number} y - Pixel Y
+ * @returns {boolean}
+ */
+function isPointInPath(path, x, y) {
+  let inside = false;
+  for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+    const a = path[i];
+    const b = path[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Approximate footprint size in kilometres
+ * @param {EventFootprint} footprint - Footprint
+ * @returns {{width: number, height: number}} East-west width at the middle latitude and north-south height
+ */
+export function getFootprintExtent(footprint) {
+  const { north, south, east, west } = footprint.bounds;
+  const midLat = (north + south) / 2;
+  return {
+    width: geoDistance(midLat, west, midLat, east),
+    height: geoDistance(south, west, north, west)
+  };
+}
+
+export { FOOTPRINT_CONFIG, FOOTPRINT_STYLES };
\ No newline at end of file
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Offline gazetteer
+ * Fuzzy/prefix place search over a bundled list of countries, regions and major cities,
+ * plus matching of event titles and location names
+ */
+
+import { geoDistance } from '../utils/math.js';
+
+/**
+ * Gazetteer configuration
+ */
+const GAZETTEER_CONFIG = {
+  url: './data/gazetteer.json',
+  MAX_PLACE_RESULTS: 8,
+  MAX_EVENT_RESULTS: 5,
+  MIN_QUERY_LENGTH: 2,
+  FUZZY_MIN_LENGTH: 4, // Shorter queries only match exactly or by prefix
+  NEARBY_RADIUS_KM: 500
+};
+
+/**
+ * Ranking boost per place type, so countries outrank same-named towns
+ */
+const PLACE_TYPE_BOOST = {
+  country: 0.06,
+  region: 0.04,
+  city: 0.02
+};
+
+/**
+ * @typedef {Object} GazetteerPlace
+ * @property {string} name - Place name
+ * @property {'country'|'region'|'city'} type - Place type
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {string} [country] - Country name (cities)
+ * @property {number} [population] - Population (cities)
+ * @property {string} [iso_a3] - ISO 3166-1 alpha-3 code (countries)
+ * @property {string[]} [aliases] - Alternative names and codes
+ * @property {{north: number, south: number, east: number, west: number}} [bounds] - Extent
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {'place'|'event'} kind - Result kind
+ * @property {string} label - Display name
+ * @property {string} detail - Secondary text
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {number} score - Match score (0-1)
+ * @property {GazetteerPlace} [place] - Matched place
+ * @property {Object} [event] - Matched event
+ */
+
+/**
+ * Loaded places with precomputed search keys
+ * @type {{place: GazetteerPlace, keys: string[]}[]|null}
+ */
+let index = null;
+
+/**
+ * Pending load promise (shared between concurrent callers)
+ * @type {Promise<boolean>|null}
+ */
+let loadPromise = null;
+
+/**
+ * Load gazetteer data
+ * @param {string} [url] - Gazetteer URL
+ * @returns {Promise<boolean>} Whether the gazetteer is available
+ */
+export function loadGazetteer(url = GAZETTEER_CONFIG.url) {
+  if (index) return Promise.resolve(true);
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    try {
+      console.log('🔍 Loading gazetteer...');
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`Failed to load gazetteer: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!Array.isArray(data.places)) {
+        throw new Error('Invalid gazetteer structure');
+      }
+
+      index = data.places.map(place => ({
+        place,
+        keys: [place.name, ...(place.aliases || [])].map(normalizeText)
+      }));
+
+      console.log(`✅ Gazetteer loaded: ${index.length} places`);
+      return true;
+
+    } catch (error) {
+      console.warn('⚠️ Gazetteer unavailable, searching events only:', error);
+      loadPromise = null;
+      return false;
+    }
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Normalize text for matching: lowercase, no diacritics or apostrophes, single spaces
+ * @param {string} text - Input text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Edit distance with an early exit once it exceeds a limit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 when above the limit
+ */
+function boundedLevenshtein(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how well a normalized query matches a normalized key
+ * @param {string} query - Normalized query
+ * @param {string} key - Normalized candidate
+ * @returns {number} Score between 0 (no match) and 1 (exact)
+ */
+export function scoreMatch(query, key) {
+  if (!query || !key) return 0;
+  if (key === query) return 1;
+  if (key.startsWith(query)) return 0.9;
+  if (key.includes(` ${query}`)) return 0.75;
+  if (key.includes(query)) return 0.6;
+
+  if (query.length < GAZETTEER_CONFIG.FUZZY_MIN_LENGTH) return 0;
+
+  // Typos: compare against the whole key and against its prefix of the same length
+  const limit = query.length >= 7 ? 2 : 1;
+  const whole = boundedLevenshtein(query, key, limit);
+  const prefix = boundedLevenshtein(query, key.slice(0, query.length), limit);
+  const distance = Math.min(whole, prefix);
+
+  return distance <= limit ? 0.5 - distance * 0.1 : 0;
+}
+
+/**
+ * Search places by name or alias
+ * @param {string} query - Search query
+ * @param {number} [limit] - Maximum results
+ * @returns {SearchResult[]} Results, best first
+ */
+export function searchPlaces(query, limit = GAZETTEER_CONFIG.MAX_PLACE_RESULTS) {
+  const q = normalizeText(query);
+  if (!index || q.length < GAZETTEER_CONFIG.MIN_QUERY_LENGTH) return [];
+
+  const results = [];
+  index.forEach(({ place, keys }) => {
+    // Aliases count slightly less than the primary name
+    const match = keys.reduce((best, key, i) => Math.max(best, scoreMatch(q, key) * (i === 0 ? 1 : 0.95)), 0);
+    if (match === 0) return;
+
+    const populationBoost = place.population ? Math.log10(place.population) / 200 : 0;
+    results.push({
+      kind: 'place',
+      label: place.name,
+      detail: describePlace(place),
+      lat: place.lat,
+      lng: place.lng,
+      score: match + (PLACE_TYPE_BOOST[place.type] || 0) + populationBoost,
+      place
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Secondary text for a place
+ * @param {GazetteerPlace} place - Place
+ * @returns {string}
+ */
+function describePlace(place) {
+  switch (place.type) {
+    case 'city':
+      return place.country ? `City, ${place.country}` : 'City';
+    case 'country':
+      return 'Country';
+    case 'region':
+      return 'Region';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Search events by title and location name
+ * @param {Object[]} events - Events to search
+ * @param {string} query - Search query
+ * @param {number} [limit] - Maximum results
+ * @returns {SearchResult[]} Results, best first
+ */
+export function searchEvents(events, query, limit = GAZETTEER_CONFIG.MAX_EVENT_RESULTS) {
+  const q = normalizeText(query);
+  if (q.length < GAZETTEER_CONFIG.MIN_QUERY_LENGTH) return [];
+
+  const results = [];
+  events.forEach(event => {
+    const coordinates = getEventCoordinates(event);
+    if (!coordinates) return;
+
+    const score = Math.max(
+      scoreMatch(q, normalizeText(event.title)),
+      scoreMatch(q, normalizeText(event.location?.name))
+    );
+    if (score === 0) return;
+
+    results.push({
+      kind: 'event',
+      label: event.title || event.id,
+      detail: event.location?.name || event.type || 'Event',
+      lat: coordinates.lat,
+      lng: coordinates.lng,
+      score,
+      event
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Find events within a radius of a point
+ * @param {Object[]} events - Events to search
+ * @param {import('../types.js').Coordinates} point - Search centre
+ * @param {number} [radiusKm] - Search radius in kilometres
+ * @returns {{event: Object, coordinates: import('../types.js').Coordinates, distance: number}[]} Events with position and distance in km, nearest first
+ */
+export function findEventsNear(events, point, radiusKm = GAZETTEER_CONFIG.NEARBY_RADIUS_KM) {
+  return events
+    .map(event => {
+      const coordinates = getEventCoordinates(event);
+      if (!coordinates) return null;
+      return { event, coordinates, distance: geoDistance(point.lat, point.lng, coordinates.lat, coordinates.lng) };
+    })
+    .filter(match => match && match.distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Get event position from either coordinate shape in use
+ * @param {Object} event - Event data
+ * @returns {import('../types.js').Coordinates|null}
+ */
+function getEventCoordinates(event) {
+  const coordinates = event?.coordinates || event?.location?.coordinates;
+  if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+    return null;
+  }
+  return coordinates;
+}
+
+export { GAZETTEER_CONFIG };
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Density heatmap layer
+ * Renders a weighted kernel-density heatmap of event positions onto the map canvas
+ */
+
+import { clamp } from '../utils/math.js';
+
+/**
+ * Heatmap configuration
+ */
+const HEATMAP_CONFIG = {
+  BASE_RADIUS: 30, // Kernel radius in pixels at zoom 2
+  RADIUS_GROWTH: 1.5, // Radius multiplier per zoom level (slower than the map's 2x so hotspots stay legible)
+  MIN_RADIUS: 12,
+  MAX_RADIUS: 120,
+  KERNEL_INTENSITY: 0.35, // Alpha contributed by a maximum-weight event at its centre
+  MAX_OPACITY: 0.85,
+  GRADIENT: [
+    [0, 'rgba(0, 0, 255, 0)'],
+    [0.2, '#2b83ba'],
+    [0.4, '#abdda4'],
+    [0.6, '#ffffbf'],
+    [0.8, '#fdae61'],
+    [1, '#d7191c']
+  ]
+};
+
+/**
+ * Severity scores used by the severity weighting
+ */
+const SEVERITY_WEIGHTS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+/**
+ * Event weighting schemes
+ * @type {Object<string, {label: string, weight: function(Object): number}>}
+ */
+const HEATMAP_WEIGHTS = {
+  count: {
+    label: 'Event count',
+    weight: () => 1
+  },
+  severity: {
+    label: 'Severity',
+    weight: event => SEVERITY_WEIGHTS[event?.severity] || 1
+  },
+  area: {
+    label: 'Area affected',
+    // Areas span orders of magnitude, so weight by decades of km²
+    weight: event => {
+      const area = Number(event?.metadata?.area_affected_km2);
+      return area > 0 ? Math.log10(1 + area) : 1;
+    }
+  }
+};
+
+/**
+ * Offscreen canvas the kernels are accumulated on
+ * @type {HTMLCanvasElement|null}
+ */
+let densityCanvas = null;
+
+/**
+ * Colour lookup table, 256 RGBA entries
+ * @type {Uint8ClampedArray|null}
+ */
+let palette = null;
+
+/**
+ * Get kernel radius for a zoom level
+ * @param {number} zoom - Map zoom
+ * @returns {number} Radius in pixels
+ */
+export function getHeatmapRadius(zoom) {
+  const radius = HEATMAP_CONFIG.BASE_RADIUS * Math.pow(HEATMAP_CONFIG.RADIUS_GROWTH, zoom - 2);
+  return clamp(radius, HEATMAP_CONFIG.MIN_RADIUS, HEATMAP_CONFIG.MAX_RADIUS);
+}
+
+/**
+ * Get weight of an event under a weighting scheme
+ * @param {Object} event - Event data
+ * @param {string} scheme - Weighting scheme key
+ * @returns {number} Weight
+ */
+export function getEventWeight(event, scheme) {
+  const weighting = HEATMAP_WEIGHTS[scheme] || HEATMAP_WEIGHTS.severity;
+  return weighting.weight(event);
+}
+
+/**
+ * Build the colour lookup table from the gradient stops
+ * @returns {Uint8ClampedArray}
+ */
+function getPalette() {
+  if (palette) return palette;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 1;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+  HEATMAP_CONFIG.GRADIENT.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 256, 1);
+
+  palette = ctx.getImageData(0, 0, 256, 1).data;
+  return palette;
+}
+
+/**
+ * Draw density heatmap
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {{x: number, y: number, weight: number}[]} points - Projected, weighted points
+ * @param {Object} options - Drawing options
+ * @param {number} options.radius - Kernel radius in pixels
+ * @returns {number} Number of points drawn
+ */
+export function drawHeatmap(ctx, points, options) {
+  const { width, height } = ctx.canvas;
+  const radius = options.radius;
+
+  const inView = points.filter(p => p.weight > 0 &&
+    p.x > -radius && p.x < width + radius && p.y > -radius && p.y < height + radius);
+  if (inView.length === 0 || width === 0 || height === 0) return 0;
+
+  if (!densityCanvas) {
+    densityCanvas = document.createElement('canvas');
+  }
+  densityCanvas.width = width;
+  densityCanvas.height = height;
+  const densityCtx = densityCanvas.getContext('2d', { willReadFrequently: true });
+
+  // Accumulate kernels additively in the alpha channel
+  const maxWeight = Math.max(...inView.map(p => p.weight));
+  densityCtx.globalCompositeOperation = 'lighter';
+  inView.forEach(({ x, y, weight }) => {
+    const kernel = densityCtx.createRadialGradient(x, y, 0, x, y, radius);
+    const alpha = HEATMAP_CONFIG.KERNEL_INTENSITY * (weight / maxWeight);
+    kernel.addColorStop(0, `rgba(0, 0, 0, ${alpha})`);
+    kernel.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    densityCtx.fillStyle = kernel;
+    densityCtx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+  });
+
+  // Colourize, normalised to the densest pixel in view
+  const image = densityCtx.getImageData(0, 0, width, height);
+  const data = image.data;
+  let peak = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > peak) peak = data[i];
+  }
+  if (peak === 0) return 0;
+
+  const colors = getPalette();
+  for (let i = 0; i < data.length; i += 4) {
+    const density = data[i + 3];
+    if (density === 0) continue;
+
+    const index = Math.round((density / peak) * 255) * 4;
+    data[i] = colors[index];
+    data[i + 1] = colors[index + 1];
+    data[i + 2] = colors[index + 2];
+    data[i + 3] = Math.min(colors[index + 3], 255 * HEATMAP_CONFIG.MAX_OPACITY);
+  }
+  densityCtx.putImageData(image, 0, 0);
+
+  ctx.drawImage(densityCanvas, 0, 0);
+  return inView.length;
+}
+
+/**
+ * CSS gradient matching the heatmap colours, for the legend
+ * @returns {string} CSS linear-gradient
+ */
+export function getHeatmapGradientCSS() {
+  const stops = HEATMAP_CONFIG.GRADIENT.map(([stop, color]) => `${color} ${stop * 100}%`);
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+export { HEATMAP_CONFIG, HEATMAP_WEIGHTS };
\ No newline at end of file
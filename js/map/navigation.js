@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Pointer navigation for the map canvas
+ * Drag panning with inertia, cursor-anchored wheel zoom and pinch zoom for mouse, pen and touch
+ */
+
+import { on } from '../utils/dom.js';
+import { distance } from '../utils/math.js';
+
+/**
+ * Navigation configuration
+ */
+const NAVIGATION_CONFIG = {
+  DRAG_THRESHOLD: 4, // Pixels a press must travel before it becomes a drag
+  WHEEL_ZOOM_STEP: 0.5, // Zoom levels per wheel notch
+  VELOCITY_WINDOW: 100, // Pointer samples (ms) used to estimate release velocity
+  FRICTION: 0.92, // Velocity retained per 16ms frame
+  MIN_INERTIA_SPEED: 0.02 // px/ms below which inertia stops
+};
+
+/**
+ * Attach drag, wheel and pinch navigation to a canvas
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} handlers - Map callbacks
+ * @param {function(number, number): void} handlers.pan - Pan the map by a pixel offset
+ * @param {function(number, number, number): void} handlers.zoomAt - Set zoom keeping the given pixel fixed
+ * @param {function(): number} handlers.getZoom - Current zoom level
+ * @returns {{consumeClick: function(): boolean, stopInertia: function(): void, setEnabled: function(boolean): void, detach: function(): void}} Navigation controller
+ */
+export function attachMapNavigation(canvas, handlers) {
+  const pointers = new Map();
+  let drag = null;
+  let pinch = null;
+  let inertiaFrame = null;
+  let suppressClick = false;
+  let enabled = true;
+
+  /**
+   * Get pointer position relative to the canvas
+   * @param {PointerEvent|WheelEvent} event - Pointer event
+   * @returns {{x: number, y: number}}
+   */
+  function getPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * Start a single-pointer drag from a position
+   * @param {{x: number, y: number}} position - Start position
+   * @param {boolean} moved - Whether the gesture already counts as a drag
+   */
+  function startDrag(position, moved = false) {
+    drag = {
+      startX: position.x,
+      startY: position.y,
+      lastX: position.x,
+      lastY: position.y,
+      moved,
+      samples: [{ x: position.x, y: position.y, t: performance.now() }]
+    };
+  }
+
+  /**
+   * Start a two-pointer pinch
+   */
+  function startPinch() {
+    const [a, b] = Array.from(pointers.values());
+    pinch = {
+      startDistance: Math.max(distance(a.x, a.y, b.x, b.y), 1),
+      startZoom: handlers.getZoom(),
+      lastMid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+    };
+  }
+
+  function handlePointerDown(event) {
+    if (!enabled || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+    stopInertia();
+    suppressClick = false;
+    canvas.setPointerCapture?.(event.pointerId);
+
+    const position = getPosition(event);
+    pointers.set(event.pointerId, position);
+
+    if (pointers.size === 2) {
+      startPinch();
+      if (drag) drag.moved = true;
+    } else if (pointers.size === 1) {
+      startDrag(position);
+    }
+  }
+
+  function handlePointerMove(event) {
+    if (!pointers.has(event.pointerId)) return;
+
+    const position = getPosition(event);
+    pointers.set(event.pointerId, position);
+
+    if (pinch && pointers.size >= 2) {
+      const [a, b] = Array.from(pointers.values());
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      const scale = distance(a.x, a.y, b.x, b.y) / pinch.startDistance;
+
+      handlers.zoomAt(pinch.startZoom + Math.log2(scale), mid.x, mid.y);
+      handlers.pan(mid.x - pinch.lastMid.x, mid.y - pinch.lastMid.y);
+      pinch.lastMid = mid;
+      return;
+    }
+
+    if (!drag) return;
+
+    const dx = position.x - drag.lastX;
+    const dy = position.y - drag.lastY;
+
+    if (!drag.moved) {
+      const travelled = distance(drag.startX, drag.startY, position.x, position.y);
+      if (travelled < NAVIGATION_CONFIG.DRAG_THRESHOLD) return;
+      drag.moved = true;
+      canvas.classList.add('is-dragging');
+    }
+
+    handlers.pan(dx, dy);
+
+    drag.lastX = position.x;
+    drag.lastY = position.y;
+
+    const now = performance.now();
+    drag.samples.push({ x: position.x, y: position.y, t: now });
+    while (drag.samples.length > 2 && now - drag.samples[0].t > NAVIGATION_CONFIG.VELOCITY_WINDOW) {
+      drag.samples.shift();
+    }
+  }
+
+  function handlePointerUp(event) {
+    if (!pointers.has(event.pointerId)) return;
+
+    pointers.delete(event.pointerId);
+    canvas.releasePointerCapture?.(event.pointerId);
+
+    if (pinch && pointers.size < 2) {
+      pinch = null;
+
+      // Continue panning with the remaining finger without a jump
+      if (pointers.size === 1) {
+        startDrag(Array.from(pointers.values())[0], true);
+        return;
+      }
+    }
+
+    if (pointers.size > 0 || !drag) return;
+
+    canvas.classList.remove('is-dragging');
+
+    if (drag.moved) {
+      suppressClick = true;
+      if (event.type === 'pointerup') {
+        startInertia(drag.samples);
+      }
+    }
+
+    drag = null;
+  }
+
+  function handleWheel(event) {
+    event.preventDefault();
+    if (!enabled) return;
+    stopInertia();
+
+    const { x, y } = getPosition(event);
+    const step = event.deltaY > 0 ? -NAVIGATION_CONFIG.WHEEL_ZOOM_STEP : NAVIGATION_CONFIG.WHEEL_ZOOM_STEP;
+    handlers.zoomAt(handlers.getZoom() + step, x, y);
+  }
+
+  /**
+   * Continue panning after release with decaying velocity
+   * @param {{x: number, y: number, t: number}[]} samples - Recent pointer samples
+   */
+  function startInertia(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.t - first.t;
+
+    if (elapsed <= 0 || performance.now() - last.t > NAVIGATION_CONFIG.VELOCITY_WINDOW) return;
+
+    let vx = (last.x - first.x) / elapsed;
+    let vy = (last.y - first.y) / elapsed;
+    let previous = performance.now();
+
+    function step(now) {
+      const dt = now - previous;
+      previous = now;
+
+      handlers.pan(vx * dt, vy * dt);
+
+      const decay = Math.pow(NAVIGATION_CONFIG.FRICTION, dt / 16);
+      vx *= decay;
+      vy *= decay;
+
+      if (Math.hypot(vx, vy) < NAVIGATION_CONFIG.MIN_INERTIA_SPEED) {
+        inertiaFrame = null;
+        return;
+      }
+
+      inertiaFrame = requestAnimationFrame(step);
+    }
+
+    inertiaFrame = requestAnimationFrame(step);
+  }
+
+  /**
+   * Stop any running inertia animation
+   */
+  function stopInertia() {
+    if (inertiaFrame) {
+      cancelAnimationFrame(inertiaFrame);
+      inertiaFrame = null;
+    }
+  }
+
+  const cleanups = [
+    on(canvas, 'pointerdown', handlePointerDown),
+    on(canvas, 'pointermove', handlePointerMove),
+    on(canvas, 'pointerup', handlePointerUp),
+    on(canvas, 'pointercancel', handlePointerUp),
+    on(canvas, 'wheel', handleWheel, { passive: false })
+  ];
+
+  return {
+    /**
+     * Check whether the click that follows a gesture should be ignored
+     * @returns {boolean} True if the last gesture was a drag
+     */
+    consumeClick() {
+      const wasDrag = suppressClick;
+      suppressClick = false;
+      return wasDrag;
+    },
+
+    stopInertia,
+
+    /**
+     * Suspend or resume navigation (e.g. while another tool owns the pointer)
+     * @param {boolean} value - Whether navigation gestures are handled
+     */
+    setEnabled(value) {
+      enabled = value;
+      if (!enabled) {
+        stopInertia();
+        pointers.clear();
+        drag = null;
+        pinch = null;
+      }
+    },
+
+    /**
+     * Remove all navigation listeners
+     */
+    detach() {
+      stopInertia();
+      cleanups.forEach(cleanup => cleanup());
+    }
+  };
+}
+
+export { NAVIGATION_CONFIG };
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Map projections
+ * Switchable projections shared by the basemap, markers and hit testing
+ */
+
+import { clamp, toRadians, toDegrees } from '../utils/math.js';
+
+/**
+ * @typedef {Object} MapView
+ * @property {number} width - Canvas width in pixels
+ * @property {number} height - Canvas height in pixels
+ * @property {import('../types.js').Coordinates} center - View center (globe rotation for orthographic)
+ * @property {number} zoom - Zoom level
+ */
+
+/**
+ * @typedef {Object} ProjectedPoint
+ * @property {number} x - Pixel X
+ * @property {number} y - Pixel Y
+ * @property {boolean} visible - False when the point is on the far side of the globe
+ */
+
+/**
+ * @typedef {Object} Projection
+ * @property {string} id - Projection identifier
+ * @property {string} label - Display name
+ * @property {number} maxLatitude - Largest latitude the view center may reach
+ * @property {boolean} wrapLongitude - Whether the center longitude wraps around instead of clamping
+ * @property {function(number, number, MapView): ProjectedPoint} project - Lat/lng to pixels
+ * @property {function(number, number, MapView): (import('../types.js').Coordinates|null)} invert - Pixels to lat/lng, null off the map
+ * @property {function(MapView, number, number): import('../types.js').Coordinates} pan - Center after dragging by a pixel offset
+ * @property {function(MapView): ({cx: number, cy: number, r: number}|null)} outline - Disc outline for globe projections
+ */
+
+const MERCATOR_MAX_LAT = 85.0511287798;
+
+/**
+ * World width in pixels at a zoom level (zoom 2 spans the canvas width)
+ * @param {MapView} view - Map view
+ * @returns {number}
+ */
+function worldWidth(view) {
+  return view.width * Math.pow(2, view.zoom - 2);
+}
+
+/**
+ * Equirectangular (plate carrée) projection
+ * @type {Projection}
+ */
+const equirectangular = {
+  id: 'equirectangular',
+  label: 'Equirectangular',
+  maxLatitude: 85,
+  wrapLongitude: false,
+
+  project(lat, lng, view) {
+    const k = worldWidth(view) / 360;
+    return {
+      x: view.width / 2 + (lng - view.center.lng) * k,
+      y: view.height / 2 - (lat - view.center.lat) * k,
+      visible: true
+    };
+  },
+
+  invert(x, y, view) {
+    const k = worldWidth(view) / 360;
+    return {
+      lat: view.center.lat - (y - view.height / 2) / k,
+      lng: view.center.lng + (x - view.width / 2) / k
+    };
+  },
+
+  pan(view, dx, dy) {
+    const k = worldWidth(view) / 360;
+    return {
+      lat: view.center.lat + dy / k,
+      lng: view.center.lng - dx / k
+    };
+  },
+
+  outline() {
+    return null;
+  }
+};
+
+/**
+ * Mercator Y for a latitude, in radians-scaled units
+ * @param {number} lat - Latitude
+ * @returns {number}
+ */
+function mercatorY(lat) {
+  const phi = toRadians(clamp(lat, -MERCATOR_MAX_LAT, MERCATOR_MAX_LAT));
+  return Math.log(Math.tan(Math.PI / 4 + phi / 2));
+}
+
+/**
+ * Latitude for a Mercator Y value
+ * @param {number} y - Mercator Y
+ * @returns {number}
+ */
+function mercatorLat(y) {
+  return toDegrees(2 * Math.atan(Math.exp(y)) - Math.PI / 2);
+}
+
+/**
+ * Web Mercator projection
+ * @type {Projection}
+ */
+const mercator = {
+  id: 'mercator',
+  label: 'Web Mercator',
+  maxLatitude: 80,
+  wrapLongitude: false,
+
+  project(lat, lng, view) {
+    const r = worldWidth(view) / (2 * Math.PI);
+    return {
+      x: view.width / 2 + toRadians(lng - view.center.lng) * r,
+      y: view.height / 2 - (mercatorY(lat) - mercatorY(view.center.lat)) * r,
+      visible: true
+    };
+  },
+
+  invert(x, y, view) {
+    const r = worldWidth(view) / (2 * Math.PI);
+    return {
+      lat: mercatorLat(mercatorY(view.center.lat) - (y - view.height / 2) / r),
+      lng: view.center.lng + toDegrees((x - view.width / 2) / r)
+    };
+  },
+
+  pan(view, dx, dy) {
+    const r = worldWidth(view) / (2 * Math.PI);
+    return {
+      lat: mercatorLat(mercatorY(view.center.lat) + dy / r),
+      lng: view.center.lng - toDegrees(dx / r)
+    };
+  },
+
+  outline() {
+    return null;
+  }
+};
+
+/**
+ * Globe radius in pixels (zoom 2 fits the globe in the canvas)
+ * @param {MapView} view - Map view
+ * @returns {number}
+ */
+function globeRadius(view) {
+  return (Math.min(view.width, view.height) / 2) * 0.9 * Math.pow(2, view.zoom - 2);
+}
+
+/**
+ * Orthographic globe projection, rotated so the view center faces the viewer
+ * @type {Projection}
+ */
+const orthographic = {
+  id: 'orthographic',
+  label: 'Globe',
+  maxLatitude: 90,
+  wrapLongitude: true,
+
+  project(lat, lng, view) {
+    const r = globeRadius(view);
+    const phi = toRadians(lat);
+    const phi0 = toRadians(view.center.lat);
+    const dLambda = toRadians(lng - view.center.lng);
+
+    let x = r * Math.cos(phi) * Math.sin(dLambda);
+    let y = r * (Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(dLambda));
+    const cosC = Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(dLambda);
+    const visible = cosC >= 0;
+
+    // Pin far-side points to the horizon so filled shapes close along the limb
+    if (!visible) {
+      const length = Math.hypot(x, y) || 1;
+      x = (x / length) * r;
+      y = (y / length) * r;
+    }
+
+    return {
+      x: view.width / 2 + x,
+      y: view.height / 2 - y,
+      visible
+    };
+  },
+
+  invert(px, py, view) {
+    const r = globeRadius(view);
+    const x = px - view.width / 2;
+    const y = view.height / 2 - py;
+    const rho = Math.hypot(x, y);
+
+    if (rho > r) return null;
+    if (rho === 0) return { ...view.center };
+
+    const c = Math.asin(rho / r);
+    const phi0 = toRadians(view.center.lat);
+    const lat = Math.asin(Math.cos(c) * Math.sin(phi0) + (y * Math.sin(c) * Math.cos(phi0)) / rho);
+    const lng = toRadians(view.center.lng) + Math.atan2(
+      x * Math.sin(c),
+      rho * Math.cos(c) * Math.cos(phi0) - y * Math.sin(c) * Math.sin(phi0)
+    );
+
+    return { lat: toDegrees(lat), lng: normalizeLongitude(toDegrees(lng)) };
+  },
+
+  pan(view, dx, dy) {
+    // Dragging rotates the globe: one radius of travel turns it by one radian
+    const degreesPerPixel = toDegrees(1 / globeRadius(view));
+    return {
+      lat: view.center.lat + dy * degreesPerPixel,
+      lng: view.center.lng - dx * degreesPerPixel
+    };
+  },
+
+  outline(view) {
+    return { cx: view.width / 2, cy: view.height / 2, r: globeRadius(view) };
+  }
+};
+
+/**
+ * Wrap longitude into [-180, 180)
+ * @param {number} lng - Longitude
+ * @returns {number}
+ */
+export function normalizeLongitude(lng) {
+  return ((lng + 540) % 360) - 180;
+}
+
+/**
+ * Available projections
+ * @type {Object<string, Projection>}
+ */
+export const PROJECTIONS = {
+  equirectangular,
+  mercator,
+  orthographic
+};
+
+/**
+ * Get projection by id
+ * @param {string} id - Projection identifier
+ * @returns {Projection} Projection (equirectangular if unknown)
+ */
+export function getProjection(id) {
+  return PROJECTIONS[id] || PROJECTIONS.equirectangular;
+}
+
+/**
+ * Register a custom projection
+ * @param {Projection} projection - Projection implementation
+ */
+export function registerProjection(projection) {
+  if (!projection?.id || typeof projection.project !== 'function' || typeof projection.invert !== 'function') {
+    throw new Error('Projection must define id, project and invert');
+  }
+  PROJECTIONS[projection.id] = {
+    maxLatitude: 85,
+    wrapLongitude: false,
+    outline: () => null,
+    pan: (view, dx, dy) => projection.invert(view.width / 2 - dx, view.height / 2 - dy, view) || view.center,
+    ...projection
+  };
+}
\ No newline at end of file
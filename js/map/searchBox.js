@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Type-ahead dropdown for the map search input
+ * Keyboard-navigable combobox listing place and event results
+ */
+
+import { el, on, debounce } from '../utils/dom.js';
+
+/**
+ * Search box configuration
+ */
+const SEARCH_BOX_CONFIG = {
+  INPUT_DELAY: 120, // ms of typing pause before searching
+  BLUR_DELAY: 150 // ms to keep the list open so clicks on it register
+};
+
+/**
+ * Result icons by kind / place type
+ */
+const RESULT_ICONS = {
+  country: '🏳️',
+  region: '🗺️',
+  city: '🏙️',
+  event: '📍'
+};
+
+let listCounter = 0;
+
+/**
+ * Attach a type-ahead dropdown to a search input
+ * @param {HTMLInputElement} input - Search input
+ * @param {Object} handlers - Search callbacks
+ * @param {function(string): (import('./gazetteer.js').SearchResult[]|Promise<import('./gazetteer.js').SearchResult[]>)} handlers.search - Results for a query
+ * @param {function(import('./gazetteer.js').SearchResult): void} handlers.onSelect - A result was chosen
+ * @param {function(import('./gazetteer.js').SearchResult): void} handlers.onNearby - "Events near here" was chosen for a place
+ * @param {function(string): void} handlers.onSubmit - Enter pressed without a highlighted result
+ * @returns {{showResults: function(import('./gazetteer.js').SearchResult[], string=): void, close: function(): void, detach: function(): void}} Search box controller
+ */
+export function attachSearchBox(input, handlers) {
+  const listId = `map-search-results-${++listCounter}`;
+  const list = el('ul', { className: 'map-search-results', id: listId, role: 'listbox', hidden: true });
+  input.insertAdjacentElement('afterend', list);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listId);
+  input.setAttribute('aria-expanded', 'false');
+
+  let results = [];
+  let activeIndex = -1;
+  let requestId = 0;
+
+  /**
+   * Render results into the list
+   * @param {import('./gazetteer.js').SearchResult[]} items - Results
+   * @param {string} [heading] - Optional heading shown above the results
+   */
+  function showResults(items, heading) {
+    results = items;
+    activeIndex = -1;
+    list.innerHTML = '';
+
+    if (heading) {
+      list.appendChild(el('li', { className: 'map-search-results__heading', role: 'presentation' }, heading));
+    }
+
+    items.forEach((result, index) => {
+      const icon = RESULT_ICONS[result.kind === 'event' ? 'event' : result.place?.type] || RESULT_ICONS.event;
+      const option = el('li', {
+        className: 'map-search-results__item',
+        id: `${listId}-${index}`,
+        role: 'option',
+        'aria-selected': 'false',
+        'data-index': String(index)
+      }, [
+        el('span', { className: 'map-search-results__icon', 'aria-hidden': 'true' }, icon),
+        el('span', { className: 'map-search-results__text' }, [
+          el('span', { className: 'map-search-results__label' }, result.label),
+          el('span', { className: 'map-search-results__detail' }, result.detail)
+        ])
+      ]);
+
+      if (result.kind === 'place') {
+        option.appendChild(el('button', {
+          type: 'button',
+          className: 'map-search-results__nearby',
+          'data-nearby': String(index),
+          'aria-label': `Search events near ${result.label}`
+        }, 'Events near here'));
+      }
+
+      list.appendChild(option);
+    });
+
+    const open = items.length > 0 || Boolean(heading);
+    list.hidden = !open;
+    input.setAttribute('aria-expanded', String(open));
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Close the dropdown
+   */
+  function close() {
+    list.hidden = true;
+    activeIndex = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Highlight a result
+   * @param {number} index - Result index
+   */
+  function setActive(index) {
+    if (results.length === 0) return;
+
+    activeIndex = (index + results.length) % results.length;
+    list.querySelectorAll('[role="option"]').forEach(option => {
+      const selected = Number(option.dataset.index) === activeIndex;
+      option.setAttribute('aria-selected', String(selected));
+      option.classList.toggle('is-active', selected);
+      if (selected) option.scrollIntoView?.({ block: 'nearest' });
+    });
+    input.setAttribute('aria-activedescendant', `${listId}-${activeIndex}`);
+  }
+
+  /**
+   * Choose a result
+   * @param {number} index - Result index
+   */
+  function choose(index) {
+    const result = results[index];
+    if (!result) return;
+
+    input.value = result.label;
+    close();
+    handlers.onSelect(result);
+  }
+
+  const runSearch = debounce(async (query) => {
+    const current = ++requestId;
+    const items = await handlers.search(query);
+
+    // Ignore answers to queries the user has typed past
+    if (current !== requestId || input.value !== query) return;
+    showResults(items);
+  }, SEARCH_BOX_CONFIG.INPUT_DELAY);
+
+  function handleInput() {
+    if (!input.value.trim()) {
+      requestId++;
+      close();
+      return;
+    }
+    runSearch(input.value);
+  }
+
+  function handleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (list.hidden && input.value.trim()) runSearch(input.value);
+        else setActive(activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActive(activeIndex - 1);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (!list.hidden && activeIndex >= 0) {
+          choose(activeIndex);
+        } else {
+          close();
+          handlers.onSubmit(input.value);
+        }
+        break;
+      case 'Escape':
+        if (!list.hidden) {
+          event.preventDefault();
+          close();
+        }
+        break;
+    }
+  }
+
+  function handleListClick(event) {
+    const nearby = event.target.closest('[data-nearby]');
+    if (nearby) {
+      const result = results[Number(nearby.dataset.nearby)];
+      if (result) handlers.onNearby(result);
+      return;
+    }
+
+    const option = event.target.closest('[role="option"]');
+    if (option) choose(Number(option.dataset.index));
+  }
+
+  let blurTimer = null;
+  const cleanups = [
+    on(input, 'input', handleInput),
+    on(input, 'keydown', handleKeydown),
+    on(input, 'blur', () => {
+      blurTimer = setTimeout(close, SEARCH_BOX_CONFIG.BLUR_DELAY);
+    }),
+    on(input, 'focus', () => clearTimeout(blurTimer)),
+    // Keep focus in the input while interacting with the list
+    on(list, 'mousedown', (event) => event.preventDefault()),
+    on(list, 'click', handleListClick)
+  ];
+
+  return {
+    showResults,
+    close,
+
+    /**
+     * Remove the dropdown and its listeners
+     */
+    detach() {
+      clearTimeout(blurTimer);
+      cleanups.forEach(cleanup => cleanup());
+      list.remove();
+    }
+  };
+}
+
+export { SEARCH_BOX_CONFIG };
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Data file schema migrations
+ * Upgrades data files from older `schemaVersion`s to the version this app reads, one version
+ * at a time, and rejects files newer than that. The version a file is read at is the latest
+ * registered schema of its kind (js/schemas/index.js).
+ *
+ * Event records inside a file carry their own version and are upgraded by js/eventSchema.js.
+ * @requires ./schemas/index.js
+ */
+
+import { getLatestSchemaVersion } from './schemas/index.js';
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} from - Version the step upgrades from (to `from + 1`)
+ * @property {string} description - What the step changes
+ * @property {function(*): Object} migrate - Returns the upgraded document; must not modify its input
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {Object} data - Document at the supported version
+ * @property {number} fromVersion - Version the document had
+ * @property {number} version - Version it has now
+ * @property {string[]} applied - Descriptions of the steps applied, in order
+ */
+
+/**
+ * Migration steps by document kind and source version
+ * @type {Map<string, Map<number, Migration>>}
+ */
+const migrations = new Map();
+
+/**
+ * Register a migration step (replaces the step for the same kind and version)
+ * @param {string} kind - Document kind, as named in the schema registry ('eventFile', 'stories', ...)
+ * @param {Migration} migration - Step from `migration.from` to `migration.from + 1`
+ */
+export function registerMigration(kind, migration) {
+  if (!Number.isInteger(migration?.from) || typeof migration.migrate !== 'function') {
+    throw new Error(`Migration for ${kind} needs a from version and a migrate function`);
+  }
+
+  if (!migrations.has(kind)) {
+    migrations.set(kind, new Map());
+  }
+  migrations.get(kind).set(migration.from, migration);
+}
+
+/**
+ * Version of a document; unversioned documents (legacy bare arrays included) are version 0
+ * @param {*} data - Parsed document
+ * @returns {number}
+ */
+export function detectDocumentVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Version of a document kind this app reads
+ * @param {string} kind - Document kind
+ * @returns {number}
+ */
+export function getSupportedVersion(kind) {
+  const version = getLatestSchemaVersion(kind);
+  if (version === null) {
+    throw new Error(`Unknown document kind: ${kind}`);
+  }
+  return version;
+}
+
+/**
+ * Reject documents newer than this app reads
+ * @param {string} kind - Document kind
+ * @param {number} version - Document version
+ * @param {string} [label] - File name for the message
+ * @throws {Error} When the version is not supported (error.code 'UNSUPPORTED_SCHEMA_VERSION')
+ */
+export function assertSupportedVersion(kind, version, label = kind) {
+  const supported = getSupportedVersion(kind);
+  if (version <= supported) return;
+
+  const error = new Error(`${label} uses schema version ${version}, but this app reads up to version ${supported}; update the app to load it`);
+  error.code = 'UNSUPPORTED_SCHEMA_VERSION';
+  error.schemaVersion = version;
+  error.supportedVersion = supported;
+  throw error;
+}
+
+/**
+ * Upgrade a document to the version this app reads
+ * @param {string} kind - Document kind
+ * @param {*} data - Parsed document
+ * @param {Object} [options] - Options
+ * @param {string} [options.label] - File name for messages
+ * @returns {MigrationResult}
+ * @throws {Error} When the document is newer than supported, or a step is missing
+ */
+export function migrateDocument(kind, data, options = {}) {
+  const { label = kind } = options;
+  const fromVersion = detectDocumentVersion(data);
+  const supported = getSupportedVersion(kind);
+  assertSupportedVersion(kind, fromVersion, label);
+
+  const applied = [];
+  let version = fromVersion;
+  let migrated = data;
+
+  while (version < supported) {
+    const step = migrations.get(kind)?.get(version);
+    if (!step) {
+      throw new Error(`${label} has schema version ${version}, and there is no migration from it`);
+    }
+
+    migrated = { ...step.migrate(migrated), schemaVersion: version + 1 };
+    applied.push(step.description);
+    version++;
+  }
+
+  return { data: migrated, fromVersion, version, applied };
+}
+
+/**
+ * Migration steps of a document kind, oldest first
+ * @param {string} kind - Document kind
+ * @returns {{from: number, description: string}[]}
+ */
+export function listMigrations(kind) {
+  return Array.from(migrations.get(kind)?.values() || [])
+    .sort((a, b) => a.from - b.from)
+    .map(({ from, description }) => ({ from, description }));
+}
+
+/**
+ * Most common UTC year among event timestamps (legacy records use `date`)
+ * @param {Object[]} events - Raw events
+ * @returns {number|undefined}
+ */
+function getPredominantYear(events) {
+  const counts = new Map();
+  events.forEach(event => {
+    const year = new Date(event?.timestamp ?? event?.date).getUTCFullYear();
+    if (!Number.isNaN(year)) counts.set(year, (counts.get(year) || 0) + 1);
+  });
+
+  let best;
+  counts.forEach((count, year) => {
+    if (best === undefined || count > counts.get(best)) best = year;
+  });
+  return best;
+}
+
+// Events files before versioning were bare arrays (events.mock.json) or envelopes without a version
+registerMigration('eventFile', {
+  from: 0,
+  description: 'Wrap unversioned events in a versioned envelope with a year',
+  migrate(data) {
+    const { schemaVersion, year, events, ...rest } = Array.isArray(data) ? { events: data } : data;
+    const records = Array.isArray(events) ? events : [];
+
+    return { schemaVersion: 1, year: year ?? getPredominantYear(records), ...rest, events: records };
+  }
+});
\ No newline at end of file
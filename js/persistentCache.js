@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Persistent data file cache in IndexedDB
+ * Entries are keyed by file name plus a version stamp (the `updated` stamp of events.index.json),
+ * evicted least recently used first once the size budget is exceeded.
+ * Without IndexedDB (private browsing, Node) every lookup is a miss and writes are skipped.
+ */
+
+/**
+ * @typedef {Object} PersistentCacheEntry
+ * @property {string} key - `${file}@${version}`
+ * @property {string} file - Data file name
+ * @property {string} version - Version stamp
+ * @property {*} data - Cached data
+ * @property {number} size - Approximate size in bytes (serialized length)
+ * @property {number} storedAt - Write time (ms)
+ * @property {number} lastAccess - Last read or write time (ms)
+ */
+
+/**
+ * Persistent cache configuration
+ */
+const PERSISTENT_CACHE_CONFIG = {
+  DB_NAME: 'earth-story-map',
+  DB_VERSION: 1,
+  STORE_NAME: 'dataFiles',
+  DEFAULT_MAX_BYTES: 25 * 1024 * 1024 // 25 MB
+};
+
+/**
+ * @type {Promise<IDBDatabase|null>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create) the cache database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise(resolve => {
+    const request = indexedDB.open(PERSISTENT_CACHE_CONFIG.DB_NAME, PERSISTENT_CACHE_CONFIG.DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PERSISTENT_CACHE_CONFIG.STORE_NAME)) {
+        db.createObjectStore(PERSISTENT_CACHE_CONFIG.STORE_NAME, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('⚠️ IndexedDB unavailable, persistent cache disabled:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => resolve(null);
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Get the cache object store in a new transaction
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @returns {Promise<IDBObjectStore|null>}
+ */
+async function getStore(mode) {
+  const db = await openDatabase();
+  if (!db) return null;
+  return db.transaction(PERSISTENT_CACHE_CONFIG.STORE_NAME, mode).objectStore(PERSISTENT_CACHE_CONFIG.STORE_NAME);
+}
+
+/**
+ * Cache key of a file version
+ * @param {string} file - File name
+ * @param {string} version - Version stamp
+ * @returns {string}
+ */
+function getKey(file, version) {
+  return `${file}@${version}`;
+}
+
+/**
+ * Read all entries
+ * @returns {Promise<PersistentCacheEntry[]>}
+ */
+async function getAllEntries() {
+  const store = await getStore('readonly');
+  if (!store) return [];
+  return promisify(store.getAll());
+}
+
+/**
+ * Create a persistent cache tier
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxBytes] - Size budget in bytes (approximate, by serialized length)
+ * @returns {Object} Cache with get, getLatest, set, invalidate, clear and getStats
+ */
+export function createPersistentCache(options = {}) {
+  const maxBytes = options.maxBytes ?? PERSISTENT_CACHE_CONFIG.DEFAULT_MAX_BYTES;
+
+  // Hit, miss and usage counters
+  const stats = {
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    entries: 0,
+    bytes: 0
+  };
+
+  const updateUsage = (entries) => {
+    stats.entries = entries.length;
+    stats.bytes = entries.reduce((total, entry) => total + entry.size, 0);
+  };
+
+  // Writes run one at a time so budget checks see each other's entries
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Write an entry (queued by set)
+   * @param {string} file - File name
+   * @param {string} version - Version stamp
+   * @param {*} data - Data to cache
+   * @param {number} size - Approximate size in bytes
+   * @returns {Promise<boolean>} Whether the data was stored
+   */
+  const writeEntry = async (file, version, data, size) => {
+    try {
+      const entries = await getAllEntries();
+      const store = await getStore('readwrite');
+      if (!store) return false;
+
+      // Older versions of the same file are stale
+      const others = entries.filter(entry => entry.file !== file);
+      entries.filter(entry => entry.file === file).forEach(entry => store.delete(entry.key));
+
+      // Evict least recently used entries until the new one fits
+      let total = others.reduce((sum, entry) => sum + entry.size, 0) + size;
+      others.sort((a, b) => a.lastAccess - b.lastAccess);
+      while (total > maxBytes && others.length > 0) {
+        const evicted = others.shift();
+        store.delete(evicted.key);
+        total -= evicted.size;
+        stats.evictions++;
+      }
+
+      const now = Date.now();
+      await promisify(store.put({ key: getKey(file, version), file, version, data, size, storedAt: now, lastAccess: now }));
+
+      stats.writes++;
+      stats.entries = others.length + 1;
+      stats.bytes = total;
+      return true;
+
+    } catch (error) {
+      console.warn(`⚠️ Persistent cache write failed for ${file}:`, error);
+      return false;
+    }
+  };
+
+  return {
+    /**
+     * Whether IndexedDB could be opened
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+      return (await openDatabase()) !== null;
+    },
+
+    /**
+     * Read a cached file version
+     * @param {string} file - File name
+     * @param {string} version - Version stamp
+     * @returns {Promise<*>} Cached data, or undefined on a miss
+     */
+    async get(file, version) {
+      try {
+        const store = await getStore('readwrite');
+        const entry = store ? await promisify(store.get(getKey(file, version))) : undefined;
+
+        if (!entry) {
+          stats.misses++;
+          return undefined;
+        }
+
+        stats.hits++;
+        entry.lastAccess = Date.now();
+        store.put(entry);
+        return entry.data;
+
+      } catch (error) {
+        console.warn(`⚠️ Persistent cache read failed for ${file}:`, error);
+        stats.misses++;
+        return undefined;
+      }
+    },
+
+    /**
+     * Read the most recently stored version of a file, whatever its version
+     * @param {string} file - File name
+     * @returns {Promise<*>} Cached data, or undefined on a miss
+     */
+    async getLatest(file) {
+      try {
+        const entries = await getAllEntries();
+        updateUsage(entries);
+
+        const latest = entries
+          .filter(entry => entry.file === file)
+          .sort((a, b) => b.storedAt - a.storedAt)[0];
+
+        if (!latest) {
+          stats.misses++;
+          return undefined;
+        }
+
+        stats.hits++;
+        return latest.data;
+
+      } catch (error) {
+        console.warn(`⚠️ Persistent cache read failed for ${file}:`, error);
+        stats.misses++;
+        return undefined;
+      }
+    },
+
+    /**
+     * Store a file version, replacing other versions of the file and evicting to stay in budget
+     * @param {string} file - File name
+     * @param {string} version - Version stamp
+     * @param {*} data - Data to cache (structured-cloneable)
+     * @returns {Promise<boolean>} Whether the data was stored
+     */
+    set(file, version, data) {
+      const size = JSON.stringify(data).length;
+      if (size > maxBytes) {
+        console.warn(`⚠️ ${file} (${size} bytes) exceeds the persistent cache budget`);
+        return Promise.resolve(false);
+      }
+
+      const write = writeQueue.then(() => writeEntry(file, version, data, size));
+      writeQueue = write;
+      return write;
+    },
+
+    /**
+     * Drop every entry whose version is not current
+     * @param {string} version - Current version stamp
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async invalidate(version) {
+      try {
+        const entries = await getAllEntries();
+        const stale = entries.filter(entry => entry.version !== version);
+        const store = stale.length > 0 ? await getStore('readwrite') : null;
+
+        stale.forEach(entry => store.delete(entry.key));
+        updateUsage(entries.filter(entry => entry.version === version));
+
+        if (stale.length > 0) {
+          console.log(`🗑️ Persistent cache: dropped ${stale.length} entries from older data versions`);
+        }
+        return stale.length;
+
+      } catch (error) {
+        console.warn('⚠️ Persistent cache invalidation failed:', error);
+        return 0;
+      }
+    },
+
+    /**
+     * Remove all entries
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      try {
+        const store = await getStore('readwrite');
+        if (store) await promisify(store.clear());
+        updateUsage([]);
+      } catch (error) {
+        console.warn('⚠️ Persistent cache clear failed:', error);
+      }
+    },
+
+    /**
+     * Hit/miss counters and usage (usage as of the last write or invalidation)
+     * @returns {{hits: number, misses: number, writes: number, evictions: number, entries: number, bytes: number, maxBytes: number}}
+     */
+    getStats() {
+      return { ...stats, maxBytes };
+    }
+  };
+}
+
+export { PERSISTENT_CACHE_CONFIG };
\ No newline at end of file
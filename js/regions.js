@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Region derivation from event coordinates
+ * Assigns continent and country to events using the bundled world country polygons
+ * @requires ./map/basemap.js
+ * @requires ./utils/geo.js
+ */
+
+import { loadBasemap } from './map/basemap.js';
+import { isPointInGeometry, getGeometryPositions, getGeometryBounds } from './utils/geo.js';
+import { geoDistance } from './utils/math.js';
+
+/**
+ * Continent-level regions, matching the `continent` property of data/world.geo.json
+ */
+const CONTINENTS = [
+  { id: 'north_america', label: 'North America' },
+  { id: 'south_america', label: 'South America' },
+  { id: 'europe', label: 'Europe' },
+  { id: 'asia', label: 'Asia' },
+  { id: 'africa', label: 'Africa' },
+  { id: 'oceania', label: 'Oceania' },
+  { id: 'antarctica', label: 'Antarctica' }
+];
+
+/**
+ * Region derivation configuration
+ */
+const REGION_CONFIG = {
+  COASTAL_DISTANCE_KM: 300, // Offshore events within this distance take the nearest country
+  URAL_LONGITUDE: 60 // Russia east of this longitude counts as Asia
+};
+
+/**
+ * Countries whose continent depends on where in the country the event is
+ */
+const CONTINENT_OVERRIDES = {
+  RUS: (lat, lng) => (lng >= REGION_CONFIG.URAL_LONGITUDE || lng < -168 ? 'asia' : 'europe')
+};
+
+/**
+ * @typedef {Object} CountryShape
+ * @property {string} iso - ISO 3166-1 alpha-3 code
+ * @property {string} name - Country name
+ * @property {string|null} continent - Continent region id
+ * @property {Object} geometry - GeoJSON Polygon/MultiPolygon
+ * @property {{north: number, south: number, east: number, west: number}} bounds - Bounding box
+ */
+
+/**
+ * Country shapes with bounding boxes, built once from the basemap
+ * @type {CountryShape[]|null}
+ */
+let countries = null;
+
+/**
+ * Load country shapes
+ * @returns {Promise<CountryShape[]>} Country shapes (empty when the polygons are unavailable)
+ */
+export async function loadCountryShapes() {
+  if (countries) return countries;
+
+  const world = await loadBasemap();
+  if (!world) return [];
+
+  countries = world.features
+    .filter(feature => feature.geometry && feature.properties?.iso_a3)
+    .map(feature => ({
+      iso: feature.properties.iso_a3,
+      name: feature.properties.name,
+      continent: feature.properties.continent || null,
+      geometry: feature.geometry,
+      bounds: getGeometryBounds(feature.geometry)
+    }));
+
+  console.log(`🌍 Region polygons ready: ${countries.length} countries`);
+  return countries;
+}
+
+/**
+ * Distance from a point to the nearest vertex of a country outline
+ * @param {CountryShape} country - Country
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number} Distance in kilometres
+ */
+function distanceToCountry(country, lat, lng) {
+  return getGeometryPositions(country.geometry).reduce(
+    (nearest, [vLng, vLat]) => Math.min(nearest, geoDistance(lat, lng, vLat, vLng)),
+    Infinity
+  );
+}
+
+/**
+ * Find the country containing a point, or the nearest one for events just offshore
+ * @param {CountryShape[]} shapes - Country shapes
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {CountryShape|null}
+ */
+function findCountry(shapes, lat, lng) {
+  const containing = shapes.find(({ bounds, geometry }) =>
+    lat >= bounds.south && lat <= bounds.north &&
+    lng >= bounds.west && lng <= bounds.east &&
+    isPointInGeometry(geometry, lng, lat)
+  );
+  if (containing) return containing;
+
+  // Coastal and near-shore events (storms, floods, fires on small islands missing at 1:110m)
+  const margin = REGION_CONFIG.COASTAL_DISTANCE_KM / 111;
+  let nearest = null;
+  let nearestDistance = REGION_CONFIG.COASTAL_DISTANCE_KM;
+
+  shapes.forEach(country => {
+    const { bounds } = country;
+    const lngMargin = margin / Math.max(Math.cos(lat * Math.PI / 180), 0.1);
+    if (lat < bounds.south - margin || lat > bounds.north + margin ||
+      lng < bounds.west - lngMargin || lng > bounds.east + lngMargin) {
+      return;
+    }
+
+    const distance = distanceToCountry(country, lat, lng);
+    if (distance <= nearestDistance) {
+      nearest = country;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Derive continent and country for a position
+ * @param {CountryShape[]} shapes - Country shapes
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{region: string|null, country: string|null, countryName: string|null}}
+ */
+export function deriveRegion(shapes, lat, lng) {
+  const country = findCountry(shapes, lat, lng);
+  if (!country) {
+    return { region: null, country: null, countryName: null };
+  }
+
+  const override = CONTINENT_OVERRIDES[country.iso];
+  return {
+    region: override ? override(lat, lng) : country.continent,
+    country: country.iso,
+    countryName: country.name
+  };
+}
+
+/**
+ * Assign `region`, `country` and `countryName` to events from their coordinates
+ * Events that already carry a region keep it; events outside any country stay unassigned.
+ * @param {import('./types.js').EventRecord[]} events - Events to annotate (modified in place)
+ * @returns {Promise<number>} Number of events that received a region
+ */
+export async function assignRegions(events) {
+  try {
+    const shapes = await loadCountryShapes();
+    if (shapes.length === 0) {
+      console.warn('⚠️ Region polygons unavailable, events keep their existing regions');
+      return 0;
+    }
+
+    let assigned = 0;
+    events.forEach(event => {
+      if (event.region && event.country) return;
+
+      const coordinates = event.coordinates || event.location?.coordinates;
+      if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+        return;
+      }
+
+      const derived = deriveRegion(shapes, coordinates.lat, coordinates.lng);
+      if (!derived.country) return;
+
+      event.region = event.region || derived.region;
+      event.country = derived.country;
+      event.countryName = derived.countryName;
+      assigned++;
+    });
+
+    console.log(`🗺️ Regions derived for ${assigned} of ${events.length} events`);
+    return assigned;
+
+  } catch (error) {
+    console.error('❌ Region derivation failed:', error);
+    return 0;
+  }
+}
+
+/**
+ * List the countries present in a set of events, for the region selector
+ * @param {import('./types.js').EventRecord[]} events - Events
+ * @returns {{id: string, label: string, continent: string|null, count: number}[]} Countries sorted by name
+ */
+export function getEventCountries(events) {
+  const found = new Map();
+
+  events.forEach(event => {
+    if (!event.country) return;
+
+    const entry = found.get(event.country) || {
+      id: event.country,
+      label: event.countryName || event.country,
+      continent: event.region || null,
+      count: 0
+    };
+    entry.count++;
+    found.set(event.country, entry);
+  });
+
+  return Array.from(found.values()).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+export { CONTINENTS, REGION_CONFIG };
\ No newline at end of file
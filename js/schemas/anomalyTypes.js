@@ -0,0 +1,57 @@
+/**
+ * @fileoverview JSON Schema of anomaly-types.json
+ * Its keys and aliases are the known `type` values of event records, `severityLevels` the
+ * known `severity` values.
+ */
+
+/**
+ * Anomaly types reference file, version 1
+ */
+export const anomalyTypesSchemaV1 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:earth-story-map:schema:anomaly-types:1',
+  title: 'Anomaly types',
+  type: 'object',
+  required: ['schemaVersion', 'types'],
+  properties: {
+    schemaVersion: { type: 'integer', const: 1 },
+    severityLevels: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', pattern: '^[a-z]+$' }
+    },
+    types: {
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/anomalyType' }
+    }
+  },
+  $defs: {
+    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+    anomalyType: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z0-9_]+$' },
+        // Other type names used for the same anomaly in event data
+        aliases: {
+          type: 'array',
+          items: { type: 'string', pattern: '^[a-z0-9_]+$' }
+        },
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        color: { $ref: '#/$defs/color' },
+        icon: { type: 'string' },
+        severity: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              threshold: { type: 'number' },
+              color: { $ref: '#/$defs/color' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
\ No newline at end of file
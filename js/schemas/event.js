@@ -0,0 +1,99 @@
+/**
+ * @fileoverview JSON Schema of the canonical event record
+ * Validated after normalization (js/eventSchema.js), so the version follows EVENT_SCHEMA_VERSION
+ * rather than the file the record came from. Type, severity and instrument are checked against
+ * the reference files; values they do not list are warnings.
+ */
+
+/**
+ * Event record, version 2
+ */
+export const eventSchemaV2 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:earth-story-map:schema:event:2',
+  title: 'Event record',
+  type: 'object',
+  required: ['id', 'title', 'timestamp', 'type', 'coordinates', 'instrument'],
+  properties: {
+    schemaVersion: { type: 'integer', const: 2 },
+    id: { type: 'string', minLength: 1 },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' },
+    startTime: { type: 'string', format: 'date-time' },
+    endTime: { type: 'string', format: 'date-time' },
+    type: {
+      type: 'string',
+      minLength: 1,
+      allOf: [{ 'x-enumRef': 'eventTypes', 'x-level': 'warning' }]
+    },
+    severity: {
+      type: 'string',
+      allOf: [{ 'x-enumRef': 'severityLevels', 'x-level': 'warning' }]
+    },
+    instrument: {
+      type: 'string',
+      minLength: 1,
+      allOf: [{ 'x-enumRef': 'instruments', 'x-level': 'warning' }]
+    },
+    satellite: { type: 'string' },
+    coordinates: { $ref: '#/$defs/coordinates' },
+    location: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      }
+    },
+    confidence: {
+      type: 'number',
+      allOf: [{ minimum: 0, maximum: 100, 'x-level': 'warning' }]
+    },
+    metadata: { type: 'object' },
+    media: { type: 'object' },
+    sources: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    timeline: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date'],
+        properties: {
+          date: { type: 'string', format: 'date-time' },
+          event: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    }
+  },
+  $defs: {
+    coordinates: {
+      type: 'object',
+      required: ['lat', 'lng'],
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lng: { type: 'number', minimum: -180, maximum: 180 },
+        bounds: { $ref: '#/$defs/bounds' },
+        footprint: {
+          type: 'object',
+          required: ['type', 'coordinates'],
+          properties: {
+            type: { enum: ['Polygon', 'MultiPolygon'] },
+            coordinates: { type: 'array' }
+          }
+        }
+      }
+    },
+    bounds: {
+      type: 'object',
+      required: ['north', 'south', 'east', 'west'],
+      properties: {
+        north: { type: 'number' },
+        south: { type: 'number' },
+        east: { type: 'number' },
+        west: { type: 'number' }
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview JSON Schema of events.YEAR.json files
+ */
+
+/**
+ * Events file, version 1
+ * Records are checked against the event record schema once normalized (see validateEventFile).
+ */
+export const eventFileSchemaV1 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:earth-story-map:schema:event-file:1',
+  title: 'Events file',
+  type: 'object',
+  required: ['schemaVersion', 'year', 'events'],
+  properties: {
+    schemaVersion: { type: 'integer', const: 1 },
+    year: { type: 'integer', minimum: 2000, maximum: 2030 },
+    provenance: { type: 'object' },
+    events: {
+      type: 'array',
+      items: { $ref: 'urn:earth-story-map:schema:event:2' }
+    }
+  }
+};
\ No newline at end of file
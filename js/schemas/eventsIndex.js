@@ -0,0 +1,43 @@
+/**
+ * @fileoverview JSON Schema of events.index.json
+ */
+
+/**
+ * Events index, version 1
+ */
+export const eventsIndexSchemaV1 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:earth-story-map:schema:events-index:1',
+  title: 'Events index',
+  type: 'object',
+  required: ['schemaVersion', 'years'],
+  properties: {
+    schemaVersion: { type: 'integer', const: 1 },
+    updated: { type: 'string', format: 'date-time' },
+    years: {
+      type: 'array',
+      items: { $ref: '#/$defs/yearEntry' }
+    },
+    total: { type: 'integer', minimum: 0 },
+    instruments: { type: 'string', minLength: 1 },
+    anomalyTypes: { type: 'string', minLength: 1 }
+  },
+  $defs: {
+    yearEntry: {
+      type: 'object',
+      required: ['year', 'file'],
+      properties: {
+        // Calendar year, or a year with a suffix for extra files of that year ("2024-perf")
+        year: {
+          type: ['integer', 'string'],
+          pattern: '^\\d{4}(-[\\w-]+)?$'
+        },
+        file: { type: 'string', minLength: 1 },
+        count: { type: 'integer', minimum: 0 },
+        format: { type: 'string' },
+        schemaVersion: { type: 'integer' },
+        description: { type: 'string' }
+      }
+    }
+  }
+};
\ No newline at end of file
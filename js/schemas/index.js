@@ -0,0 +1,77 @@
+/**
+ * @fileoverview JSON Schema registry for the data files
+ * Documents are registered by name and version; a file's `schemaVersion` picks the version
+ * it is checked against. js/validation.js runs the checks.
+ */
+
+import { eventSchemaV2 } from './event.js';
+import { eventFileSchemaV1 } from './eventFile.js';
+import { eventsIndexSchemaV1 } from './eventsIndex.js';
+import { storiesSchemaV1 } from './stories.js';
+import { instrumentsSchemaV1 } from './instruments.js';
+import { anomalyTypesSchemaV1 } from './anomalyTypes.js';
+
+/**
+ * Schema versions by document name
+ * @type {Map<string, Map<number, Object>>}
+ */
+const documents = new Map();
+
+/**
+ * Register a schema document version (replaces the same name and version)
+ * @param {string} name - Document name ('event', 'eventFile', 'eventsIndex', ...)
+ * @param {number} version - Schema version
+ * @param {Object} schema - JSON Schema with an $id
+ */
+export function registerSchema(name, version, schema) {
+  if (!schema?.$id) {
+    throw new Error(`Schema ${name} v${version} needs an $id`);
+  }
+
+  if (!documents.has(name)) {
+    documents.set(name, new Map());
+  }
+  documents.get(name).set(version, schema);
+}
+
+/**
+ * Get a schema document
+ * @param {string} name - Document name
+ * @param {number} [version] - Schema version, latest when omitted
+ * @returns {Object|null}
+ */
+export function getSchema(name, version) {
+  const versions = documents.get(name);
+  if (!versions) return null;
+  return versions.get(version ?? getLatestSchemaVersion(name)) || null;
+}
+
+/**
+ * Latest registered version of a document
+ * @param {string} name - Document name
+ * @returns {number|null}
+ */
+export function getLatestSchemaVersion(name) {
+  const versions = Array.from(documents.get(name)?.keys() || []);
+  return versions.length > 0 ? Math.max(...versions) : null;
+}
+
+/**
+ * Every registered schema by $id, for cross-document $ref
+ * @returns {Object<string, Object>}
+ */
+export function getSchemasById() {
+  const byId = {};
+  documents.forEach(versions => versions.forEach(schema => {
+    byId[schema.$id] = schema;
+  }));
+  return byId;
+}
+
+// Built-in documents
+registerSchema('event', 2, eventSchemaV2);
+registerSchema('eventFile', 1, eventFileSchemaV1);
+registerSchema('eventsIndex', 1, eventsIndexSchemaV1);
+registerSchema('stories', 1, storiesSchemaV1);
+registerSchema('instruments', 1, instrumentsSchemaV1);
+registerSchema('anomalyTypes', 1, anomalyTypesSchemaV1);
\ No newline at end of file
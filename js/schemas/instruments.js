@@ -0,0 +1,46 @@
+/**
+ * @fileoverview JSON Schema of instruments.json
+ * Its keys are the known `instrument` values of event records.
+ */
+
+/**
+ * Instruments reference file, version 1
+ */
+export const instrumentsSchemaV1 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:earth-story-map:schema:instruments:1',
+  title: 'Instruments',
+  type: 'object',
+  required: ['schemaVersion', 'instruments'],
+  properties: {
+    schemaVersion: { type: 'integer', const: 1 },
+    instruments: {
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/instrument' }
+    }
+  },
+  $defs: {
+    instrument: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z0-9_]+$' },
+        name: { type: 'string', minLength: 1 },
+        fullName: { type: 'string' },
+        satellites: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        resolution: { type: 'string' },
+        website: { type: 'string', format: 'uri' },
+        capabilities: {
+          type: 'array',
+          items: {
+            type: 'string',
+            allOf: [{ 'x-enumRef': 'eventTypes', 'x-level': 'warning' }]
+          }
+        }
+      }
+    }
+  }
+};
\ No newline at end of file
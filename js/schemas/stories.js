@@ -0,0 +1,69 @@
+/**
+ * @fileoverview JSON Schema of stories.json
+ */
+
+/**
+ * Stories file, version 1
+ */
+export const storiesSchemaV1 = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:earth-story-map:schema:stories:1',
+  title: 'Stories',
+  type: 'object',
+  required: ['schemaVersion', 'stories'],
+  properties: {
+    schemaVersion: { type: 'integer', const: 1 },
+    stories: {
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/story' }
+    },
+    config: {
+      type: 'object',
+      properties: {
+        defaultStoryId: { type: 'string' },
+        autoPlay: { type: 'boolean' },
+        showProgress: { type: 'boolean' },
+        enableSkipping: { type: 'boolean' },
+        pauseOnHover: { type: 'boolean' },
+        analytics: { type: 'object' }
+      }
+    }
+  },
+  $defs: {
+    story: {
+      type: 'object',
+      required: ['id', 'title', 'steps'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        duration: { type: 'integer', minimum: 0 },
+        autoFocus: { type: 'boolean' },
+        steps: {
+          type: 'array',
+          minItems: 1,
+          items: { $ref: '#/$defs/step' }
+        }
+      }
+    },
+    step: {
+      type: 'object',
+      required: ['eventId'],
+      properties: {
+        eventId: { type: 'string', minLength: 1 },
+        delayMs: { type: 'integer', minimum: 0 },
+        narration: { type: 'string' },
+        cameraPosition: {
+          type: 'object',
+          required: ['lat', 'lng'],
+          properties: {
+            lat: { type: 'number', minimum: -90, maximum: 90 },
+            lng: { type: 'number', minimum: -180, maximum: 180 },
+            zoom: { type: 'number', minimum: 0, maximum: 22 }
+          }
+        },
+        highlightDuration: { type: 'integer', minimum: 0 }
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -18,7 +18,8 @@ const initialState = {
     severities: [],
     regions: [],
     dateRange: null,
-    searchQuery: ''
+    searchQuery: '',
+    hiddenDatasets: []
   },
   story: {
     status: 'idle',
@@ -229,6 +230,19 @@ export const actions = {
     }, 'setEvents');
   },
 
+  /**
+   * Replace the events and let every view rebuild
+   * setEvents resets filteredEvents, so the current filters are re-applied through `filtersChanged`.
+   * @param {EventRecord[]} events - Events array
+   * @param {Object} [details] - Passed to `eventsLoaded` listeners (e.g. evictedYears)
+   */
+  publishEvents(events, details) {
+    actions.setEvents(events);
+    eventBus.emit('eventsLoaded', events, details);
+    
+    eventBus.emit('filtersChanged', store.getState().filters);
+  },
+
   /**
    * Set filtered events
    * @param {EventRecord[]} filteredEvents - Filtered events array
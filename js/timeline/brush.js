@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Date range brush on a linear time track
+ * A window over the track that can be drawn by dragging across the track, moved as a unit by
+ * dragging it, resized by its edge handles and nudged with the arrow keys. Start and end snap to
+ * day, month or year boundaries. The brush only reports windows; the owner decides where the
+ * range is stored.
+ */
+
+import { on, el } from '../utils/dom.js';
+import { clamp } from '../utils/math.js';
+import { formatDate } from '../utils/format.js';
+import { floorToUnit, addTimeUnits, roundToUnit } from '../utils/time.js';
+
+/**
+ * @typedef {Object} BrushRange
+ * @property {Date} start - Start of the window
+ * @property {Date} end - End of the window (exclusive)
+ */
+
+/**
+ * Brush configuration
+ */
+const BRUSH_CONFIG = {
+  MIN_DRAG: 4, // Pixels a drag must cover to change the window
+  SNAP_UNITS: ['day', 'month', 'year'],
+  DEFAULT_SNAP: 'month'
+};
+
+/**
+ * Attach a date range brush to a track element
+ * @param {HTMLElement} track - Track element; the brush fills its width
+ * @param {Object} handlers - Brush callbacks
+ * @param {function(BrushRange|null): void} handlers.onChange - Window committed (null when cleared)
+ * @returns {{setExtent: function({start: Date, end: Date}): void, setRange: function(BrushRange|null): void, getRange: function(): (BrushRange|null), setSnap: function(string): void, clear: function(): void, detach: function(): void}} Brush controller
+ */
+export function attachTimelineBrush(track, handlers) {
+  let extent = null;
+  let range = null;
+  let snap = BRUSH_CONFIG.DEFAULT_SNAP;
+  let drag = null;
+
+  const ticks = el('div', { className: 'timeline-brush__ticks', 'aria-hidden': 'true' });
+  const windowEl = el('div', {
+    className: 'timeline-brush__window',
+    tabIndex: 0,
+    role: 'slider',
+    'aria-label': 'Selected date range'
+  });
+  const label = el('span', { className: 'timeline-brush__label' });
+  const startHandle = el('div', { className: 'timeline-brush__handle timeline-brush__handle--start', 'data-edge': 'start' });
+  const endHandle = el('div', { className: 'timeline-brush__handle timeline-brush__handle--end', 'data-edge': 'end' });
+  windowEl.append(startHandle, label, endHandle);
+  track.append(ticks, windowEl);
+
+  /**
+   * Time at a horizontal pointer position
+   * @param {PointerEvent} event - Pointer event
+   * @returns {number} Time (ms), clamped to the extent
+   */
+  function getTimeAt(event) {
+    const rect = track.getBoundingClientRect();
+    const share = rect.width > 0 ? clamp((event.clientX - rect.left) / rect.width, 0, 1) : 0;
+    return extent.start + share * (extent.end - extent.start);
+  }
+
+  /**
+   * Snap a window to the snap unit, keeping it inside the extent and at least one unit long
+   * Extents start and end on year boundaries, so every snap unit lines up with them.
+   * @param {number} start - Start (ms)
+   * @param {number} end - End (ms)
+   * @param {'start'|'end'|'both'} fixed - Edge to keep when the window is too short ('both' keeps the start)
+   * @returns {{start: number, end: number}}
+   */
+  function snapWindow(start, end, fixed) {
+    let snappedStart = roundToUnit(clamp(start, extent.start, extent.end), snap).getTime();
+    let snappedEnd = roundToUnit(clamp(end, extent.start, extent.end), snap).getTime();
+
+    if (snappedEnd <= snappedStart) {
+      if (fixed === 'end') {
+        snappedStart = addTimeUnits(snappedEnd, snap, -1).getTime();
+      } else {
+        snappedEnd = addTimeUnits(snappedStart, snap, 1).getTime();
+      }
+    }
+
+    return { start: snappedStart, end: snappedEnd };
+  }
+
+  /**
+   * Position the window and its label
+   */
+  function render() {
+    const span = extent ? extent.end - extent.start : 0;
+    windowEl.hidden = !range || span <= 0;
+    track.classList.toggle('has-selection', !windowEl.hidden);
+    if (windowEl.hidden) return;
+
+    const left = clamp((range.start - extent.start) / span, 0, 1);
+    const right = clamp((range.end - extent.start) / span, 0, 1);
+    windowEl.style.left = `${left * 100}%`;
+    windowEl.style.width = `${Math.max(0, right - left) * 100}%`;
+
+    const text = describeRange();
+    label.textContent = text;
+    windowEl.title = text;
+    windowEl.setAttribute('aria-valuetext', text);
+  }
+
+  /**
+   * Readable form of the window (the end shown is the last day included)
+   * @returns {string}
+   */
+  function describeRange() {
+    // As coarse as both edges allow: whole years, whole months or days
+    const isAligned = unit => [range.start, range.end].every(time => floorToUnit(time, unit).getTime() === time);
+    const unit = isAligned('year') ? 'year' : isAligned('month') ? 'month' : 'day';
+    const options = {
+      month: unit === 'year' ? undefined : 'short',
+      day: unit === 'day' ? 'numeric' : undefined,
+      hour: undefined,
+      minute: undefined,
+      timeZone: 'UTC'
+    };
+    const first = formatDate(new Date(range.start), options);
+    const last = formatDate(new Date(range.end - 1), options);
+    return first === last ? first : `${first} – ${last}`;
+  }
+
+  /**
+   * Draw a tick per year of the extent
+   */
+  function renderTicks() {
+    ticks.innerHTML = '';
+    if (!extent || extent.end <= extent.start) return;
+
+    const span = extent.end - extent.start;
+    for (let year = new Date(extent.start).getUTCFullYear(); Date.UTC(year, 0, 1) < extent.end; year++) {
+      const time = Date.UTC(year, 0, 1);
+      if (time < extent.start) continue;
+      ticks.appendChild(el('span', {
+        className: 'timeline-brush__tick',
+        style: `left: ${((time - extent.start) / span) * 100}%;`,
+        textContent: String(year)
+      }));
+    }
+  }
+
+  /**
+   * Report the window to the owner
+   */
+  function commit() {
+    handlers.onChange(range ? { start: new Date(range.start), end: new Date(range.end) } : null);
+  }
+
+  function handlePointerDown(event) {
+    if (!extent || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+    const time = getTimeAt(event);
+    const edge = event.target.dataset?.edge;
+    let mode = 'create';
+    if (edge) {
+      mode = edge;
+    } else if (range && windowEl.contains(event.target)) {
+      mode = 'move';
+    }
+
+    event.preventDefault();
+    track.setPointerCapture?.(event.pointerId);
+    drag = { mode, x: event.clientX, time, original: range ? { ...range } : null, moved: false };
+  }
+
+  function handlePointerMove(event) {
+    if (!drag) return;
+    if (!drag.moved && Math.abs(event.clientX - drag.x) < BRUSH_CONFIG.MIN_DRAG) return;
+    drag.moved = true;
+
+    const time = getTimeAt(event);
+    const { original } = drag;
+
+    switch (drag.mode) {
+      case 'move': {
+        // Keep the length: shift both edges, clamped so the window stays inside the extent
+        const length = original.end - original.start;
+        const start = clamp(original.start + time - drag.time, extent.start, extent.end - length);
+        range = snapWindow(start, start + length, 'both');
+        break;
+      }
+      case 'start':
+        range = snapWindow(time, original.end, 'end');
+        break;
+      case 'end':
+        range = snapWindow(original.start, time, 'start');
+        break;
+      default:
+        range = snapWindow(Math.min(drag.time, time), Math.max(drag.time, time), 'start');
+    }
+
+    render();
+  }
+
+  function handlePointerUp(event) {
+    if (!drag) return;
+    track.releasePointerCapture?.(event.pointerId);
+
+    const { moved, original } = drag;
+    drag = null;
+
+    if (!moved) return;
+    if (event.type === 'pointercancel') {
+      range = original;
+      render();
+      return;
+    }
+    commit();
+  }
+
+  function handleKeydown(event) {
+    if (!range || !extent) return;
+
+    const direction = event.key === 'ArrowLeft' ? -1 : event.key === 'ArrowRight' ? 1 : 0;
+    if (direction !== 0) {
+      event.preventDefault();
+      const end = addTimeUnits(range.end, snap, direction).getTime();
+      if (event.shiftKey) {
+        // Shift+arrow resizes from the end
+        range = snapWindow(range.start, end, 'start');
+      } else {
+        const start = addTimeUnits(range.start, snap, direction).getTime();
+        if (start < extent.start || end > extent.end) return;
+        range = { start, end };
+      }
+      render();
+      commit();
+    } else if (event.key === 'Escape' || event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault();
+      clear();
+    }
+  }
+
+  /**
+   * Remove the window
+   */
+  function clear() {
+    if (!range) return;
+    range = null;
+    render();
+    commit();
+  }
+
+  const cleanups = [
+    on(track, 'pointerdown', handlePointerDown),
+    on(track, 'pointermove', handlePointerMove),
+    on(track, 'pointerup', handlePointerUp),
+    on(track, 'pointercancel', handlePointerUp),
+    on(track, 'dblclick', clear),
+    on(windowEl, 'keydown', handleKeydown)
+  ];
+
+  return {
+    /**
+     * Set the time span the track covers
+     * @param {{start: Date, end: Date}} nextExtent - Track start and end
+     */
+    setExtent(nextExtent) {
+      extent = { start: new Date(nextExtent.start).getTime(), end: new Date(nextExtent.end).getTime() };
+      renderTicks();
+      render();
+    },
+
+    /**
+     * Show a window without reporting it (e.g. a range set elsewhere)
+     * @param {BrushRange|null} nextRange - Window, null to hide it
+     */
+    setRange(nextRange) {
+      if (drag) return;
+      range = nextRange ? { start: new Date(nextRange.start).getTime(), end: new Date(nextRange.end).getTime() } : null;
+      render();
+    },
+
+    getRange: () => range ? { start: new Date(range.start), end: new Date(range.end) } : null,
+
+    /**
+     * Change the unit windows snap to
+     * @param {'day'|'month'|'year'} unit - Snap unit
+     */
+    setSnap(unit) {
+      if (!BRUSH_CONFIG.SNAP_UNITS.includes(unit)) {
+        console.warn(`Unknown brush snap unit: ${unit}`);
+        return;
+      }
+      snap = unit;
+    },
+
+    clear,
+
+    /**
+     * Remove the brush elements and listeners
+     */
+    detach() {
+      cleanups.forEach(cleanup => cleanup());
+      ticks.remove();
+      windowEl.remove();
+    }
+  };
+}
+
+export { BRUSH_CONFIG };
\ No newline at end of file
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Event histogram strip
+ * Counts events per day, week or month and draws the counts as bars stacked by anomaly type on a
+ * canvas, along a linear time axis from the first bin to the last. Binning is a single pass with
+ * bin indexes computed arithmetically, and drawing batches the bars of each type, so a redraw
+ * stays within a frame for thousands of events. Clicking a bar reports its bin; the owner decides
+ * what to do with it.
+ */
+
+import { on } from '../utils/dom.js';
+import { clamp } from '../utils/math.js';
+import { formatDate } from '../utils/format.js';
+import { floorToUnit, addTimeUnits } from '../utils/time.js';
+
+/**
+ * @typedef {Object} HistogramBins
+ * @property {'day'|'week'|'month'} unit - Bin length
+ * @property {number[]} edges - Bin boundaries (ms), one more than there are bins
+ * @property {string[]} types - Anomaly types, most frequent first (bars stack in this order)
+ * @property {string[]} labels - Display name of each type
+ * @property {string[]} colors - Colour of each type
+ * @property {Uint32Array} counts - Events per bin and type (counts[bin * types.length + type])
+ * @property {Uint32Array} totals - Events per bin
+ * @property {number} max - Largest bin total
+ */
+
+/**
+ * @typedef {Object} HistogramBin
+ * @property {Date} start - Start of the bin
+ * @property {Date} end - End of the bin (exclusive)
+ * @property {number} total - Events in the bin
+ */
+
+/**
+ * Histogram configuration
+ */
+const HISTOGRAM_CONFIG = {
+  UNITS: ['day', 'week', 'month'],
+  MAX_BINS: 4000, // Coarser units take over past this many bins
+  MIN_BAR_HEIGHT: 2, // Pixels, so single events stay visible next to large bins
+  BAR_GAP: 1, // Pixels between bars when they are wide enough
+  DEFAULT_COLOR: '#9e9e9e' // Events without anomaly type metadata
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Stacking key, name and colour of an event; aliases of an anomaly type share its entry
+ * @param {Object} event - Event
+ * @returns {{type: string, label: string, color: string}}
+ */
+function getEventType(event) {
+  const type = event.typeData?.id || event.type || 'unknown';
+  return {
+    type,
+    label: event.typeData?.name || type,
+    color: event.typeData?.color || HISTOGRAM_CONFIG.DEFAULT_COLOR
+  };
+}
+
+/**
+ * Count events per bin and anomaly type
+ * @param {Object[]} events - Events (any order)
+ * @param {'day'|'week'|'month'} unit - Bin length; a coarser one is used when it would need more than MAX_BINS bins
+ * @returns {HistogramBins|null} Null without dated events
+ */
+export function binEvents(events, unit) {
+  const times = new Float64Array(events.length);
+  const typeIndexes = new Int32Array(events.length);
+  const typeIndex = new Map();
+  const types = [];
+  const labels = [];
+  const colors = [];
+  let min = Infinity;
+  let max = -Infinity;
+
+  events.forEach((event, i) => {
+    const time = new Date(event.timestamp).getTime();
+    times[i] = time;
+    if (Number.isNaN(time)) return;
+    if (time < min) min = time;
+    if (time > max) max = time;
+
+    const { type, label, color } = getEventType(event);
+    if (!typeIndex.has(type)) {
+      typeIndex.set(type, types.length);
+      types.push(type);
+      labels.push(label);
+      colors.push(color);
+    }
+    typeIndexes[i] = typeIndex.get(type);
+  });
+
+  if (types.length === 0) return null;
+
+  // Coarsen until the bin count is manageable
+  let unitIndex = Math.max(0, HISTOGRAM_CONFIG.UNITS.indexOf(unit));
+  let start;
+  let getBin;
+  let binCount;
+  for (; ; unitIndex++) {
+    ({ start, getBin } = createBinner(min, HISTOGRAM_CONFIG.UNITS[unitIndex]));
+    binCount = getBin(max) + 1;
+    if (binCount <= HISTOGRAM_CONFIG.MAX_BINS || unitIndex === HISTOGRAM_CONFIG.UNITS.length - 1) break;
+  }
+  const binUnit = HISTOGRAM_CONFIG.UNITS[unitIndex];
+
+  const byType = new Uint32Array(types.length);
+  const counts = new Uint32Array(binCount * types.length);
+  const totals = new Uint32Array(binCount);
+  for (let i = 0; i < times.length; i++) {
+    if (Number.isNaN(times[i])) continue;
+    const bin = getBin(times[i]);
+    counts[bin * types.length + typeIndexes[i]]++;
+    totals[bin]++;
+    byType[typeIndexes[i]]++;
+  }
+
+  const edges = new Array(binCount + 1);
+  for (let bin = 0; bin <= binCount; bin++) {
+    edges[bin] = addTimeUnits(start, binUnit, bin).getTime();
+  }
+
+  // Most frequent types at the bottom of the stacks
+  const order = types.map((_, i) => i).sort((a, b) => byType[b] - byType[a]);
+  const sortedCounts = new Uint32Array(counts.length);
+  for (let bin = 0; bin < binCount; bin++) {
+    order.forEach((from, to) => {
+      sortedCounts[bin * types.length + to] = counts[bin * types.length + from];
+    });
+  }
+
+  return {
+    unit: binUnit,
+    edges,
+    types: order.map(i => types[i]),
+    labels: order.map(i => labels[i]),
+    colors: order.map(i => colors[i]),
+    counts: sortedCounts,
+    totals,
+    max: totals.reduce((largest, total) => Math.max(largest, total), 0)
+  };
+}
+
+/**
+ * Bin index arithmetic for a unit, starting at the unit containing `min`
+ * @param {number} min - Earliest time (ms)
+ * @param {'day'|'week'|'month'} unit - Bin length
+ * @returns {{start: number, getBin: function(number): number}}
+ */
+function createBinner(min, unit) {
+  const start = floorToUnit(min, unit).getTime();
+
+  if (unit === 'month') {
+    const scratch = new Date(start);
+    const startMonth = scratch.getUTCFullYear() * 12 + scratch.getUTCMonth();
+    return {
+      start,
+      getBin: time => {
+        scratch.setTime(time);
+        return scratch.getUTCFullYear() * 12 + scratch.getUTCMonth() - startMonth;
+      }
+    };
+  }
+
+  // Days and weeks have a fixed length in UTC
+  const length = unit === 'week' ? WEEK_MS : DAY_MS;
+  return { start, getBin: time => Math.floor((time - start) / length) };
+}
+
+/**
+ * Draw binned counts as stacked bars filling a canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HistogramBins} bins - Binned counts
+ */
+export function drawHistogram(ctx, bins) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (!bins || bins.max === 0 || width === 0 || height === 0) return;
+
+  const { edges, types, colors, counts, totals } = bins;
+  const start = edges[0];
+  const span = edges[edges.length - 1] - start;
+  const scale = height / bins.max;
+  const binCount = totals.length;
+
+  // Bar extents and running stack heights
+  const lefts = new Float64Array(binCount);
+  const widths = new Float64Array(binCount);
+  const tops = new Float64Array(binCount).fill(height);
+  for (let bin = 0; bin < binCount; bin++) {
+    const left = (edges[bin] - start) / span * width;
+    const right = (edges[bin + 1] - start) / span * width;
+    const gap = right - left > HISTOGRAM_CONFIG.BAR_GAP * 3 ? HISTOGRAM_CONFIG.BAR_GAP : 0;
+    lefts[bin] = left;
+    widths[bin] = Math.max(1, right - left - gap);
+  }
+
+  // One fill colour per type; the lowest segment carries the minimum height
+  types.forEach((_, type) => {
+    ctx.fillStyle = colors[type];
+    for (let bin = 0; bin < binCount; bin++) {
+      const count = counts[bin * types.length + type];
+      if (count === 0) continue;
+      const isFirst = tops[bin] === height;
+      const segment = Math.max(count * scale, isFirst ? HISTOGRAM_CONFIG.MIN_BAR_HEIGHT : 0);
+      tops[bin] -= segment;
+      ctx.fillRect(lefts[bin], tops[bin], widths[bin], segment);
+    }
+  });
+}
+
+/**
+ * Readable name of a bin
+ * @param {number} start - Bin start (ms)
+ * @param {'day'|'week'|'month'} unit - Bin length
+ * @returns {string}
+ */
+function describeBin(start, unit) {
+  const options = {
+    month: unit === 'month' ? 'long' : 'short',
+    day: unit === 'month' ? undefined : 'numeric',
+    hour: undefined,
+    minute: undefined,
+    timeZone: 'UTC'
+  };
+  const date = formatDate(new Date(start), options);
+  return unit === 'week' ? `Week of ${date}` : date;
+}
+
+/**
+ * Attach a histogram to a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas; drawn at its displayed size
+ * @param {Object} handlers - Histogram callbacks
+ * @param {function(HistogramBin): void} handlers.onSelect - A bar was clicked
+ * @returns {{setEvents: function(Object[], string): void, redraw: function(): void, getBins: function(): (HistogramBins|null), detach: function(): void}} Histogram controller
+ */
+export function attachHistogram(canvas, handlers) {
+  let events = [];
+  let unit = 'month';
+  let bins = null;
+  let stale = false;
+  let frameId = null;
+
+  /**
+   * Bin and draw on the next frame; repeated updates within a frame cost one pass
+   */
+  function schedule() {
+    if (frameId !== null) return;
+    frameId = requestAnimationFrame(() => {
+      frameId = null;
+      if (stale) {
+        bins = binEvents(events, unit);
+        stale = false;
+      }
+      draw();
+    });
+  }
+
+  function draw() {
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    drawHistogram(canvas.getContext('2d'), bins);
+    canvas.setAttribute('aria-label', bins ?
+      `Events per ${bins.unit}, ${bins.totals.length} ${bins.unit}s` :
+      'No events');
+  }
+
+  /**
+   * Bin under a pointer position
+   * @param {MouseEvent} event - Pointer event
+   * @returns {number} Bin index, -1 outside the bars
+   */
+  function getBinAt(event) {
+    if (!bins) return -1;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width <= 0) return -1;
+
+    const { edges } = bins;
+    const share = clamp((event.clientX - rect.left) / rect.width, 0, 1);
+    const time = edges[0] + share * (edges[edges.length - 1] - edges[0]);
+
+    // Bins are sorted; binary search for the one containing the time
+    let low = 0;
+    let high = edges.length - 2;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (edges[mid] <= time) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  function handleMove(event) {
+    const bin = getBinAt(event);
+    if (bin < 0) {
+      canvas.title = '';
+      return;
+    }
+
+    const total = bins.totals[bin];
+    const parts = [];
+    bins.labels.forEach((label, i) => {
+      const count = bins.counts[bin * bins.types.length + i];
+      if (count > 0) parts.push(`${label} ${count}`);
+    });
+    canvas.title = `${describeBin(bins.edges[bin], bins.unit)}: ${total} event${total === 1 ? '' : 's'}` +
+      (parts.length > 0 ? ` (${parts.join(', ')})` : '');
+    canvas.style.cursor = total > 0 ? 'pointer' : '';
+  }
+
+  function handleClick(event) {
+    const bin = getBinAt(event);
+    if (bin < 0 || bins.totals[bin] === 0) return;
+
+    handlers.onSelect({
+      start: new Date(bins.edges[bin]),
+      end: new Date(bins.edges[bin + 1]),
+      total: bins.totals[bin]
+    });
+  }
+
+  const cleanups = [
+    on(canvas, 'pointermove', handleMove),
+    on(canvas, 'click', handleClick)
+  ];
+
+  return {
+    /**
+     * Show the counts of a set of events
+     * @param {Object[]} nextEvents - Events to count
+     * @param {'day'|'week'|'month'} nextUnit - Bin length
+     */
+    setEvents(nextEvents, nextUnit) {
+      events = nextEvents;
+      unit = nextUnit;
+      stale = true;
+      schedule();
+    },
+
+    /**
+     * Draw again at the canvas's current size
+     */
+    redraw: schedule,
+
+    getBins: () => bins,
+
+    /**
+     * Remove listeners and cancel a pending draw
+     */
+    detach() {
+      cleanups.forEach(cleanup => cleanup());
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+}
+
+export { HISTOGRAM_CONFIG };
\ No newline at end of file
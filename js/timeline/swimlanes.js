@@ -0,0 +1,507 @@
+/**
+ * @fileoverview Swimlane timeline view
+ * Places events on a linear time axis in one lane per anomaly type, instrument or region, so
+ * detections from different sources can be compared side by side. Marks that would overlap in a
+ * lane are stacked in rows; events with a span are bars from its start to its end. Only the marks near the visible part of the axis are in the DOM;
+ * scrolling renders the next stretch. Selecting a mark is reported to the owner.
+ * @requires ../regions.js
+ * @requires ../eventSchema.js
+ */
+
+import { on, el } from '../utils/dom.js';
+import { clamp } from '../utils/math.js';
+import { formatDate, formatDateRange } from '../utils/format.js';
+import { floorToUnit, addTimeUnits } from '../utils/time.js';
+import { CONTINENTS } from '../regions.js';
+import { getEventSpan } from '../eventSchema.js';
+
+/**
+ * @typedef {Object} LaneMark
+ * @property {Object} event - Event
+ * @property {number} time - Event time, or the start of its span (ms)
+ * @property {number} end - Event time, or the end of its span (ms)
+ * @property {number} x - Left edge on the axis (px)
+ * @property {number} width - Width (px)
+ * @property {number} row - Row within the lane
+ */
+
+/**
+ * @typedef {Object} Lane
+ * @property {string} key - Grouping value
+ * @property {string} label - Display name
+ * @property {string|null} color - Swatch colour (anomaly type lanes)
+ * @property {LaneMark[]} marks - Marks sorted by x
+ * @property {number} rows - Rows used
+ * @property {number} maxWidth - Widest mark (px), to find marks reaching into a stretch from the left
+ */
+
+/**
+ * Swimlane configuration
+ */
+const SWIMLANE_CONFIG = {
+  ROW_HEIGHT: 14, // Pixels per row of marks
+  MARK_SIZE: 10, // Width and height of a mark
+  MARK_GAP: 2, // Horizontal space kept between marks in a row
+  MAX_ROWS: 4, // Marks that fit no row overlap in the least busy one
+  LANE_PADDING: 4, // Space above and below the rows
+  RENDER_BUFFER: 400, // Pixels rendered beyond each side of the viewport
+  MIN_MONTH_TICK: 40, // Month ticks below this spacing give way to year ticks
+  DEFAULT_COLOR: '#9e9e9e'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTINENT_LABELS = new Map(CONTINENTS.map(continent => [continent.id, continent.label]));
+
+/**
+ * Lane groupings: the lane key and name of an event
+ * @type {Object<string, {label: string, getKey: function(Object): string, getLabel: function(Object, string): string}>}
+ */
+const LANE_GROUPINGS = {
+  type: {
+    label: 'Anomaly type',
+    // Aliases share their anomaly type's lane
+    getKey: event => event.typeData?.id || event.type || 'unknown',
+    getLabel: (event, key) => event.typeData?.name || key
+  },
+  instrument: {
+    label: 'Instrument',
+    getKey: event => event.instrument || 'unknown',
+    getLabel: (event, key) => event.instrumentData?.name || (key === 'unknown' ? 'Unknown instrument' : key)
+  },
+  region: {
+    label: 'Region',
+    getKey: event => event.region || 'unknown',
+    getLabel: (event, key) => CONTINENT_LABELS.get(key) || (key === 'unknown' ? 'Unassigned' : key)
+  }
+};
+
+/**
+ * Group events into lanes, busiest first
+ * @param {Object[]} events - Events
+ * @param {string} groupBy - LANE_GROUPINGS key
+ * @returns {{key: string, label: string, color: string|null, events: Object[]}[]}
+ */
+export function groupEventsIntoLanes(events, groupBy) {
+  const grouping = LANE_GROUPINGS[groupBy] || LANE_GROUPINGS.type;
+  const lanes = new Map();
+
+  events.forEach(event => {
+    const key = grouping.getKey(event);
+    if (!lanes.has(key)) {
+      lanes.set(key, {
+        key,
+        label: grouping.getLabel(event, key),
+        color: groupBy === 'type' ? getEventColor(event) : null,
+        events: []
+      });
+    }
+    lanes.get(key).events.push(event);
+  });
+
+  return Array.from(lanes.values()).sort((a, b) =>
+    b.events.length - a.events.length || a.label.localeCompare(b.label)
+  );
+}
+
+/**
+ * Mark colour of an event (its anomaly type's colour)
+ * @param {Object} event - Event
+ * @returns {string}
+ */
+function getEventColor(event) {
+  return event.typeData?.color || SWIMLANE_CONFIG.DEFAULT_COLOR;
+}
+
+/**
+ * Attach a swimlane view to an element
+ * @param {HTMLElement} root - Element the view fills
+ * @param {Object} handlers - View callbacks
+ * @param {function(Object): void} handlers.onSelect - A mark was clicked or activated with the keyboard
+ * @param {function({start: string, end: string}): void} [handlers.onRangeChange] - Dates in view changed (ISO)
+ * @returns {Object} Swimlane controller
+ */
+export function attachSwimlanes(root, handlers) {
+  let events = [];
+  let groupBy = 'type';
+  let axis = null; // {start, end, pixelsPerMs, width}
+  let lanes = [];
+  let laneElements = [];
+  let renderedRange = null;
+  const renderedMarks = new Map(); // Event id -> {mark, element} for the marks in the DOM
+  let activeId = null;
+  let playhead = null;
+  let frameId = null;
+
+  const labels = el('div', { className: 'timeline-lanes__labels' });
+  const scroller = el('div', { className: 'timeline-lanes__scroll' });
+  const content = el('div', { className: 'timeline-lanes__content' });
+  const ticks = el('div', { className: 'timeline-lanes__axis', 'aria-hidden': 'true' });
+  const rows = el('div', { className: 'timeline-lanes__rows' });
+  const playheadLine = el('div', { className: 'timeline-lanes__playhead', 'aria-hidden': 'true' });
+  playheadLine.hidden = true;
+  content.append(ticks, rows, playheadLine);
+  scroller.appendChild(content);
+  root.append(labels, scroller);
+
+  /**
+   * Axis position of a time
+   * @param {number} time - Time (ms)
+   * @returns {number} Pixels from the start of the axis
+   */
+  function getX(time) {
+    return (time - axis.start) * axis.pixelsPerMs;
+  }
+
+  /**
+   * Place the marks of each lane and stack overlapping ones in rows
+   */
+  function layout() {
+    lanes = groupEventsIntoLanes(events, groupBy).map(group => {
+      const rowEnds = [];
+      let maxWidth = 0;
+      const marks = [];
+
+      group.events.forEach(event => {
+        const { start, end } = getEventSpan(event);
+        if (Number.isNaN(start)) return;
+        const width = Math.max(SWIMLANE_CONFIG.MARK_SIZE, (end - start) * axis.pixelsPerMs);
+        marks.push({ event, time: start, end, x: getX(start), width, row: 0 });
+      });
+      marks.sort((a, b) => a.x - b.x);
+
+      marks.forEach(mark => {
+        let row = rowEnds.findIndex(end => end <= mark.x);
+        if (row < 0) {
+          if (rowEnds.length < SWIMLANE_CONFIG.MAX_ROWS) {
+            row = rowEnds.length;
+          } else {
+            row = rowEnds.indexOf(Math.min(...rowEnds));
+          }
+        }
+        mark.row = row;
+        rowEnds[row] = mark.x + mark.width + SWIMLANE_CONFIG.MARK_GAP;
+        maxWidth = Math.max(maxWidth, mark.width);
+      });
+
+      return { key: group.key, label: group.label, color: group.color, marks, rows: Math.max(1, rowEnds.length), maxWidth };
+    });
+
+    buildLanes();
+    renderTicks();
+    renderPlayhead();
+    renderedRange = null;
+    renderVisibleMarks();
+  }
+
+  /**
+   * Height of a lane in pixels
+   * @param {Lane} lane - Lane
+   * @returns {number}
+   */
+  function getLaneHeight(lane) {
+    return lane.rows * SWIMLANE_CONFIG.ROW_HEIGHT + SWIMLANE_CONFIG.LANE_PADDING * 2;
+  }
+
+  /**
+   * Create the lane rows and their labels
+   */
+  function buildLanes() {
+    labels.innerHTML = '';
+    rows.innerHTML = '';
+    content.style.width = `${axis.width}px`;
+
+    laneElements = lanes.map(lane => {
+      const height = getLaneHeight(lane);
+      const label = el('div', {
+        className: 'timeline-lanes__label',
+        style: `height: ${height}px;`,
+        title: `${lane.label}: ${lane.marks.length} event${lane.marks.length === 1 ? '' : 's'}`
+      });
+      if (lane.color) {
+        label.appendChild(el('span', { className: 'timeline-lanes__swatch', style: `background: ${lane.color};` }));
+      }
+      label.appendChild(el('span', { className: 'timeline-lanes__name' }, lane.label));
+      label.appendChild(el('span', { className: 'timeline-lanes__count' }, String(lane.marks.length)));
+      labels.appendChild(label);
+
+      const laneElement = el('div', {
+        className: 'timeline-lanes__lane',
+        style: `height: ${height}px;`,
+        'data-lane': lane.key
+      });
+      rows.appendChild(laneElement);
+      return laneElement;
+    });
+
+    root.classList.toggle('is-empty', lanes.length === 0);
+  }
+
+  /**
+   * Month ticks when months are wide enough to label, year ticks otherwise
+   */
+  function renderTicks() {
+    ticks.innerHTML = '';
+    const monthWidth = 30 * DAY_MS * axis.pixelsPerMs;
+    const unit = monthWidth >= SWIMLANE_CONFIG.MIN_MONTH_TICK ? 'month' : 'year';
+
+    for (let time = floorToUnit(axis.start, unit).getTime(); time < axis.end; time = addTimeUnits(time, unit, 1).getTime()) {
+      if (time < axis.start) continue;
+      const date = new Date(time);
+      const isYear = date.getUTCMonth() === 0;
+      ticks.appendChild(el('span', {
+        className: `timeline-lanes__tick${isYear ? ' timeline-lanes__tick--year' : ''}`,
+        style: `left: ${getX(time)}px;`
+      }, isYear ? String(date.getUTCFullYear()) : formatDate(date, {
+        year: undefined,
+        month: 'short',
+        day: undefined,
+        hour: undefined,
+        minute: undefined,
+        timeZone: 'UTC'
+      })));
+    }
+  }
+
+  /**
+   * Render the marks near the viewport, unless the current ones still cover it
+   */
+  function renderVisibleMarks() {
+    if (!axis) return;
+
+    const left = scroller.scrollLeft;
+    const right = left + scroller.clientWidth;
+    const buffer = SWIMLANE_CONFIG.RENDER_BUFFER;
+    if (renderedRange && left >= renderedRange.start + buffer / 2 && right <= renderedRange.end - buffer / 2) {
+      reportRange(left, right);
+      return;
+    }
+
+    renderedRange = { start: left - buffer, end: right + buffer };
+    renderedMarks.clear();
+    lanes.forEach((lane, index) => {
+      const laneElement = laneElements[index];
+      laneElement.innerHTML = '';
+
+      // Marks are sorted by x; start with the first one that can reach into the stretch
+      const first = findFirstMark(lane.marks, renderedRange.start - lane.maxWidth);
+      for (let i = first; i < lane.marks.length && lane.marks[i].x <= renderedRange.end; i++) {
+        const mark = lane.marks[i];
+        if (mark.x + mark.width < renderedRange.start) continue;
+        const element = createMark(mark);
+        renderedMarks.set(String(mark.event.id), { mark, element });
+        laneElement.appendChild(element);
+      }
+    });
+
+    reportRange(left, right);
+  }
+
+  /**
+   * Index of the first mark at or after a position
+   * @param {LaneMark[]} marks - Marks sorted by x
+   * @param {number} x - Position (px)
+   * @returns {number}
+   */
+  function findFirstMark(marks, x) {
+    let low = 0;
+    let high = marks.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (marks[mid].x < x) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Create the element of a mark
+   * @param {LaneMark} mark - Mark
+   * @returns {HTMLElement}
+   */
+  function createMark(mark) {
+    const { event } = mark;
+    const isSpan = mark.end > mark.time;
+    const element = el('div', {
+      className: `timeline-lanes__mark timeline-lanes__mark--${event.severity}${isSpan ? ' timeline-lanes__mark--span' : ''}`,
+      'data-event-id': event.id,
+      role: 'button',
+      tabIndex: 0,
+      title: `${event.title} • ${isSpan ?
+        formatDateRange(new Date(mark.time), new Date(mark.end)) :
+        formatDate(event.timestamp, 'full')}`,
+      style: `left: ${mark.x}px; top: ${SWIMLANE_CONFIG.LANE_PADDING + mark.row * SWIMLANE_CONFIG.ROW_HEIGHT}px; ` +
+        `width: ${mark.width}px; background: ${getEventColor(event)};`
+    });
+    element.classList.toggle('is-active', event.id === activeId);
+    element.classList.toggle('is-upcoming', playhead !== null && mark.time > playhead);
+    return element;
+  }
+
+  /**
+   * Report the dates in the viewport
+   * @param {number} left - Viewport left edge (px)
+   * @param {number} right - Viewport right edge (px)
+   */
+  function reportRange(left, right) {
+    if (!handlers.onRangeChange || axis.pixelsPerMs <= 0) return;
+    handlers.onRangeChange({
+      start: new Date(axis.start + clamp(left, 0, axis.width) / axis.pixelsPerMs).toISOString(),
+      end: new Date(axis.start + clamp(right, 0, axis.width) / axis.pixelsPerMs).toISOString()
+    });
+  }
+
+  /**
+   * Position the playback line
+   */
+  function renderPlayhead() {
+    playheadLine.hidden = playhead === null || !axis;
+    if (playheadLine.hidden) return;
+    playheadLine.style.left = `${getX(playhead)}px`;
+  }
+
+  /**
+   * Find the mark of an event
+   * @param {string} id - Event id
+   * @returns {LaneMark|undefined}
+   */
+  function findMark(id) {
+    for (const lane of lanes) {
+      const mark = lane.marks.find(candidate => candidate.event.id === id);
+      if (mark) return mark;
+    }
+    return undefined;
+  }
+
+  /**
+   * Scroll so a position is centred (or, with `margin`, that far from the left edge)
+   * @param {number} x - Position (px)
+   * @param {number} [margin] - Distance from the left edge instead of centring
+   */
+  function scrollToX(x, margin) {
+    const offset = margin === undefined ? scroller.clientWidth / 2 : margin;
+    scroller.scrollLeft = clamp(x - offset, 0, Math.max(0, axis.width - scroller.clientWidth));
+    renderVisibleMarks();
+  }
+
+  function handleScroll() {
+    if (frameId !== null) return;
+    frameId = requestAnimationFrame(() => {
+      frameId = null;
+      renderVisibleMarks();
+    });
+  }
+
+  function handleActivate(event) {
+    if (event.type === 'keydown' && event.key !== 'Enter' && event.key !== ' ') return;
+    const element = event.target.closest?.('.timeline-lanes__mark');
+    if (!element) return;
+
+    const rendered = renderedMarks.get(element.dataset.eventId);
+    if (!rendered) return;
+    event.preventDefault();
+    handlers.onSelect(rendered.mark.event);
+  }
+
+  const cleanups = [
+    on(scroller, 'scroll', handleScroll),
+    on(rows, 'click', handleActivate),
+    on(rows, 'keydown', handleActivate)
+  ];
+
+  return {
+    /**
+     * Lay out events on the axis
+     * Keeps the date at the centre of the view in place when the scale changes.
+     * @param {Object[]} nextEvents - Events to show
+     * @param {Object} options - Layout options
+     * @param {string} options.groupBy - Lane grouping (LANE_GROUPINGS key)
+     * @param {{start: Date, end: Date}} options.extent - Time span of the axis
+     * @param {number} options.pixelsPerDay - Axis scale
+     */
+    setEvents(nextEvents, options) {
+      const start = new Date(options.extent.start).getTime();
+      const end = new Date(options.extent.end).getTime();
+      if (!(end > start)) return;
+
+      const centre = axis ? axis.start + (scroller.scrollLeft + scroller.clientWidth / 2) / axis.pixelsPerMs : null;
+
+      events = nextEvents;
+      groupBy = LANE_GROUPINGS[options.groupBy] ? options.groupBy : 'type';
+      const pixelsPerMs = options.pixelsPerDay / DAY_MS;
+      axis = { start, end, pixelsPerMs, width: Math.ceil((end - start) * pixelsPerMs) };
+
+      layout();
+      if (centre !== null) scrollToX(getX(centre));
+    },
+
+    /**
+     * Render again after the view was resized or shown
+     */
+    refresh() {
+      renderedRange = null;
+      renderVisibleMarks();
+    },
+
+    /**
+     * Highlight the selected event
+     * @param {string|null} id - Event id
+     */
+    setActive(id) {
+      renderedMarks.get(String(activeId))?.element.classList.remove('is-active');
+      activeId = id;
+      renderedMarks.get(String(activeId))?.element.classList.add('is-active');
+    },
+
+    /**
+     * Centre an event in the view
+     * @param {string} id - Event id
+     */
+    scrollToEvent(id) {
+      const mark = axis && findMark(id);
+      if (mark) scrollToX(mark.x + mark.width / 2);
+    },
+
+    /**
+     * Bring a date to the left of the view
+     * @param {Date} date - Date
+     */
+    scrollToDate(date) {
+      if (axis) scrollToX(getX(new Date(date).getTime()), SWIMLANE_CONFIG.MARK_SIZE);
+    },
+
+    /**
+     * Show the playback position: a line on the axis, with later events dimmed
+     * @param {Date|null} date - Position, null to hide it
+     * @param {boolean} [follow=false] - Scroll to keep the line in view
+     */
+    setPlayhead(date, follow = false) {
+      playhead = date ? new Date(date).getTime() : null;
+      renderPlayhead();
+
+      renderedMarks.forEach(({ mark, element }) => {
+        element.classList.toggle('is-upcoming', playhead !== null && mark.time > playhead);
+      });
+
+      if (follow && playhead !== null && axis) {
+        const x = getX(playhead);
+        if (x < scroller.scrollLeft || x > scroller.scrollLeft + scroller.clientWidth) {
+          // Leave room ahead for the events about to appear
+          scrollToX(x, scroller.clientWidth / 3);
+        }
+      }
+    },
+
+    /**
+     * Remove the view's elements and listeners
+     */
+    detach() {
+      cleanups.forEach(cleanup => cleanup());
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      labels.remove();
+      scroller.remove();
+    }
+  };
+}
+
+export { SWIMLANE_CONFIG, LANE_GROUPINGS };
\ No newline at end of file
@@ -9,16 +9,16 @@
  */
 
 /**
- * @typedef {Object} MapPosition
- * @property {number} xPercent - X position as percentage (0-100)
- * @property {number} yPercent - Y position as percentage (0-100)
+ * @typedef {Object} EventCoordinates
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {{north: number, south: number, east: number, west: number}} [bounds] - Affected extent
+ * @property {Object} [footprint] - GeoJSON Polygon/MultiPolygon of the affected area
  */
 
 /**
  * @typedef {Object} EventLocation
- * @property {string} name - Human readable location name
- * @property {Coordinates} coordinates - Geographic coordinates
- * @property {MapPosition} mapPosition - Position on the visual map
+ * @property {string} name - Human readable location name ('' when unknown)
  */
 
 /**
@@ -32,6 +32,7 @@
  * @property {string} [flood_extent] - Flood area coverage
  * @property {string} [water_depth] - Water depth range
  * @property {string} [affected_population] - Population affected
+ * @property {number} [area_affected_km2] - Affected area (km²)
  */
 
 /**
@@ -42,29 +43,42 @@
  */
 
 /**
+ * Canonical event record, as produced by normalizeEvent in js/eventSchema.js
  * @typedef {Object} EventRecord
+ * @property {number} schemaVersion - Record schema version (EVENT_SCHEMA_VERSION)
  * @property {string} id - Unique event identifier
- * @property {'fire'|'co_pollution'|'flood'|'storm'|'temperature'|'vegetation'} type - Event type
+ * @property {string} type - Event type (anomaly-types.json key, e.g. 'fire', 'flood', 'ice')
  * @property {string} title - Event title
- * @property {string} summary - Brief description
+ * @property {string} description - Event description ('' when none)
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} [startTime] - ISO start of an event lasting days or weeks (drought, heatwave, flood)
+ * @property {string} [endTime] - ISO end of such an event; see getEventSpan in js/eventSchema.js
+ * @property {'low'|'medium'|'high'|'critical'} severity - Severity level
+ * @property {string} instrument - Detection instrument (instruments.json key)
+ * @property {EventCoordinates} coordinates - Position and extent
  * @property {EventLocation} location - Location information
- * @property {'low'|'medium'|'high'} severity - Severity level
- * @property {string} instrument - Detection instrument
- * @property {string} satellite - Satellite name
- * @property {string} date - ISO timestamp
- * @property {number} confidence - Confidence percentage (0-100)
- * @property {number} [storyOrder] - Order in story mode (1-N)
+ * @property {number|null} confidence - Confidence percentage (0-100)
  * @property {EventMetadata} metadata - Additional event-specific data
- * @property {TimelineEvent[]} [timeline] - Event timeline
+ * @property {string[]} sources - Source URLs
+ * @property {string} [satellite] - Satellite name
+ * @property {Object} [media] - Media references
+ * @property {number} [storyOrder] - Order in story mode (1-N)
+ * @property {string} [region] - Continent region id, derived from coordinates when loaded
+ * @property {string} [country] - ISO 3166-1 alpha-3 code of the containing country
+ * @property {string} [countryName] - Name of the containing country
+ * @property {string} [datasetId] - Imported dataset the event came from (js/datasets.js); absent for catalogue events
+ * @property {TimelineEvent[]} [timeline] - Event timeline; spans the event when it has no startTime/endTime
  */
 
 /**
  * @typedef {Object} FilterState
  * @property {string[]} types - Selected event types
  * @property {string[]} severities - Selected severity levels
- * @property {string[]} regions - Selected regions
- * @property {string} [dateRange] - Date range filter
+ * @property {string[]} regions - Selected continent ids and/or ISO country codes
+ * @property {{start: (Date|string|null), end: (Date|string|null)}} [dateRange] - Date range filter; the end is included (the timeline brush and the date inputs both write it)
  * @property {string} [searchQuery] - Search query
+ * @property {import('./utils/geo.js').SpatialShape|null} [spatial] - Area drawn on the map
+ * @property {string[]} [hiddenDatasets] - Imported dataset ids switched off
  */
 
 /**
@@ -101,6 +115,33 @@
  * @property {boolean} [persistent] - Whether notification persists
  */
 
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - JSON pointer of the offending value (e.g. '/events/3/coordinates/lat')
+ * @property {string} message - Readable description
+ * @property {string} keyword - Schema keyword or rule that failed
+ * @property {'error'|'warning'} level - Issue level
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - Whether there are no errors
+ * @property {string[]} errors - Error messages with their JSON pointers
+ * @property {string[]} warnings - Warning messages with their JSON pointers
+ * @property {ValidationIssue[]} issues - Errors and warnings as structured issues
+ */
+
+/**
+ * @typedef {Object} ValidationSummary
+ * @property {boolean} valid - Whether no event has errors
+ * @property {number} totalEvents - Events checked
+ * @property {number} validEvents - Events without errors
+ * @property {string[]} errors - Error messages, prefixed with the event number and id
+ * @property {string[]} warnings - Warning messages, prefixed with the event number and id
+ * @property {ValidationIssue[]} issues - Errors and warnings as structured issues
+ * @property {ValidationResult[]} eventResults - Result per event
+ */
+
 /**
  * @callback StateUpdateCallback
  * @param {AppState} newState - New state
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview CSV utility functions
+ */
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string[][]} Rows of fields (blank lines skipped)
+ */
+export function parseCsvRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {{headers: string[], records: Object<string, string>[]}} Trimmed headers and one object per data row
+ */
+export function parseCsv(text, delimiter = ',') {
+  const [headerRow = [], ...dataRows] = parseCsvRows(text, delimiter);
+  const headers = headerRow.map(header => header.trim());
+
+  const records = dataRows.map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (fields[index] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * Format one CSV field, quoting it when it contains the delimiter, quotes or line breaks
+ * @param {*} value - Field value (null and undefined become empty)
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string}
+ */
+export function formatCsvField(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format rows as CSV text with a header row
+ * @param {string[]} headers - Column names
+ * @param {Object[]} records - Rows keyed by column name
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCsv(headers, records, delimiter = ',') {
+  const lines = [headers, ...records.map(record => headers.map(header => record[header]))]
+    .map(fields => fields.map(field => formatCsvField(field, delimiter)).join(delimiter));
+  return lines.join('\r\n') + '\r\n';
+}
+
+console.log('🧾 CSV utils loaded');
\ No newline at end of file
@@ -131,6 +131,17 @@ export function toggleClass(element, className, force) {
   return element.classList.toggle(className);
 }
 
+/**
+ * Check whether an element takes text input (keyboard shortcuts should leave it alone)
+ * @param {EventTarget|null} element - Event target
+ * @returns {boolean}
+ */
+export function isEditableElement(element) {
+  if (!element || !element.tagName) return false;
+  
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || Boolean(element.isContentEditable);
+}
+
 /**
  * Get element's position relative to viewport
  * @param {Element} element - Target element
@@ -233,4 +244,22 @@ export function domReady() {
   });
 }
 
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} [mimeType] - Content type
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = el('a', { href: url, download: fileName });
+  
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 console.log('🔧 DOM utils loaded');
\ No newline at end of file
@@ -94,15 +94,19 @@ export function isToday(date) {
 }
 
 /**
- * Get date range string
+ * Get date range string (days only; the start year is shown when it differs from the end year)
  * @param {string|Date} startDate - Start date
  * @param {string|Date} endDate - End date
  * @returns {string}
  */
 export function formatDateRange(startDate, endDate) {
   try {
-    const start = formatDate(startDate, { month: 'short', day: 'numeric' });
-    const end = formatDate(endDate, { month: 'short', day: 'numeric', year: 'numeric' });
+    const startObj = typeof startDate === 'string' ? new Date(startDate) : startDate;
+    const endObj = typeof endDate === 'string' ? new Date(endDate) : endDate;
+    const sameYear = startObj.getFullYear() === endObj.getFullYear();
+    
+    const start = formatDate(startObj, { year: sameYear ? undefined : 'numeric', hour: undefined, minute: undefined });
+    const end = formatDate(endObj, { hour: undefined, minute: undefined });
     
     return `${start} - ${end}`;
   } catch (error) {
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Geographic geometry utilities
+ * Point-in-shape tests and shape outlines for spatial filtering
+ */
+
+import { geoDistance, toRadians, toDegrees } from './math.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * @typedef {Object} RectShape
+ * @property {'rect'} type
+ * @property {number} north - Northern latitude
+ * @property {number} south - Southern latitude
+ * @property {number} east - Eastern longitude (less than west when crossing the antimeridian)
+ * @property {number} west - Western longitude
+ */
+
+/**
+ * @typedef {Object} PolygonShape
+ * @property {'polygon'} type
+ * @property {number[][]} coordinates - Ring of [lng, lat] positions (not closed)
+ */
+
+/**
+ * @typedef {Object} RadiusShape
+ * @property {'radius'} type
+ * @property {import('../types.js').Coordinates} center - Circle centre
+ * @property {number} radiusKm - Radius in kilometres
+ */
+
+/**
+ * @typedef {RectShape|PolygonShape|RadiusShape} SpatialShape
+ */
+
+/**
+ * Ray-casting point in ring test
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {number[][]} ring - Ring of [lng, lat] positions
+ * @returns {boolean}
+ */
+export function isPointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point in GeoJSON Polygon/MultiPolygon test (holes respected)
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @returns {boolean}
+ */
+export function isPointInGeometry(geometry, lng, lat) {
+  if (!geometry) return false;
+
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates :
+    geometry.type === 'Polygon' ? [geometry.coordinates] : [];
+
+  return polygons.some(([outer, ...holes]) =>
+    isPointInRing(lng, lat, outer) && !holes.some(hole => isPointInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Get every [lng, lat] position of a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number[][]}
+ */
+export function getGeometryPositions(geometry) {
+  if (!geometry) return [];
+
+  switch (geometry.type) {
+    case 'Point':
+      return [geometry.coordinates];
+    case 'MultiPoint':
+    case 'LineString':
+      return geometry.coordinates;
+    case 'MultiLineString':
+    case 'Polygon':
+      return geometry.coordinates.flat(1);
+    case 'MultiPolygon':
+      return geometry.coordinates.flat(2);
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(getGeometryPositions);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Bounding box of a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{north: number, south: number, east: number, west: number}|null} Bounds, or null for empty geometries
+ */
+export function getGeometryBounds(geometry) {
+  const positions = getGeometryPositions(geometry);
+  if (positions.length === 0) return null;
+
+  const bounds = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+  positions.forEach(([lng, lat]) => {
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.east = Math.max(bounds.east, lng);
+    bounds.west = Math.min(bounds.west, lng);
+  });
+  return bounds;
+}
+
+/**
+ * Test whether a point lies inside a spatial shape
+ * @param {SpatialShape} shape - Shape
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean}
+ */
+export function isPointInShape(shape, lat, lng) {
+  if (!shape) return true;
+
+  switch (shape.type) {
+    case 'rect': {
+      if (lat > shape.north || lat < shape.south) return false;
+      return shape.west <= shape.east ?
+        lng >= shape.west && lng <= shape.east :
+        lng >= shape.west || lng <= shape.east;
+    }
+    case 'polygon':
+      return isPointInRing(lng, lat, shape.coordinates);
+    case 'radius':
+      return geoDistance(shape.center.lat, shape.center.lng, lat, lng) <= shape.radiusKm;
+    default:
+      console.warn(`Unknown spatial shape type: ${shape.type}`);
+      return true;
+  }
+}
+
+/**
+ * Point at a distance and bearing from a start point
+ * @param {number} lat - Start latitude
+ * @param {number} lng - Start longitude
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distanceKm - Distance in kilometres
+ * @returns {import('../types.js').Coordinates}
+ */
+export function destinationPoint(lat, lng, bearing, distanceKm) {
+  const delta = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lng);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return { lat: toDegrees(phi2), lng: toDegrees(lambda2) };
+}
+
+/**
+ * Outline of a shape as a ring of [lng, lat] positions, sampled densely enough to draw under any projection
+ * @param {SpatialShape} shape - Shape
+ * @param {number} [resolution=1] - Degrees between samples along rectangle edges
+ * @returns {number[][]} Closed ring
+ */
+export function getShapeRing(shape, resolution = 1) {
+  if (!shape) return [];
+
+  switch (shape.type) {
+    case 'rect': {
+      const { north, south, west } = shape;
+      const east = shape.east < west ? shape.east + 360 : shape.east;
+      const ring = [];
+      const edge = (fromLng, fromLat, toLng, toLat) => {
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(toLng - fromLng), Math.abs(toLat - fromLat)) / resolution));
+        for (let i = 0; i < steps; i++) {
+          const t = i / steps;
+          ring.push([fromLng + (toLng - fromLng) * t, fromLat + (toLat - fromLat) * t]);
+        }
+      };
+      edge(west, south, east, south);
+      edge(east, south, east, north);
+      edge(east, north, west, north);
+      edge(west, north, west, south);
+      ring.push([west, south]);
+      return ring;
+    }
+    case 'polygon':
+      return shape.coordinates.length > 0 ? [...shape.coordinates, shape.coordinates[0]] : [];
+    case 'radius': {
+      const ring = [];
+      for (let bearing = 0; bearing <= 360; bearing += 5) {
+        const point = destinationPoint(shape.center.lat, shape.center.lng, bearing, shape.radiusKm);
+        // Keep longitudes continuous so circles near the antimeridian draw in one piece
+        const previous = ring[ring.length - 1];
+        let lng = point.lng;
+        if (previous) {
+          while (lng - previous[0] > 180) lng -= 360;
+          while (lng - previous[0] < -180) lng += 360;
+        }
+        ring.push([lng, point.lat]);
+      }
+      return ring;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Short human readable description of a shape
+ * @param {SpatialShape} shape - Shape
+ * @returns {string}
+ */
+export function describeShape(shape) {
+  if (!shape) return 'Anywhere';
+
+  const lat = value => `${Math.abs(value).toFixed(1)}°${value >= 0 ? 'N' : 'S'}`;
+  const lng = value => `${Math.abs(value).toFixed(1)}°${value >= 0 ? 'E' : 'W'}`;
+
+  switch (shape.type) {
+    case 'rect':
+      return `Rectangle ${lat(shape.south)}–${lat(shape.north)}, ${lng(shape.west)}–${lng(shape.east)}`;
+    case 'polygon':
+      return `Polygon with ${shape.coordinates.length} vertices`;
+    case 'radius':
+      return `${Math.round(shape.radiusKm)} km around ${lat(shape.center.lat)}, ${lng(shape.center.lng)}`;
+    default:
+      return 'Custom area';
+  }
+}
+
+console.log('🌐 Geo utils loaded');
\ No newline at end of file
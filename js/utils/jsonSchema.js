@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Minimal JSON Schema validation
+ * Checks a value against a JSON Schema (draft 2020-12 subset) and reports every failure with
+ * the JSON pointer (RFC 6901) of the offending value.
+ *
+ * Supported keywords: $ref (to $defs or to another registered schema by $id), $defs, allOf,
+ * type, enum, const, required, properties, additionalProperties, items, minItems, minimum,
+ * maximum, minLength, pattern and format (date-time, uri).
+ *
+ * Extension keywords:
+ * - `x-enumRef`: the value must be one of a named list supplied at validation time (lists
+ *   taken from reference files); skipped while the list is not known
+ * - `x-level`: 'warning' reports failures inside the subschema as warnings instead of errors
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - JSON pointer of the value ('' for the document itself)
+ * @property {string} message - Readable description
+ * @property {string} keyword - Schema keyword that failed
+ * @property {'error'|'warning'} level - Issue level
+ */
+
+/**
+ * Format checks by `format` name
+ * Date-times are checked the way the app reads them (Date parsing) rather than strict RFC 3339.
+ * @type {Object<string, function(string): boolean>}
+ */
+const FORMATS = {
+  'date-time': value => !Number.isNaN(new Date(value).getTime()),
+  uri: value => /^[a-z][a-z0-9+.-]*:/i.test(value)
+};
+
+/**
+ * Append a member name or array index to a JSON pointer
+ * @param {string} pointer - Parent pointer
+ * @param {string|number} key - Member name or index
+ * @returns {string}
+ */
+export function joinPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * JSON type name of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the schema types ('number' includes integers)
+ * @param {*} value - Value
+ * @param {string|string[]} expected - Schema `type`
+ * @returns {boolean}
+ */
+function hasType(value, expected) {
+  const actual = getType(value);
+  return [].concat(expected).some(type =>
+    type === actual || (type === 'number' && actual === 'integer')
+  );
+}
+
+/**
+ * Short readable form of a value for messages
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function describeValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : String(text);
+}
+
+/**
+ * Resolve a $ref against the registered schemas
+ * @param {string} ref - Reference ('#/$defs/name', 'id' or 'id#/$defs/name')
+ * @param {Object} root - Schema document the reference appears in
+ * @param {Object<string, Object>} schemas - Schemas by $id
+ * @returns {{schema: Object, root: Object}} Target schema and the document holding it
+ */
+function resolveRef(ref, root, schemas) {
+  const [id, fragment = ''] = ref.split('#');
+  const document = id ? schemas[id] : root;
+  if (!document) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+
+  const schema = fragment.split('/').slice(1).reduce((node, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return node[key];
+  }, document);
+
+  return { schema, root: document };
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.path=''] - JSON pointer of the value within its document
+ * @param {Object<string, Object>} [options.schemas] - Schemas by $id, for cross-document $ref
+ * @param {Object<string, Array>} [options.enums] - Named value lists for `x-enumRef`
+ * @returns {SchemaIssue[]} Issues, empty when the value is valid
+ */
+export function validateSchema(schema, value, options = {}) {
+  const { path = '', schemas = {}, enums = {} } = options;
+  const issues = [];
+
+  /**
+   * Check one value against one subschema
+   * @param {Object} node - Subschema
+   * @param {*} data - Value
+   * @param {string} pointer - JSON pointer of the value
+   * @param {Object} root - Document holding the subschema
+   * @param {'error'|'warning'} level - Level of failures found here
+   */
+  const visit = (node, data, pointer, root, level) => {
+    if (node['x-level']) level = node['x-level'];
+
+    const report = (keyword, message, at = pointer) => {
+      issues.push({ path: at, message, keyword, level });
+    };
+
+    if (node.$ref) {
+      const target = resolveRef(node.$ref, root, schemas);
+      visit(target.schema, data, pointer, target.root, level);
+    }
+
+    (node.allOf || []).forEach(subschema => visit(subschema, data, pointer, root, level));
+
+    if (node.type && !hasType(data, node.type)) {
+      // Further checks assume the right type
+      report('type', `Invalid type: expected ${[].concat(node.type).join(' or ')}, got ${getType(data)}`);
+      return;
+    }
+
+    if (node.const !== undefined && data !== node.const) {
+      report('const', `Must be ${describeValue(node.const)}, got ${describeValue(data)}`);
+    }
+
+    if (node.enum && !node.enum.includes(data)) {
+      report('enum', `Unknown value: ${describeValue(data)} (expected one of ${node.enum.join(', ')})`);
+    }
+
+    const referenceValues = node['x-enumRef'] && enums[node['x-enumRef']];
+    if (referenceValues && !referenceValues.includes(data)) {
+      report('x-enumRef', `Unknown value: ${describeValue(data)} (not in ${node['x-enumRef']})`);
+    }
+
+    if (typeof data === 'number') {
+      if (node.minimum !== undefined && data < node.minimum) {
+        report('minimum', `Out of range: ${data} (must be at least ${node.minimum})`);
+      }
+      if (node.maximum !== undefined && data > node.maximum) {
+        report('maximum', `Out of range: ${data} (must be at most ${node.maximum})`);
+      }
+    }
+
+    if (typeof data === 'string') {
+      if (node.minLength !== undefined && data.length < node.minLength) {
+        report('minLength', data.length === 0 ? 'Must not be empty' : `Must be at least ${node.minLength} characters`);
+      }
+      if (node.pattern && !new RegExp(node.pattern, 'u').test(data)) {
+        report('pattern', `Invalid value: ${describeValue(data)} (must match ${node.pattern})`);
+      }
+      if (node.format && FORMATS[node.format] && !FORMATS[node.format](data)) {
+        report('format', `Invalid ${node.format}: ${describeValue(data)}`);
+      }
+    }
+
+    if (Array.isArray(data)) {
+      if (node.minItems !== undefined && data.length < node.minItems) {
+        report('minItems', `Must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}`);
+      }
+      if (node.items) {
+        data.forEach((item, index) => visit(node.items, item, joinPointer(pointer, index), root, level));
+      }
+    }
+
+    if (getType(data) === 'object') {
+      (node.required || []).forEach(key => {
+        if (data[key] === undefined || data[key] === null) {
+          report('required', `Missing required field: ${key}`, joinPointer(pointer, key));
+        }
+      });
+
+      const properties = node.properties || {};
+      Object.entries(data).forEach(([key, member]) => {
+        // Null members count as absent (required reports them)
+        if (member === undefined || member === null) return;
+        const memberPointer = joinPointer(pointer, key);
+
+        if (properties[key]) {
+          visit(properties[key], member, memberPointer, root, level);
+        } else if (node.additionalProperties === false) {
+          report('additionalProperties', `Unexpected field: ${key}`, memberPointer);
+        } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+          visit(node.additionalProperties, member, memberPointer, root, level);
+        }
+      });
+    }
+  };
+
+  visit(schema, value, path, schema, 'error');
+  return issues;
+}
+
+/**
+ * Readable one-line form of an issue
+ * @param {SchemaIssue} issue - Issue
+ * @returns {string} `pointer: message`, or the message alone for the document itself
+ */
+export function formatIssue(issue) {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
+console.log('📐 JSON Schema utils loaded');
\ No newline at end of file
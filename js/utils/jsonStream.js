@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Incremental JSON array parsing
+ * Yields the items of a large JSON array while the text is still arriving, without holding
+ * more than the current item in memory. Supports a top-level array or an array member of
+ * the top-level object (e.g. the `events` of an events.YEAR.json file).
+ */
+
+/**
+ * Create an incremental parser for the items of a JSON array
+ * @param {Object} options - Parser options
+ * @param {string} [options.arrayKey] - Member of the top-level object holding the array; omit for a top-level array
+ * @param {function(*): void} options.onItem - Called with each parsed item
+ * @param {function(Object): void} [options.onHeader] - Called once with the members before the array (`arrayKey` set to [])
+ * @returns {{write: function(string): void, end: function(): void}} Feed text chunks, then end
+ */
+export function createJsonArrayParser({ arrayKey, onItem, onHeader }) {
+  const arrayDepth = arrayKey ? 2 : 1;
+  const keyPattern = arrayKey ? new RegExp(`"${arrayKey}"\\s*:\\s*$`) : null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let inArray = false;
+  let arrayDone = false;
+  let prefix = '';
+  let item = '';
+
+  /**
+   * Enter the target array; the text before it becomes the header
+   * @param {string} before - Document text up to the opening bracket
+   */
+  function enterArray(before) {
+    inArray = true;
+    prefix = '';
+    if (onHeader && arrayKey) {
+      onHeader(JSON.parse(`${before}[]}`));
+    }
+  }
+
+  return {
+    write(chunk) {
+      // An item carried over from the previous chunk continues at offset 0
+      let itemStart = item ? 0 : -1;
+      let entered = false;
+
+      /**
+       * Emit the item ending just before `end`
+       * @param {number} end - Exclusive end offset in the chunk
+       */
+      const emitItem = (end) => {
+        const text = item + chunk.slice(itemStart, end);
+        item = '';
+        itemStart = -1;
+        if (text.trim()) onItem(JSON.parse(text));
+      };
+
+      for (let i = 0; i < chunk.length; i++) {
+        const char = chunk[i];
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+          if (inArray && depth === arrayDepth && itemStart < 0) itemStart = i;
+          continue;
+        }
+
+        if (char === '{' || char === '[') {
+          if (!inArray && !arrayDone && depth === arrayDepth - 1 && char === '[') {
+            const before = prefix + chunk.slice(0, i);
+            if (!keyPattern || keyPattern.test(before)) {
+              depth++;
+              entered = true;
+              enterArray(before);
+              continue;
+            }
+          }
+          if (inArray && depth === arrayDepth && itemStart < 0) itemStart = i;
+          depth++;
+        } else if (char === '}' || char === ']') {
+          if (inArray && depth === arrayDepth) {
+            // Closing bracket of the array itself
+            if (itemStart >= 0) emitItem(i);
+            inArray = false;
+            arrayDone = true;
+          }
+          depth--;
+          // Object and array items end with their closing bracket
+          if (inArray && depth === arrayDepth && itemStart >= 0) emitItem(i + 1);
+        } else if (inArray && depth === arrayDepth) {
+          if (char === ',' || /\s/.test(char)) {
+            // Scalar items end at the separator
+            if (itemStart >= 0) emitItem(i);
+          } else if (itemStart < 0) {
+            itemStart = i;
+          }
+        }
+      }
+
+      if (!inArray && !arrayDone && !entered) {
+        prefix += chunk;
+      } else if (itemStart >= 0) {
+        // Carry the unfinished item into the next chunk
+        item += chunk.slice(itemStart);
+      }
+    },
+
+    end() {
+      if (inArray || item) {
+        throw new Error('Unexpected end of JSON input inside the array');
+      }
+      if (!arrayDone) {
+        throw new Error(arrayKey ? `No "${arrayKey}" array found` : 'No JSON array found');
+      }
+    }
+  };
+}
+
+console.log('🌊 JSON stream utils loaded');
\ No newline at end of file
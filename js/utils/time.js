@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Calendar arithmetic in UTC
+ * Event timestamps are UTC, so day, week, month and year boundaries are taken in UTC as well;
+ * weeks start on Monday (ISO 8601).
+ */
+
+/**
+ * Calendar units, shortest first
+ * @type {string[]}
+ */
+export const TIME_UNITS = ['day', 'week', 'month', 'year'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the unit containing a date
+ * @param {Date|string|number} date - Date
+ * @param {'day'|'week'|'month'|'year'} unit - Calendar unit
+ * @returns {Date}
+ */
+export function floorToUnit(date, unit) {
+  const d = new Date(date);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+
+  switch (unit) {
+    case 'week':
+      // getUTCDay() is 0 on Sunday
+      return new Date(day - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+    case 'month':
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    case 'year':
+      return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    default:
+      return new Date(day);
+  }
+}
+
+/**
+ * Move a date by whole units
+ * Months and years keep the day of month, clamped to the target month (Jan 31 + 1 month is Feb 28/29).
+ * @param {Date|string|number} date - Date
+ * @param {'day'|'week'|'month'|'year'} unit - Calendar unit
+ * @param {number} [count=1] - Units to add (negative to go back)
+ * @returns {Date}
+ */
+export function addTimeUnits(date, unit, count = 1) {
+  const d = new Date(date);
+
+  if (unit === 'month' || unit === 'year') {
+    const months = d.getUTCMonth() + (unit === 'year' ? count * 12 : count);
+    const year = d.getUTCFullYear() + Math.floor(months / 12);
+    const month = ((months % 12) + 12) % 12;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const dayStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+
+    return new Date(Date.UTC(year, month, Math.min(d.getUTCDate(), daysInMonth)) + (d.getTime() - dayStart));
+  }
+
+  const days = unit === 'week' ? count * 7 : count;
+  return new Date(d.getTime() + days * DAY_MS);
+}
+
+/**
+ * Nearest unit boundary to a date
+ * @param {Date|string|number} date - Date
+ * @param {'day'|'week'|'month'|'year'} unit - Calendar unit
+ * @returns {Date}
+ */
+export function roundToUnit(date, unit) {
+  const time = new Date(date).getTime();
+  const start = floorToUnit(time, unit);
+  const next = addTimeUnits(start, unit, 1);
+  return time - start.getTime() < next.getTime() - time ? start : next;
+}
+
+/**
+ * Length in milliseconds of the unit containing a date
+ * @param {Date|string|number} date - Date
+ * @param {'day'|'week'|'month'|'year'} unit - Calendar unit
+ * @returns {number}
+ */
+export function getUnitLength(date, unit) {
+  const start = floorToUnit(date, unit);
+  return addTimeUnits(start, unit, 1).getTime() - start.getTime();
+}
+
+console.log('🕒 Time utils loaded');
\ No newline at end of file
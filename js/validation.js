@@ -1,169 +1,162 @@
 /**
  * @fileoverview Data validation utilities
- * Provides validation for event data structure and integrity
+ * Checks event records and data files against the JSON Schema documents in js/schemas/.
+ * Every issue carries the JSON pointer of the offending value; type, severity and instrument
+ * values are checked against the loaded reference files (see setReferenceData).
+ * @requires ./schemas/index.js
+ * @requires ./utils/jsonSchema.js
+ * @requires ./eventSchema.js
  */
 
+import { getSchema, getLatestSchemaVersion, getSchemasById } from './schemas/index.js';
+import { validateSchema, formatIssue, joinPointer } from './utils/jsonSchema.js';
+import { EVENT_SCHEMA_VERSION } from './eventSchema.js';
+
 /**
- * Event data validation schema
- * @type {import('./types.js').ValidationSchema}
+ * Validation configuration
  */
-const EVENT_SCHEMA = {
-  required: ['id', 'title', 'timestamp', 'type', 'coordinates', 'instrument'],
-  types: {
-    id: 'string',
-    title: 'string',
-    timestamp: 'string',
-    type: 'string',
-    severity: 'string',
-    instrument: 'string',
-    coordinates: 'object',
-    description: 'string',
-    metadata: 'object',
-    media: 'object',
-    sources: 'array'
-  },
-  coordinates: {
-    required: ['lat', 'lng'],
-    types: {
-      lat: 'number',
-      lng: 'number',
-      bounds: 'object'
-    },
-    ranges: {
-      lat: [-90, 90],
-      lng: [-180, 180]
-    }
-  }
+const VALIDATION_CONFIG = {
+  MAX_METADATA_LENGTH: 5000 // Serialized metadata above this size gets a warning
 };
 
 /**
- * Validate event data structure
- * @param {Object} event - Event data to validate
- * @returns {import('./types.js').ValidationResult} Validation result
+ * Known values from the reference files, by `x-enumRef` name
+ * Empty until reference data is set; unknown lists are not checked.
+ * @type {Object<string, string[]>}
  */
-export function validateEvent(event) {
-  const errors = [];
-  const warnings = [];
-
-  // Check required fields
-  for (const field of EVENT_SCHEMA.required) {
-    if (!(field in event) || event[field] === null || event[field] === undefined) {
-      errors.push(`Missing required field: ${field}`);
-    }
-  }
+let referenceEnums = {};
 
-  // Validate field types
-  for (const [field, expectedType] of Object.entries(EVENT_SCHEMA.types)) {
-    if (field in event && event[field] !== null) {
-      const actualType = Array.isArray(event[field]) ? 'array' : typeof event[field];
-      if (actualType !== expectedType) {
-        errors.push(`Invalid type for ${field}: expected ${expectedType}, got ${actualType}`);
-      }
-    }
+/**
+ * Take the known type, severity and instrument values from the reference files
+ * @param {Object} reference - Loaded reference data
+ * @param {Object} [reference.instruments] - instruments.json
+ * @param {Object} [reference.anomalyTypes] - anomaly-types.json
+ */
+export function setReferenceData({ instruments, anomalyTypes } = {}) {
+  const enums = { ...referenceEnums };
+
+  if (anomalyTypes?.types) {
+    const types = Object.entries(anomalyTypes.types);
+    enums.eventTypes = types.flatMap(([id, type]) => [id, ...(type.aliases || [])]);
+    enums.severityLevels = anomalyTypes.severityLevels ||
+      [...new Set(types.flatMap(([, type]) => Object.keys(type.severity || {})))];
   }
 
-  // Validate timestamp
-  if (event.timestamp) {
-    const date = new Date(event.timestamp);
-    if (isNaN(date.getTime())) {
-      errors.push(`Invalid timestamp format: ${event.timestamp}`);
-    }
+  if (instruments?.instruments) {
+    enums.instruments = Object.keys(instruments.instruments);
   }
 
-  // Validate coordinates
-  if (event.coordinates) {
-    const coordErrors = validateCoordinates(event.coordinates);
-    errors.push(...coordErrors);
-  }
+  referenceEnums = enums;
+}
 
-  // Validate severity levels
-  if (event.severity && !['low', 'medium', 'high'].includes(event.severity)) {
-    warnings.push(`Unknown severity level: ${event.severity}`);
-  }
+/**
+ * Known values from the reference files
+ * @returns {{eventTypes?: string[], severityLevels?: string[], instruments?: string[]}}
+ */
+export function getReferenceEnums() {
+  return JSON.parse(JSON.stringify(referenceEnums));
+}
 
-  // Validate event type
-  if (event.type && !['fire', 'temperature', 'precipitation', 'vegetation', 'sea_ice'].includes(event.type)) {
-    warnings.push(`Unknown event type: ${event.type}`);
-  }
+/**
+ * Check a value against a registered schema document
+ * @param {Object} schema - Schema document
+ * @param {*} value - Value
+ * @param {string} [path=''] - JSON pointer of the value
+ * @returns {import('./types.js').ValidationIssue[]}
+ */
+function checkSchema(schema, value, path = '') {
+  return validateSchema(schema, value, {
+    path,
+    schemas: getSchemasById(),
+    enums: referenceEnums
+  });
+}
 
-  // Check metadata size (should be reasonable for JSON)
-  if (event.metadata && JSON.stringify(event.metadata).length > 5000) {
-    warnings.push('Large metadata object may impact performance');
-  }
+/**
+ * Validation result from a list of issues
+ * @param {import('./types.js').ValidationIssue[]} issues - Issues
+ * @returns {import('./types.js').ValidationResult}
+ */
+function toResult(issues) {
+  const errors = issues.filter(issue => issue.level === 'error').map(formatIssue);
+  const warnings = issues.filter(issue => issue.level === 'warning').map(formatIssue);
 
   return {
     valid: errors.length === 0,
     errors,
-    warnings
+    warnings,
+    issues
   };
 }
 
 /**
- * Validate coordinates object
- * @param {Object} coordinates - Coordinates to validate
- * @returns {string[]} Array of error messages
+ * Validate event data structure
+ * @param {Object} event - Normalized event to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.path=''] - JSON pointer of the event in its file (e.g. '/events/3')
+ * @returns {import('./types.js').ValidationResult} Validation result
  */
-function validateCoordinates(coordinates) {
-  const errors = [];
+export function validateEvent(event, options = {}) {
+  const { path = '' } = options;
+  const issues = checkSchema(getSchema('event', EVENT_SCHEMA_VERSION), event, path);
 
-  // Check required fields
-  for (const field of EVENT_SCHEMA.coordinates.required) {
-    if (!(field in coordinates)) {
-      errors.push(`Missing required coordinate field: ${field}`);
-    }
+  if (!event || typeof event !== 'object') {
+    return toResult(issues);
   }
 
-  // Validate ranges
-  if (typeof coordinates.lat === 'number') {
-    const [min, max] = EVENT_SCHEMA.coordinates.ranges.lat;
-    if (coordinates.lat < min || coordinates.lat > max) {
-      errors.push(`Latitude out of range: ${coordinates.lat} (must be ${min} to ${max})`);
+  // Bounds ordering is not expressible in the schema
+  const bounds = event.coordinates?.bounds;
+  if (bounds && typeof bounds === 'object') {
+    const boundsPath = joinPointer(joinPointer(path, 'coordinates'), 'bounds');
+    if (bounds.north <= bounds.south) {
+      issues.push({ path: boundsPath, message: 'Invalid bounds: north must be greater than south', keyword: 'bounds', level: 'error' });
     }
-  }
-
-  if (typeof coordinates.lng === 'number') {
-    const [min, max] = EVENT_SCHEMA.coordinates.ranges.lng;
-    if (coordinates.lng < min || coordinates.lng > max) {
-      errors.push(`Longitude out of range: ${coordinates.lng} (must be ${min} to ${max})`);
+    if (bounds.east <= bounds.west) {
+      issues.push({ path: boundsPath, message: 'Invalid bounds: east must be greater than west', keyword: 'bounds', level: 'error' });
     }
   }
 
-  // Validate bounds if present
-  if (coordinates.bounds) {
-    const bounds = coordinates.bounds;
-    const requiredBounds = ['north', 'south', 'east', 'west'];
-    
-    for (const bound of requiredBounds) {
-      if (typeof bounds[bound] !== 'number') {
-        errors.push(`Invalid bound ${bound}: must be a number`);
-      }
-    }
+  // Nor is span ordering
+  const start = new Date(event.startTime).getTime();
+  const end = new Date(event.endTime).getTime();
+  const time = new Date(event.timestamp).getTime();
+  if (end < start) {
+    issues.push({ path: joinPointer(path, 'endTime'), message: 'Invalid span: endTime is before startTime', keyword: 'span', level: 'error' });
+  } else if (time < start || time > end) {
+    issues.push({ path: joinPointer(path, 'timestamp'), message: 'Timestamp lies outside the startTime-endTime span', keyword: 'span', level: 'warning' });
+  }
 
-    // Check logical bounds
-    if (bounds.north <= bounds.south) {
-      errors.push('Invalid bounds: north must be greater than south');
-    }
-    if (bounds.east <= bounds.west) {
-      errors.push('Invalid bounds: east must be greater than west');
-    }
+  // Check metadata size (should be reasonable for JSON)
+  if (event.metadata && JSON.stringify(event.metadata).length > VALIDATION_CONFIG.MAX_METADATA_LENGTH) {
+    issues.push({ path: joinPointer(path, 'metadata'), message: 'Large metadata object may impact performance', keyword: 'size', level: 'warning' });
   }
 
-  return errors;
+  return toResult(issues);
 }
 
 /**
  * Validate array of events
+ * Streamed files are validated batch by batch; pass the running offset and id set to keep
+ * event numbering, JSON pointers and duplicate detection file-wide.
  * @param {Object[]} events - Array of events to validate
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.offset=0] - Position of the first event in the file
+ * @param {Set<string>} [options.seenIds] - Ids seen in earlier batches (updated in place)
+ * @param {string} [options.path=''] - JSON pointer of the array in its file (e.g. '/events')
  * @returns {import('./types.js').ValidationSummary} Validation summary
  */
-export function validateEvents(events) {
+export function validateEvents(events, options = {}) {
+  const { offset = 0, seenIds = new Set(), path = '' } = options;
+
   if (!Array.isArray(events)) {
+    const issue = { path, message: 'Events data is not an array', keyword: 'type', level: 'error' };
     return {
       valid: false,
       totalEvents: 0,
       validEvents: 0,
-      errors: ['Events data is not an array'],
+      errors: [formatIssue(issue)],
       warnings: [],
+      issues: [issue],
       eventResults: []
     };
   }
@@ -171,29 +164,34 @@ export function validateEvents(events) {
   const eventResults = [];
   const allErrors = [];
   const allWarnings = [];
-  const seenIds = new Set();
+  const allIssues = [];
   let validEvents = 0;
 
   for (let i = 0; i < events.length; i++) {
     const event = events[i];
-    const result = validateEvent(event);
+    const eventPath = joinPointer(path, offset + i);
+    let result = validateEvent(event, { path: eventPath });
     
     // Check for duplicate IDs
-    if (event.id) {
+    if (event?.id) {
       if (seenIds.has(event.id)) {
-        result.errors.push(`Duplicate event ID: ${event.id}`);
-        result.valid = false;
+        result = toResult([
+          ...result.issues,
+          { path: joinPointer(eventPath, 'id'), message: `Duplicate event ID: ${event.id}`, keyword: 'uniqueId', level: 'error' }
+        ]);
       } else {
         seenIds.add(event.id);
       }
     }
 
     // Add context to errors
-    const contextErrors = result.errors.map(error => `Event ${i + 1} (${event.id || 'no ID'}): ${error}`);
-    const contextWarnings = result.warnings.map(warning => `Event ${i + 1} (${event.id || 'no ID'}): ${warning}`);
+    const context = `Event ${offset + i + 1} (${event?.id || 'no ID'})`;
+    result.issues.forEach(issue => {
+      const message = `${context} ${formatIssue(issue)}`;
+      (issue.level === 'error' ? allErrors : allWarnings).push(message);
+    });
 
-    allErrors.push(...contextErrors);
-    allWarnings.push(...contextWarnings);
+    allIssues.push(...result.issues);
     eventResults.push(result);
 
     if (result.valid) {
@@ -207,59 +205,72 @@ export function validateEvents(events) {
     validEvents,
     errors: allErrors,
     warnings: allWarnings,
+    issues: allIssues,
     eventResults
   };
 }
 
 /**
- * Validate event data file structure
- * @param {Object} fileData - Event file data
+ * Validate a data file against its schema document
+ * The file's `schemaVersion` picks the schema version; unknown versions are checked against
+ * the latest one with a warning.
+ * @param {string} name - Schema document name ('eventsIndex', 'stories', 'instruments', 'anomalyTypes', 'eventFile')
+ * @param {Object} data - Parsed file
  * @returns {import('./types.js').ValidationResult} Validation result
  */
-export function validateEventFile(fileData) {
-  const errors = [];
-  const warnings = [];
-
-  // Check required file structure
-  if (!fileData.schemaVersion) {
-    errors.push('Missing schemaVersion');
-  } else if (fileData.schemaVersion !== 1) {
-    warnings.push(`Unknown schema version: ${fileData.schemaVersion}`);
+export function validateDocument(name, data) {
+  const version = data?.schemaVersion;
+  let schema = getSchema(name, version);
+  const issues = [];
+
+  if (!schema) {
+    schema = getSchema(name);
+    if (!schema) {
+      throw new Error(`Unknown schema document: ${name}`);
+    }
+    if (version !== undefined && version !== null) {
+      issues.push({ path: '/schemaVersion', message: `Unknown schema version: ${version}`, keyword: 'schemaVersion', level: 'warning' });
+    }
   }
 
-  if (!fileData.year) {
-    errors.push('Missing year field');
-  } else if (typeof fileData.year !== 'number' || fileData.year < 2000 || fileData.year > 2030) {
-    errors.push(`Invalid year: ${fileData.year}`);
-  }
+  // The version warning replaces the const check of the latest schema
+  const schemaIssues = checkSchema(schema, data)
+    .filter(issue => !(issues.length > 0 && issue.path === '/schemaVersion' && issue.keyword === 'const'));
 
-  if (!fileData.events) {
-    errors.push('Missing events array');
-  } else {
-    const eventsValidation = validateEvents(fileData.events);
-    errors.push(...eventsValidation.errors);
-    warnings.push(...eventsValidation.warnings);
+  return toResult([...issues, ...schemaIssues]);
+}
+
+/**
+ * Validate event data file structure
+ * @param {Object} fileData - Event file data (events normalized)
+ * @returns {import('./types.js').ValidationResult} Validation result
+ */
+export function validateEventFile(fileData) {
+  const { events, ...header } = fileData || {};
+  const result = validateDocument('eventFile', { ...header, events: Array.isArray(events) ? [] : events });
+
+  if (!Array.isArray(events)) {
+    return result;
   }
 
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings
-  };
+  const eventsValidation = validateEvents(events, { path: '/events' });
+  return toResult([...result.issues, ...eventsValidation.issues]);
 }
 
 /**
  * Log validation results
- * @param {import('./types.js').ValidationSummary} result - Validation result
+ * @param {import('./types.js').ValidationSummary|import('./types.js').ValidationResult} result - Validation result
  * @param {string} context - Context for logging
  */
 export function logValidationResult(result, context = '') {
   const prefix = context ? `[${context}] ` : '';
+  // Document results (validateDocument) have no event counts
+  const counts = result.totalEvents !== undefined ? `: ${result.validEvents}/${result.totalEvents} events valid` : '';
   
   if (result.valid) {
-    console.log(`✅ ${prefix}Validation passed: ${result.validEvents}/${result.totalEvents} events valid`);
+    console.log(`✅ ${prefix}Validation passed${counts}`);
   } else {
-    console.error(`❌ ${prefix}Validation failed: ${result.validEvents}/${result.totalEvents} events valid`);
+    console.error(`❌ ${prefix}Validation failed${counts}`);
   }
 
   if (result.errors.length > 0) {
@@ -273,4 +284,6 @@ export function logValidationResult(result, context = '') {
     result.warnings.forEach(warning => console.warn(warning));
     console.groupEnd();
   }
-}
\ No newline at end of file
+}
+
+export { VALIDATION_CONFIG };
\ No newline at end of file
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Demand-driven loading of catalogue years
+ * Only the most recent year is loaded up front. Other years are fetched when the timeline
+ * viewport (`timelineRangeChanged`) or the filter date range reaches them, and dropped from the
+ * store once they have been out of range for a while; they stay in the data cache, so coming
+ * back to them is cheap. Year status changes are announced as `yearsChanged`.
+ * @requires ./store.js
+ * @requires ./dataLoader.js
+ * @requires ./regions.js
+ */
+
+import { store, actions, eventBus } from './store.js';
+import { loadEvents, loadEventsByYears, getAvailableYears, enrichEvents } from './dataLoader.js';
+import { assignRegions } from './regions.js';
+
+/**
+ * @typedef {Object} YearStatus
+ * @property {number} year - Calendar year
+ * @property {'missing'|'loading'|'loaded'|'failed'} status - Load status
+ * @property {(number|string)[]} files - Index `year` keys of the files holding the year
+ * @property {number} count - Catalogue events of the year in the store
+ */
+
+/**
+ * Year loader configuration
+ */
+const YEAR_LOADER_CONFIG = {
+  EVICT_AFTER: 10 * 60 * 1000, // Out of every active range this long before eviction
+  EVICT_CHECK_INTERVAL: 60 * 1000
+};
+
+/**
+ * Catalogue years by calendar year
+ * @type {Map<number, YearStatus & {lastInRange: number}>}
+ */
+const years = new Map();
+
+/**
+ * Date ranges that keep years loaded, by source ('timeline', 'filter')
+ * @type {Map<string, {start: number, end: number}>}
+ */
+const activeRanges = new Map();
+
+/**
+ * Options for loading years after the initial load (includeMetadata)
+ */
+let loadOptions = {};
+
+/**
+ * Whether the initial year is in the store; its final store update replaces the event list
+ */
+let isReady = false;
+
+let evictTimer = null;
+
+/**
+ * Calendar year of an index `year` key ("2024-perf" belongs to 2024)
+ * @param {number|string} key - Index year key
+ * @returns {number}
+ */
+function getCalendarYear(key) {
+  return parseInt(String(key), 10);
+}
+
+/**
+ * Calendar year of an event
+ * @param {import('./types.js').EventRecord} event - Event
+ * @returns {number}
+ */
+function getEventYear(event) {
+  return new Date(event.timestamp).getUTCFullYear();
+}
+
+/**
+ * Current year statuses, oldest first
+ * @returns {YearStatus[]}
+ */
+export function listYears() {
+  return Array.from(years.values())
+    .sort((a, b) => a.year - b.year)
+    .map(({ lastInRange, ...entry }) => ({ ...entry, files: [...entry.files] }));
+}
+
+/**
+ * Announce year status changes
+ */
+function notifyYearsChanged() {
+  eventBus.emit('yearsChanged', listYears());
+}
+
+/**
+ * Set the status of calendar years
+ * @param {number[]} calendarYears - Years to update
+ * @param {YearStatus['status']} status - New status
+ */
+function setStatus(calendarYears, status) {
+  calendarYears.forEach(year => {
+    years.get(year).status = status;
+  });
+  notifyYearsChanged();
+}
+
+/**
+ * Whether a calendar year overlaps a range
+ * @param {number} year - Calendar year
+ * @param {{start: number, end: number}} range - Range in ms
+ * @returns {boolean}
+ */
+function isYearInRange(year, range) {
+  return range.start <= Date.UTC(year + 1, 0, 1) - 1 && range.end >= Date.UTC(year, 0, 1);
+}
+
+/**
+ * Mark the loader ready, load the ranges that arrived during the initial load and start the
+ * eviction timer
+ */
+function markReady() {
+  isReady = true;
+  updateRanges();
+
+  if (!evictTimer) {
+    evictTimer = setInterval(evictStaleYears, YEAR_LOADER_CONFIG.EVICT_CHECK_INTERVAL);
+  }
+}
+
+/**
+ * Load the years that an active range reaches and mark them as in range
+ */
+function updateRanges() {
+  if (!isReady) return;
+
+  const now = Date.now();
+  const toLoad = [];
+
+  years.forEach(entry => {
+    const inRange = Array.from(activeRanges.values()).some(range => isYearInRange(entry.year, range));
+    if (!inRange) return;
+
+    entry.lastInRange = now;
+    if (entry.status === 'missing' || entry.status === 'failed') {
+      toLoad.push(entry.year);
+    }
+  });
+
+  if (toLoad.length > 0) {
+    loadYears(toLoad);
+  }
+}
+
+/**
+ * Set or clear one of the ranges that keep years loaded
+ * @param {string} source - Range source
+ * @param {{start: (string|null), end: (string|null)}|null} range - Date range; open ends reach every year on that side
+ */
+function setRange(source, range) {
+  if (!range || (!range.start && !range.end)) {
+    activeRanges.delete(source);
+    return;
+  }
+
+  activeRanges.set(source, {
+    start: range.start ? new Date(range.start).getTime() : -Infinity,
+    end: range.end ? new Date(range.end).getTime() : Infinity
+  });
+  updateRanges();
+}
+
+/**
+ * Fetch calendar years and merge their events into the store
+ * @param {number[]} calendarYears - Years to load
+ * @returns {Promise<void>}
+ */
+async function loadYears(calendarYears) {
+  setStatus(calendarYears, 'loading');
+  const files = calendarYears.flatMap(year => years.get(year).files);
+
+  try {
+    console.log(`📥 Loading years on demand: ${calendarYears.join(', ')}`);
+
+    // Views enrich the records they receive; the cached records stay as parsed
+    const loaded = (await loadEventsByYears(files)).map(event => ({ ...event }));
+    await assignRegions(loaded);
+    if (loadOptions.includeMetadata !== false) {
+      await enrichEvents(loaded);
+    }
+
+    // Keep the loaded copy of an event that is already in the store (e.g. imported)
+    const current = store.getState().events || [];
+    const loadedIds = new Set(current.map(event => event.id));
+    const added = loaded.filter(event => !loadedIds.has(event.id));
+
+    calendarYears.forEach(year => {
+      years.get(year).count = added.filter(event => getEventYear(event) === year).length;
+    });
+    setStatus(calendarYears, 'loaded');
+    actions.publishEvents([...current, ...added]);
+
+    console.log(`✅ Loaded ${added.length} events for ${calendarYears.join(', ')}`);
+
+  } catch (error) {
+    console.error(`❌ Failed to load years ${calendarYears.join(', ')}:`, error);
+    setStatus(calendarYears, 'failed');
+  }
+}
+
+/**
+ * Drop loaded years that have been out of every active range for too long
+ * Nothing is evicted while no range is active.
+ */
+function evictStaleYears() {
+  if (activeRanges.size === 0) return;
+
+  // A range that has not moved still keeps its years
+  updateRanges();
+
+  const cutoff = Date.now() - YEAR_LOADER_CONFIG.EVICT_AFTER;
+  const stale = Array.from(years.values())
+    .filter(entry => entry.status === 'loaded' && entry.lastInRange < cutoff)
+    .map(entry => entry.year);
+
+  if (stale.length === 0) return;
+
+  // Imported datasets are not part of the catalogue and stay
+  const events = (store.getState().events || []).filter(event =>
+    event.datasetId || !stale.includes(getEventYear(event))
+  );
+
+  stale.forEach(year => {
+    years.get(year).count = 0;
+  });
+  setStatus(stale, 'missing');
+  actions.publishEvents(events, { evictedYears: stale });
+
+  console.log(`🗑️ Evicted years out of range: ${stale.join(', ')}`);
+}
+
+/**
+ * Load the most recent catalogue year and load the others on demand from then on
+ * The current year is used when the index has it, else the latest year before it.
+ * @param {Object} [options] - Options for loadEvents (includeMetadata, forceRefresh)
+ * @returns {Promise<Object[]>} Events of the initial year
+ */
+export async function loadInitialYears(options = {}) {
+  loadOptions = options;
+  isReady = false;
+
+  const now = Date.now();
+  years.clear();
+  (await getAvailableYears()).forEach(key => {
+    const year = getCalendarYear(key);
+    if (Number.isNaN(year)) return;
+
+    if (!years.has(year)) {
+      years.set(year, { year, status: 'missing', files: [], count: 0, lastInRange: now });
+    }
+    years.get(year).files.push(key);
+  });
+
+  const calendarYears = Array.from(years.keys()).sort((a, b) => a - b);
+  const currentYear = new Date().getUTCFullYear();
+  const initialYear = calendarYears.filter(year => year <= currentYear).pop() ?? calendarYears[0];
+
+  if (initialYear === undefined) {
+    console.warn('⚠️ Events index lists no calendar years');
+    markReady();
+    return [];
+  }
+
+  setStatus([initialYear], 'loading');
+
+  try {
+    const events = await loadEvents({ ...options, years: years.get(initialYear).files });
+    years.get(initialYear).count = events.length;
+    setStatus([initialYear], 'loaded');
+    return events;
+
+  } catch (error) {
+    setStatus([initialYear], 'failed');
+    throw error;
+
+  } finally {
+    markReady();
+  }
+}
+
+eventBus.on('timelineRangeChanged', (range) => {
+  setRange('timeline', range);
+});
+
+eventBus.on('filtersChanged', (filters) => {
+  setRange('filter', filters?.dateRange);
+});
+
+eventBus.on('cleanup', () => {
+  clearInterval(evictTimer);
+  evictTimer = null;
+});
+
+export { YEAR_LOADER_CONFIG };
\ No newline at end of file
@@ -5,7 +5,71 @@
 
 import { store, actions, eventBus } from './js/store.js';
 import { qs, el, on, debounce } from './js/utils/dom.js';
-import { geoDistance, clamp } from './js/utils/math.js';
+import { geoDistance, clamp, toRadians } from './js/utils/math.js';
+import { loadBasemap, drawBasemap } from './js/map/basemap.js';
+import { attachMapNavigation } from './js/map/navigation.js';
+import { getProjection, normalizeLongitude } from './js/map/projections.js';
+import { clusterMarkers, getClusterRadius } from './js/map/clustering.js';
+import {
+  createFootprint,
+  projectFootprint,
+  drawFootprint,
+  findFootprintAt,
+  getFootprintExtent
+} from './js/map/footprints.js';
+import {
+  drawHeatmap,
+  getHeatmapRadius,
+  getEventWeight,
+  getHeatmapGradientCSS,
+  HEATMAP_WEIGHTS
+} from './js/map/heatmap.js';
+import {
+  loadGazetteer,
+  searchPlaces,
+  searchEvents,
+  findEventsNear,
+  GAZETTEER_CONFIG
+} from './js/map/gazetteer.js';
+import { attachSearchBox } from './js/map/searchBox.js';
+import { attachDrawTool, drawSpatialShape } from './js/map/drawTool.js';
+import { createEventFilter } from './js/eventFilter.js';
+import { describeShape } from './js/utils/geo.js';
+import { isNewSinceLastVisit } from './js/lastVisit.js';
+import { getEventSpan } from './js/eventSchema.js';
+
+/**
+ * Map configuration
+ */
+const MAP_CONFIG = {
+  minZoom: 1,
+  maxZoom: 20,
+  markerHitRadius: 8,
+  newMarkerColor: '#FFD54F', // Ring around events new since the last visit
+  playbackFadeWindow: 7 * 24 * 60 * 60 * 1000, // Default time for a marker to fade in during playback
+  playbackMinOpacity: 0.15, // Opacity of a marker whose timestamp (or span start) has just passed
+  clusterExpandZoom: 2, // Minimum zoom levels gained when a cluster is clicked
+  densityLayer: 'density', // Layer that replaces markers and footprints with a heatmap
+  placeZoom: 7, // Zoom for search results without an extent (cities, events)
+  fitPadding: 0.8 // Share of the view a fitted extent may fill
+};
+
+/**
+ * Marker colors by event type (used when the event has no anomaly type metadata)
+ */
+const MARKER_COLORS = {
+  fire: '#FF4444',
+  flood: '#4444FF',
+  earthquake: '#FF8800',
+  hurricane: '#8844FF',
+  drought: '#FFAA00',
+  temperature: '#FF8800',
+  precipitation: '#4488FF',
+  vegetation: '#44CC44',
+  sea_ice: '#88CCFF',
+  ice: '#88CCFF',
+  default: '#444444'
+};
 
 /**
  * Map state
@@ -16,7 +80,17 @@ let mapState = {
   center: { lat: 0, lng: 0 },
   zoom: 2,
   selectedLayer: 'satellite',
+  projection: 'equirectangular',
   markers: [],
+  clusters: [],
+  clustering: true,
+  showFootprints: true,
+  hoveredFootprintId: null,
+  densityWeight: 'severity',
+  spatialFilter: null,
+  playbackDate: null, // Timeline playback position (ms); null shows every filtered event
+  playbackFadeWindow: null,
+  drawPreview: null,
   bounds: null,
   isLoading: false
 };
@@ -28,8 +102,18 @@ let mapElements = {
   container: null,
   canvas: null,
   layerControls: null,
+  projectionControls: null,
+  footprintToggle: null,
+  footprintTooltip: null,
+  densityLegend: null,
   zoomControls: null,
-  searchBox: null
+  searchBox: null,
+  searchDropdown: null,
+  drawButtons: null,
+  drawClear: null,
+  drawStatus: null,
+  drawTool: null,
+  navigation: null
 };
 
 /**
@@ -96,6 +180,20 @@ function buildMapUI() {
   container.innerHTML = `
     <div class="map__viewport">
       <canvas class="map__canvas" aria-label="Interactive map"></canvas>
+      <div class="map__footprint-tooltip" role="tooltip" hidden></div>
+      <div class="map__legend" aria-label="Density legend" hidden>
+        <div class="map__legend-title">Event density</div>
+        <div class="map__legend-scale" style="background: ${getHeatmapGradientCSS()}"></div>
+        <div class="map__legend-labels"><span>Low</span><span>High</span></div>
+        <label class="map__legend-weight">
+          Weight:
+          <select class="map__density-weight" aria-label="Density weighting">
+            ${Object.entries(HEATMAP_WEIGHTS).map(([key, { label }]) => `
+              <option value="${key}"${key === mapState.densityWeight ? ' selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
       <div class="map__markers-layer">
         <!-- Event markers will be inserted here -->
       </div>
@@ -104,14 +202,21 @@ function buildMapUI() {
   
   // Cache element references
   mapElements.canvas = qs('.map__canvas', container);
+  mapElements.footprintTooltip = qs('.map__footprint-tooltip', container);
+  mapElements.densityLegend = qs('.map__legend', container);
   
   // Get controls from the separate panel
   mapElements.layerControls = qs('#mapLayerSelect');
+  mapElements.projectionControls = qs('#mapProjectionSelect');
+  mapElements.footprintToggle = qs('#mapFootprintsToggle');
   mapElements.zoomControls = {
     zoomIn: qs('.map__zoom-in'),
     zoomOut: qs('.map__zoom-out')
   };
   mapElements.searchBox = qs('#mapSearchInput');
+  mapElements.drawButtons = Array.from(document.querySelectorAll('.map-draw-btn[data-draw-mode]'));
+  mapElements.drawClear = qs('.map-draw-clear');
+  mapElements.drawStatus = qs('#mapDrawStatus');
   
   // Cache additional elements
   mapElements.coordinates = qs('#mapCoordinates');
@@ -119,7 +224,7 @@ function buildMapUI() {
 }
 
 /**
- * Initialize map instance (mock implementation)
+ * Initialize map instance
  */
 function initializeMapInstance() {
   const canvas = mapElements.canvas;
@@ -133,86 +238,25 @@ function initializeMapInstance() {
   // Get canvas context
   const ctx = canvas.getContext('2d');
   
-  // Draw base map (mock)
+  // Draw base map (graticule only until the world basemap arrives)
   drawBaseMap(ctx);
   
-  console.log('🗺️ Map instance initialized (mock)');
-}
-
-/**
- * Draw base map (mock implementation)
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- */
-function drawBaseMap(ctx) {
-  const { width, height } = ctx.canvas;
-  
-  // Clear canvas
-  ctx.clearRect(0, 0, width, height);
-  
-  // Draw background
-  const gradient = ctx.createLinearGradient(0, 0, 0, height);
-  gradient.addColorStop(0, '#87CEEB'); // Sky blue
-  gradient.addColorStop(1, '#4682B4'); // Steel blue
-  
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, width, height);
-  
-  // Draw grid (representing map tiles)
-  ctx.strokeStyle = '#ffffff33';
-  ctx.lineWidth = 1;
-  
-  const gridSize = 50;
-  for (let x = 0; x < width; x += gridSize) {
-    ctx.beginPath();
-    ctx.moveTo(x, 0);
-    ctx.lineTo(x, height);
-    ctx.stroke();
-  }
-  
-  for (let y = 0; y < height; y += gridSize) {
-    ctx.beginPath();
-    ctx.moveTo(0, y);
-    ctx.lineTo(width, y);
-    ctx.stroke();
-  }
+  loadBasemap().then(basemap => {
+    if (basemap) redrawMap();
+  });
   
-  // Draw continents (very simplified)
-  drawMockContinents(ctx);
+  console.log('🗺️ Map instance initialized');
 }
 
 /**
- * Draw mock continents
+ * Draw base map
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  */
-function drawMockContinents(ctx) {
-  const { width, height } = ctx.canvas;
-  
-  ctx.fillStyle = '#228B22'; // Forest green
-  
-  // North America (approximate)
-  ctx.beginPath();
-  ctx.ellipse(width * 0.2, height * 0.3, width * 0.15, height * 0.2, 0, 0, Math.PI * 2);
-  ctx.fill();
-  
-  // Europe (approximate)
-  ctx.beginPath();
-  ctx.ellipse(width * 0.55, height * 0.25, width * 0.08, height * 0.1, 0, 0, Math.PI * 2);
-  ctx.fill();
-  
-  // Asia (approximate)
-  ctx.beginPath();
-  ctx.ellipse(width * 0.75, height * 0.3, width * 0.2, height * 0.25, 0, 0, Math.PI * 2);
-  ctx.fill();
-  
-  // Africa (approximate)
-  ctx.beginPath();
-  ctx.ellipse(width * 0.52, height * 0.5, width * 0.08, height * 0.15, 0, 0, Math.PI * 2);
-  ctx.fill();
-  
-  // Australia (approximate)
-  ctx.beginPath();
-  ctx.ellipse(width * 0.8, height * 0.7, width * 0.06, height * 0.08, 0, 0, Math.PI * 2);
-  ctx.fill();
+function drawBaseMap(ctx) {
+  drawBasemap(ctx, geoToPixel, {
+    layer: mapState.selectedLayer,
+    outline: getProjection(mapState.projection).outline(getMapView())
+  });
 }
 
 /**
@@ -224,35 +268,79 @@ function setupMapEvents() {
   // Canvas interactions
   on(canvas, 'click', handleMapClick);
   on(canvas, 'mousemove', debounce(handleMapMouseMove, 50));
+  on(canvas, 'mouseleave', () => setHoveredFootprint(null));
   
   // Layer controls
   on(layerControls, 'change', (event) => {
     changeMapLayer(event.target.value);
   });
   
+  // Projection controls
+  on(mapElements.projectionControls, 'change', (event) => {
+    setMapProjection(event.target.value);
+  });
+  
+  // Density weighting
+  on(qs('.map__density-weight', mapElements.container), 'change', (event) => {
+    setDensityWeight(event.target.value);
+  });
+  
+  // Footprint layer toggle
+  on(mapElements.footprintToggle, 'change', (event) => {
+    setFootprintsVisible(event.target.checked);
+  });
+  
   // Zoom controls
   on(zoomControls.zoomIn, 'click', () => zoomMap(1));
   on(zoomControls.zoomOut, 'click', () => zoomMap(-1));
   
-  // Search functionality
-  on(searchBox, 'keydown', (event) => {
-    if (event.key === 'Enter') {
-      event.preventDefault();
-      searchLocation(event.target.value);
-    }
-  });
+  // Search with type-ahead (gazetteer loads on first focus)
+  if (searchBox) {
+    on(searchBox, 'focus', () => loadGazetteer());
+    mapElements.searchDropdown = attachSearchBox(searchBox, {
+      search: getSearchResults,
+      onSelect: selectSearchResult,
+      onNearby: showEventsNear,
+      onSubmit: searchLocation
+    });
+  }
   
   // Search button
-  const searchBtn = qs('.map__search-btn');
+  const searchBtn = qs('.map-search-btn');
   on(searchBtn, 'click', () => {
     searchLocation(searchBox.value);
   });
   
-  // Mouse wheel zoom
-  on(canvas, 'wheel', (event) => {
-    event.preventDefault();
-    const zoomDelta = event.deltaY > 0 ? -1 : 1;
-    zoomMap(zoomDelta);
+  // Drag panning, wheel and pinch zoom
+  mapElements.navigation = attachMapNavigation(canvas, {
+    pan: panMap,
+    zoomAt: zoomMapAt,
+    getZoom: () => mapState.zoom
+  });
+  
+  // Area filter drawing (suspends navigation while a tool is active)
+  mapElements.drawTool = attachDrawTool(canvas, {
+    toGeo: pixelToGeo,
+    onPreview: (shape) => {
+      mapState.drawPreview = shape;
+      redrawMap();
+    },
+    onComplete: (shape) => {
+      eventBus.emit('spatialFilterDrawn', shape);
+    },
+    onModeChange: handleDrawModeChange
+  });
+  
+  mapElements.drawButtons.forEach(button => {
+    on(button, 'click', () => {
+      const mode = button.dataset.drawMode;
+      mapElements.drawTool.setMode(mapElements.drawTool.getMode() === mode ? null : mode);
+    });
+  });
+  
+  on(mapElements.drawClear, 'click', () => {
+    mapElements.drawTool.cancel();
+    eventBus.emit('spatialFilterDrawn', null);
   });
   
   // Window resize
@@ -265,14 +353,25 @@ function setupMapEvents() {
     addEventMarkers(events);
   });
   
+  eventBus.on('eventsBatchLoaded', ({ batch }) => {
+    appendEventMarkers(batch);
+  });
+  
   eventBus.on('eventSelected', (event) => {
     if (event?.coordinates) {
       focusOnEvent(event);
     }
   });
   
-  eventBus.on('timelineSeek', (date) => {
-    updateMarkersForDate(date);
+  eventBus.on('timelineSeek', (date, options) => {
+    updateMarkersForDate(date, options);
+  });
+  
+  eventBus.on('newEventsChanged', () => {
+    mapState.markers.forEach(marker => {
+      marker.isNew = isNewSinceLastVisit(marker.id);
+    });
+    redrawMap();
   });
 }
 
@@ -281,21 +380,33 @@ function setupMapEvents() {
  * @param {MouseEvent} event - Click event
  */
 function handleMapClick(event) {
+  // Ignore the click that ends a drag or a drawing gesture
+  if (mapElements.navigation?.consumeClick()) return;
+  if (mapElements.drawTool?.consumeClick() || mapElements.drawTool?.isActive()) return;
+  
   const rect = event.target.getBoundingClientRect();
   const x = event.clientX - rect.left;
   const y = event.clientY - rect.top;
   
-  // Convert pixel coordinates to geographic coordinates (mock)
+  // Convert pixel coordinates to geographic coordinates
   const coordinates = pixelToGeo(x, y);
   
   // Check if click hit any markers
   const clickedMarker = findMarkerAtPosition(x, y);
+  const clickedFootprint = clickedMarker ? null : findFootprintAtPosition(x, y);
   
-  if (clickedMarker) {
+  if (clickedMarker?.isCluster) {
+    focusOnCluster(clickedMarker);
+    console.log(`📍 Cluster clicked: ${clickedMarker.count} events`);
+  } else if (clickedMarker) {
     // Select the event
     actions.selectEvent(clickedMarker.event);
     console.log('📍 Marker clicked:', clickedMarker.event.title);
-  } else {
+  } else if (clickedFootprint) {
+    // Clicking inside an event's footprint selects it too
+    actions.selectEvent(clickedFootprint.event);
+    console.log('📍 Footprint clicked:', clickedFootprint.event.title);
+  } else if (coordinates) {
     // Clicked on empty map
     console.log('🗺️ Map clicked at:', coordinates);
     
@@ -316,66 +427,184 @@ function handleMapMouseMove(event) {
   // Convert to geographic coordinates
   const coordinates = pixelToGeo(x, y);
   
-  // Update coordinates display
+  // Update coordinates display (off the globe there is nothing to read out)
   if (mapElements.coordinates) {
-    mapElements.coordinates.textContent = `Lat: ${coordinates.lat.toFixed(4)}°, Lng: ${coordinates.lng.toFixed(4)}°`;
+    mapElements.coordinates.textContent = coordinates ?
+      `Lat: ${coordinates.lat.toFixed(4)}°, Lng: ${coordinates.lng.toFixed(4)}°` :
+      'Lat: —, Lng: —';
   }
   
-  // Check for marker hover
+  // While drawing, the crosshair stays and nothing is hovered
+  if (mapElements.drawTool?.isActive()) return;
+  
+  // Check for marker hover, then for the footprint underneath
   const hoveredMarker = findMarkerAtPosition(x, y);
-  updateMapCursor(hoveredMarker ? 'pointer' : 'default');
+  const hoveredFootprint = hoveredMarker ? null : findFootprintAtPosition(x, y);
+  setHoveredFootprint(hoveredFootprint, x, y);
+  updateMapCursor(hoveredMarker || hoveredFootprint ? 'pointer' : ''); // Empty falls back to the grab cursor
 }
 
 /**
- * Convert pixel coordinates to geographic coordinates (mock)
+ * Get current view for the active projection
+ * @returns {import('./js/map/projections.js').MapView} Map view
+ */
+function getMapView() {
+  const { width, height } = mapElements.canvas;
+  return { width, height, center: mapState.center, zoom: mapState.zoom };
+}
+
+/**
+ * Convert pixel coordinates to geographic coordinates
  * @param {number} x - Pixel X
  * @param {number} y - Pixel Y
- * @returns {object} Geographic coordinates
+ * @returns {import('./js/types.js').Coordinates|null} Geographic coordinates, or null off the map
  */
 function pixelToGeo(x, y) {
-  const canvas = mapElements.canvas;
-  const { width, height } = canvas;
-  
-  // Simple conversion (mock projection)
-  const lat = 90 - (y / height) * 180;
-  const lng = (x / width) * 360 - 180;
-  
-  return { lat, lng };
+  return getProjection(mapState.projection).invert(x, y, getMapView());
 }
 
 /**
- * Convert geographic coordinates to pixel coordinates (mock)
+ * Convert geographic coordinates to pixel coordinates
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @returns {object} Pixel coordinates
+ * @returns {import('./js/map/projections.js').ProjectedPoint} Pixel coordinates
  */
 function geoToPixel(lat, lng) {
-  const canvas = mapElements.canvas;
-  const { width, height } = canvas;
-  
-  // Simple conversion (mock projection)
-  const x = ((lng + 180) / 360) * width;
-  const y = ((90 - lat) / 180) * height;
-  
-  return { x, y };
+  return getProjection(mapState.projection).project(lat, lng, getMapView());
 }
 
 /**
- * Find marker at position
+ * Find marker or cluster at position
  * @param {number} x - Pixel X
  * @param {number} y - Pixel Y
- * @returns {object|null} Marker or null
+ * @returns {object|null} Marker, cluster (with `isCluster`) or null
  */
 function findMarkerAtPosition(x, y) {
-  const markerRadius = 8; // Marker hit radius
+  // Clusters are drawn on top, so they win
+  const cluster = mapState.clusters.find(c => {
+    return Math.hypot(c.pixelX - x, c.pixelY - y) <= getClusterRadius(c);
+  });
+  if (cluster) return cluster;
   
   return mapState.markers.find(marker => {
+    if (!marker.isVisible || !marker.isOnScreen || !marker.isDrawn) return false;
+    
     const distance = Math.sqrt(
       Math.pow(marker.pixelX - x, 2) + 
       Math.pow(marker.pixelY - y, 2)
     );
-    return distance <= markerRadius;
+    return distance <= MAP_CONFIG.markerHitRadius;
+  }) || null;
+}
+
+/**
+ * Find footprint at position
+ * @param {number} x - Pixel X
+ * @param {number} y - Pixel Y
+ * @returns {import('./js/map/footprints.js').EventFootprint|null} Footprint or null
+ */
+function findFootprintAtPosition(x, y) {
+  if (!mapState.showFootprints || isDensityLayer()) return null;
+  return findFootprintAt(getVisibleFootprints(), x, y);
+}
+
+/**
+ * Get footprints of the markers currently shown
+ * @returns {import('./js/map/footprints.js').EventFootprint[]} Footprints
+ */
+function getVisibleFootprints() {
+  return mapState.markers
+    .filter(marker => marker.isVisible && marker.footprint)
+    .map(marker => marker.footprint);
+}
+
+/**
+ * Update the hovered footprint and its tooltip
+ * @param {import('./js/map/footprints.js').EventFootprint|null} footprint - Hovered footprint
+ * @param {number} [x] - Pointer X for the tooltip
+ * @param {number} [y] - Pointer Y for the tooltip
+ */
+function setHoveredFootprint(footprint, x, y) {
+  const tooltip = mapElements.footprintTooltip;
+  const id = footprint?.id || null;
+  
+  if (tooltip) {
+    if (footprint) {
+      const { width, height } = getFootprintExtent(footprint);
+      tooltip.innerHTML = '';
+      tooltip.appendChild(el('strong', {}, footprint.event.title || footprint.id));
+      tooltip.appendChild(el('span', {}, `Severity: ${footprint.severity || 'unknown'}`));
+      tooltip.appendChild(el('span', {}, `Extent: ${Math.round(width)} × ${Math.round(height)} km`));
+      tooltip.style.left = `${x + 12}px`;
+      tooltip.style.top = `${y + 12}px`;
+      tooltip.hidden = false;
+    } else {
+      tooltip.hidden = true;
+    }
+  }
+  
+  if (id !== mapState.hoveredFootprintId) {
+    mapState.hoveredFootprintId = id;
+    redrawMap();
+  }
+}
+
+/**
+ * Show or hide the footprint layer
+ * @param {boolean} visible - Whether footprints are drawn
+ */
+function setFootprintsVisible(visible) {
+  mapState.showFootprints = Boolean(visible);
+  
+  if (mapElements.footprintToggle) {
+    mapElements.footprintToggle.checked = mapState.showFootprints;
+  }
+  
+  if (!mapState.showFootprints) {
+    setHoveredFootprint(null);
+  }
+  
+  redrawMap();
+  eventBus.emit('mapFootprintsToggled', mapState.showFootprints);
+}
+
+/**
+ * Reflect the active drawing tool in the controls and pause navigation while drawing
+ * @param {string|null} mode - Active draw mode
+ */
+function handleDrawModeChange(mode) {
+  mapElements.navigation?.setEnabled(mode === null);
+  
+  mapElements.drawButtons.forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.drawMode === mode));
   });
+  
+  if (mode) {
+    setHoveredFootprint(null);
+    updateMapCursor('');
+  }
+  updateDrawStatus(mode);
+}
+
+/**
+ * Update the area filter status text and clear button
+ * @param {string|null} [mode] - Active draw mode
+ */
+function updateDrawStatus(mode = mapElements.drawTool?.getMode()) {
+  const hints = {
+    rect: 'Drag to draw a rectangle (Esc to cancel)',
+    polygon: 'Click to add points, double-click or Enter to finish',
+    radius: 'Drag from the centre to set the radius'
+  };
+  
+  if (mapElements.drawStatus) {
+    mapElements.drawStatus.textContent = hints[mode] ||
+      (mapState.spatialFilter ? describeShape(mapState.spatialFilter) : '');
+  }
+  
+  if (mapElements.drawClear) {
+    mapElements.drawClear.disabled = !mapState.spatialFilter;
+  }
 }
 
 /**
@@ -396,20 +625,50 @@ function changeMapLayer(layer) {
   mapState.selectedLayer = layer;
   
   // Redraw map with new layer
-  const ctx = mapElements.canvas.getContext('2d');
-  drawBaseMap(ctx);
-  redrawMarkers();
+  setHoveredFootprint(null);
+  redrawMap();
+  
+  if (mapElements.densityLegend) {
+    mapElements.densityLegend.hidden = !isDensityLayer();
+  }
   
   console.log(`🗺️ Map layer changed to: ${layer}`);
   eventBus.emit('mapLayerChanged', layer);
 }
 
+/**
+ * Check whether the density heatmap layer is active
+ * @returns {boolean}
+ */
+function isDensityLayer() {
+  return mapState.selectedLayer === MAP_CONFIG.densityLayer;
+}
+
+/**
+ * Set how events are weighted in the density layer
+ * @param {string} weight - Weighting scheme key (count, severity or area)
+ */
+function setDensityWeight(weight) {
+  if (!HEATMAP_WEIGHTS[weight]) {
+    console.warn(`Unknown density weighting: ${weight}`);
+    return;
+  }
+  
+  mapState.densityWeight = weight;
+  
+  const select = qs('.map__density-weight', mapElements.container);
+  if (select) select.value = weight;
+  
+  if (isDensityLayer()) redrawMap();
+  eventBus.emit('mapDensityWeightChanged', weight);
+}
+
 /**
  * Zoom map
  * @param {number} delta - Zoom change
  */
 function zoomMap(delta) {
-  const newZoom = clamp(mapState.zoom + delta, 1, 20);
+  const newZoom = clamp(mapState.zoom + delta, MAP_CONFIG.minZoom, MAP_CONFIG.maxZoom);
   
   if (newZoom !== mapState.zoom) {
     mapState.zoom = newZoom;
@@ -423,28 +682,96 @@ function zoomMap(delta) {
 }
 
 /**
- * Search for location
+ * Zoom map keeping a pixel position fixed
+ * @param {number} zoom - Target zoom level (fractional levels allowed)
+ * @param {number} x - Anchor pixel X
+ * @param {number} y - Anchor pixel Y
+ */
+function zoomMapAt(zoom, x, y) {
+  const newZoom = clamp(zoom, MAP_CONFIG.minZoom, MAP_CONFIG.maxZoom);
+  if (newZoom === mapState.zoom) return;
+  
+  // Shift the center so the location under the anchor stays put
+  const anchor = pixelToGeo(x, y);
+  mapState.zoom = newZoom;
+  const shifted = pixelToGeo(x, y);
+  
+  if (anchor && shifted) {
+    mapState.center = clampCenter(
+      mapState.center.lat + anchor.lat - shifted.lat,
+      mapState.center.lng + anchor.lng - shifted.lng
+    );
+    mockMap.center = { ...mapState.center };
+  }
+  
+  redrawMap();
+  
+  eventBus.emit('mapZoomChanged', mapState.zoom);
+  eventBus.emit('mapCenterChanged', { ...mapState.center });
+}
+
+/**
+ * Pan map by a pixel offset
+ * @param {number} dx - Horizontal offset in pixels
+ * @param {number} dy - Vertical offset in pixels
+ */
+function panMap(dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  
+  const target = getProjection(mapState.projection).pan(getMapView(), dx, dy);
+  centerMapAt(target.lat, target.lng);
+}
+
+/**
+ * Clamp a map center to the navigable range
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {import('./js/types.js').Coordinates} Clamped coordinates
+ */
+function clampCenter(lat, lng) {
+  const projection = getProjection(mapState.projection);
+  
+  return {
+    lat: clamp(lat, -projection.maxLatitude, projection.maxLatitude),
+    lng: projection.wrapLongitude ? normalizeLongitude(lng) : clamp(lng, -180, 180)
+  };
+}
+
+/**
+ * Switch the active map projection
+ * @param {string} projectionId - Projection identifier
+ */
+function setMapProjection(projectionId) {
+  const projection = getProjection(projectionId);
+  if (projection.id === mapState.projection) return;
+  
+  mapState.projection = projection.id;
+  
+  // Bring the center back into the range the new projection allows
+  mapState.center = clampCenter(mapState.center.lat, mapState.center.lng);
+  mockMap.center = { ...mapState.center };
+  
+  redrawMap();
+  
+  console.log(`🗺️ Map projection changed to: ${projection.label}`);
+  eventBus.emit('mapProjectionChanged', projection.id);
+  eventBus.emit('mapCenterChanged', { ...mapState.center });
+}
+
+/**
+ * Search for location and go to the best match
  * @param {string} query - Search query
  */
-function searchLocation(query) {
+async function searchLocation(query) {
   if (!query.trim()) return;
   
   console.log(`🔍 Searching for: ${query}`);
   
-  // Mock search results
-  const mockResults = {
-    'paris': { lat: 48.8566, lng: 2.3522 },
-    'tokyo': { lat: 35.6762, lng: 139.6503 },
-    'new york': { lat: 40.7128, lng: -74.0060 },
-    'london': { lat: 51.5074, lng: -0.1278 },
-    'sydney': { lat: -33.8688, lng: 151.2093 }
-  };
-  
-  const result = mockResults[query.toLowerCase()];
+  const [result] = await getSearchResults(query);
   
   if (result) {
-    centerMapAt(result.lat, result.lng);
-    console.log(`📍 Found location: ${query}`);
+    selectSearchResult(result);
+    console.log(`📍 Found location: ${result.label}`);
   } else {
     console.log(`❌ Location not found: ${query}`);
     // Show notification
@@ -456,19 +783,170 @@ function searchLocation(query) {
   }
 }
 
+/**
+ * Get search results for a query: matching events first, then places
+ * @param {string} query - Search query
+ * @returns {Promise<import('./js/map/gazetteer.js').SearchResult[]>} Results
+ */
+async function getSearchResults(query) {
+  await loadGazetteer();
+  
+  const events = searchEvents(getLoadedEvents(), query);
+  const places = searchPlaces(query);
+  
+  // A strong event match (title prefix or better) leads; weaker ones follow the places
+  const strongEvents = events.filter(result => result.score >= 0.9);
+  const weakEvents = events.filter(result => result.score < 0.9);
+  return [...strongEvents, ...places, ...weakEvents];
+}
+
+/**
+ * Get all events currently on the map
+ * @returns {import('./js/types.js').EventRecord[]} Events
+ */
+function getLoadedEvents() {
+  return mapState.markers.map(marker => marker.event);
+}
+
+/**
+ * Go to a search result
+ * @param {import('./js/map/gazetteer.js').SearchResult} result - Chosen result
+ */
+function selectSearchResult(result) {
+  if (result.kind === 'event') {
+    actions.selectEvent(result.event);
+    return;
+  }
+  
+  const { place } = result;
+  if (place.bounds) {
+    fitMapToBounds(place.bounds, place);
+  } else {
+    mapState.zoom = Math.max(mapState.zoom, MAP_CONFIG.placeZoom);
+    centerMapAt(place.lat, place.lng);
+    eventBus.emit('mapZoomChanged', mapState.zoom);
+  }
+  
+  eventBus.emit('locationFound', { name: place.name, type: place.type, lat: place.lat, lng: place.lng });
+}
+
+/**
+ * List events near a place in the search dropdown
+ * @param {import('./js/map/gazetteer.js').SearchResult} result - Place result
+ */
+function showEventsNear(result) {
+  const radius = GAZETTEER_CONFIG.NEARBY_RADIUS_KM;
+  const matches = findEventsNear(getLoadedEvents(), result, radius);
+  
+  const heading = matches.length > 0 ?
+    `${matches.length} event${matches.length === 1 ? '' : 's'} within ${radius} km of ${result.label}` :
+    `No events within ${radius} km of ${result.label}`;
+  
+  mapElements.searchDropdown?.showResults(matches.map(({ event, coordinates, distance }) => ({
+    kind: 'event',
+    label: event.title || event.id,
+    detail: `${Math.round(distance)} km away`,
+    lat: coordinates.lat,
+    lng: coordinates.lng,
+    score: 1,
+    event
+  })), heading);
+  
+  // Frame the search radius
+  const latDelta = radius / 111.32;
+  const lngDelta = Math.min(latDelta / Math.max(Math.cos(toRadians(result.lat)), 0.01), 180);
+  fitMapToBounds({
+    north: Math.min(result.lat + latDelta, 90),
+    south: Math.max(result.lat - latDelta, -90),
+    east: result.lng + lngDelta,
+    west: result.lng - lngDelta
+  }, result);
+  
+  eventBus.emit('nearbyEventsFound', {
+    place: { name: result.label, lat: result.lat, lng: result.lng },
+    radiusKm: radius,
+    eventIds: matches.map(({ event }) => event.id)
+  });
+}
+
+/**
+ * Center on a point and zoom so a geographic extent fills the view
+ * @param {{north: number, south: number, east: number, west: number}} bounds - Extent
+ * @param {import('./js/types.js').Coordinates} [center] - View center (defaults to the middle of the extent)
+ */
+function fitMapToBounds(bounds, center) {
+  const { width, height } = mapElements.canvas;
+  const target = center || {
+    lat: (bounds.north + bounds.south) / 2,
+    lng: (bounds.east + bounds.west) / 2
+  };
+  
+  mapState.center = clampCenter(target.lat, target.lng);
+  
+  // Measure the extent at the current zoom, then scale the zoom to fit
+  const corners = [
+    geoToPixel(bounds.north, bounds.west),
+    geoToPixel(bounds.north, bounds.east),
+    geoToPixel(bounds.south, bounds.west),
+    geoToPixel(bounds.south, bounds.east),
+    geoToPixel(bounds.north, mapState.center.lng),
+    geoToPixel(bounds.south, mapState.center.lng)
+  ];
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  const extentX = Math.max(Math.max(...xs) - Math.min(...xs), 1);
+  const extentY = Math.max(Math.max(...ys) - Math.min(...ys), 1);
+  
+  const scale = Math.min(width / extentX, height / extentY) * MAP_CONFIG.fitPadding;
+  mapState.zoom = clamp(mapState.zoom + Math.log2(scale), MAP_CONFIG.minZoom, MAP_CONFIG.maxZoom);
+  
+  centerMapAt(mapState.center.lat, mapState.center.lng);
+  eventBus.emit('mapZoomChanged', mapState.zoom);
+}
+
 /**
  * Center map at coordinates
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  */
 function centerMapAt(lat, lng) {
-  mapState.center = { lat, lng };
-  mockMap.center = { lat, lng };
+  mapState.center = clampCenter(lat, lng);
+  mockMap.center = { ...mapState.center };
   
   // Redraw map
   redrawMap();
   
-  eventBus.emit('mapCenterChanged', { lat, lng });
+  eventBus.emit('mapCenterChanged', { ...mapState.center });
+}
+
+/**
+ * Zoom into a cluster until its members can separate
+ * @param {import('./js/map/clustering.js').MarkerCluster} cluster - Clicked cluster
+ */
+function focusOnCluster(cluster) {
+  const { width, height } = mapElements.canvas;
+  
+  // Pixel extent of the members at the current zoom
+  const xs = cluster.markers.map(m => m.pixelX);
+  const ys = cluster.markers.map(m => m.pixelY);
+  const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1);
+  
+  // Zoom so the members spread over about half the view
+  const fitZoom = mapState.zoom + Math.log2((Math.min(width, height) / 2) / extent);
+  const targetZoom = clamp(
+    Math.max(fitZoom, mapState.zoom + MAP_CONFIG.clusterExpandZoom),
+    MAP_CONFIG.minZoom,
+    MAP_CONFIG.maxZoom
+  );
+  
+  mapState.zoom = targetZoom;
+  centerMapAt(cluster.lat, cluster.lng);
+  
+  eventBus.emit('mapZoomChanged', mapState.zoom);
+  eventBus.emit('clusterExpanded', {
+    count: cluster.count,
+    eventIds: cluster.markers.map(m => m.id)
+  });
 }
 
 /**
@@ -487,11 +965,31 @@ function addEventMarkers(events) {
   });
   
   // Redraw markers
-  redrawMarkers();
+  redrawMap();
   
   console.log(`🗺️ Added ${mapState.markers.length} event markers`);
 }
 
+/**
+ * Add markers for a batch of streamed events, keeping the existing markers
+ * @param {import('./js/types.js').EventRecord[]} events - Newly loaded events
+ */
+function appendEventMarkers(events) {
+  const knownIds = new Set(mapState.markers.map(marker => marker.id));
+  const filterFunction = createEventFilter(store.getState().filters);
+  
+  events.forEach(event => {
+    if (event.coordinates && !knownIds.has(event.id)) {
+      const marker = createEventMarker(event);
+      marker.matchesFilter = filterFunction(event);
+      updateMarkerPlayback(marker);
+      mapState.markers.push(marker);
+    }
+  });
+  
+  redrawMap();
+}
+
 /**
  * Create event marker
  * @param {import('./js/types.js').EventRecord} event - Event data
@@ -499,7 +997,8 @@ function addEventMarkers(events) {
  */
 function createEventMarker(event) {
   const { lat, lng } = event.coordinates;
-  const { x, y } = geoToPixel(lat, lng);
+  const { x, y, visible } = geoToPixel(lat, lng);
+  const opacity = getPlaybackOpacity(event);
   
   return {
     id: event.id,
@@ -508,9 +1007,15 @@ function createEventMarker(event) {
     lng: lng,
     pixelX: x,
     pixelY: y,
+    isOnScreen: visible,
     type: event.type,
     title: event.title,
-    isVisible: true
+    footprint: createFootprint(event),
+    matchesFilter: true,
+    opacity,
+    isVisible: opacity > 0,
+    isOngoing: isOngoingAtPlayback(event),
+    isNew: isNewSinceLastVisit(event.id)
   };
 }
 
@@ -544,24 +1049,65 @@ function highlightMarker(eventId) {
     // Mark as selected and redraw
     mapState.markers.forEach(m => m.isSelected = false);
     marker.isSelected = true;
-    redrawMarkers();
+    redrawMap();
   }
 }
 
 /**
- * Update markers for specific date
- * @param {Date} date - Target date
+ * Show the events that have happened by a date, fading in the most recent ones
+ * Events with a span (see getEventSpan) count from its start and are marked while it lasts.
+ * Used by timeline playback; filtered-out events stay hidden either way.
+ * @param {Date|string|number|null} date - Playback position; null shows every filtered event again
+ * @param {Object} [options] - Options
+ * @param {number} [options.fadeWindow] - Time (ms) over which a marker fades in after its timestamp
  */
-function updateMarkersForDate(date) {
-  // This could filter markers based on date or update their visibility
-  console.log(`🗺️ Updating markers for date: ${date.toLocaleDateString()}`);
+function updateMarkersForDate(date, options = {}) {
+  mapState.playbackDate = date === null || date === undefined ? null : new Date(date).getTime();
+  mapState.playbackFadeWindow = options.fadeWindow || MAP_CONFIG.playbackFadeWindow;
   
-  // For now, just ensure all markers are visible
-  mapState.markers.forEach(marker => {
-    marker.isVisible = true;
-  });
+  mapState.markers.forEach(updateMarkerPlayback);
   
-  redrawMarkers();
+  redrawMap();
+}
+
+/**
+ * Marker opacity at the playback position
+ * @param {import('./js/types.js').EventRecord} event - Event
+ * @returns {number} 0 before the event's timestamp or span start, rising to 1 over the fade window
+ */
+function getPlaybackOpacity(event) {
+  if (mapState.playbackDate === null) return 1;
+  
+  const { start, end } = getEventSpan(event);
+  const elapsed = mapState.playbackDate - start;
+  if (!(elapsed >= 0)) return 0;
+  
+  // Spans shorter than the fade window are fully shown by their end
+  const fadeWindow = mapState.playbackFadeWindow || MAP_CONFIG.playbackFadeWindow;
+  const rampLength = end > start ? Math.min(fadeWindow, end - start) : fadeWindow;
+  return clamp(elapsed / rampLength, MAP_CONFIG.playbackMinOpacity, 1);
+}
+
+/**
+ * Whether the playback position lies inside an event's span
+ * @param {import('./js/types.js').EventRecord} event - Event
+ * @returns {boolean} Always false without playback or for events without a span
+ */
+function isOngoingAtPlayback(event) {
+  if (mapState.playbackDate === null) return false;
+  
+  const { start, end } = getEventSpan(event);
+  return end > start && mapState.playbackDate >= start && mapState.playbackDate <= end;
+}
+
+/**
+ * Update a marker's visibility from its filter match and the playback position
+ * @param {object} marker - Marker object
+ */
+function updateMarkerPlayback(marker) {
+  marker.opacity = getPlaybackOpacity(marker.event);
+  marker.isOngoing = isOngoingAtPlayback(marker.event);
+  marker.isVisible = marker.matchesFilter && marker.opacity > 0;
 }
 
 /**
@@ -570,20 +1116,187 @@ function updateMarkersForDate(date) {
 function redrawMap() {
   const ctx = mapElements.canvas.getContext('2d');
   drawBaseMap(ctx);
+  
+  if (isDensityLayer()) {
+    drawDensity(ctx);
+  } else {
+    drawFootprints(ctx);
+  }
+  
+  drawSpatialFilter(ctx);
   redrawMarkers();
 }
 
+/**
+ * Draw the active area filter and any shape being drawn
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ */
+function drawSpatialFilter(ctx) {
+  if (mapState.spatialFilter) {
+    drawSpatialShape(ctx, mapState.spatialFilter, geoToPixel);
+  }
+  
+  if (mapState.drawPreview) {
+    drawSpatialShape(ctx, mapState.drawPreview, geoToPixel, { preview: true });
+  }
+}
+
+/**
+ * Draw density heatmap of the currently visible (filtered) events
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ */
+function drawDensity(ctx) {
+  const points = [];
+  
+  mapState.markers.forEach(marker => {
+    if (!marker.isVisible) return;
+    
+    updateMarkerPosition(marker);
+    if (!marker.isOnScreen) return;
+    
+    points.push({
+      x: marker.pixelX,
+      y: marker.pixelY,
+      weight: getEventWeight(marker.event, mapState.densityWeight)
+    });
+  });
+  
+  drawHeatmap(ctx, points, { radius: getHeatmapRadius(mapState.zoom) });
+}
+
+/**
+ * Draw event footprints between the basemap and the markers
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ */
+function drawFootprints(ctx) {
+  if (!mapState.showFootprints) return;
+  
+  const selected = mapState.markers.find(m => m.isSelected);
+  const footprints = getVisibleFootprints();
+  
+  footprints.forEach(footprint => projectFootprint(footprint, geoToPixel));
+  
+  // Largest first so smaller footprints stay visible on top
+  footprints
+    .sort((a, b) => b.pixelArea - a.pixelArea)
+    .forEach(footprint => {
+      drawFootprint(ctx, footprint, {
+        hovered: footprint.id === mapState.hoveredFootprintId,
+        selected: footprint.id === selected?.id
+      });
+    });
+}
+
 /**
  * Redraw markers on map
  */
 function redrawMarkers() {
   const ctx = mapElements.canvas.getContext('2d');
+  const clusterable = [];
+  const pinned = [];
   
+  // Project visible markers; the selected marker is never folded into a cluster
   mapState.markers.forEach(marker => {
-    if (marker.isVisible) {
-      drawMarker(ctx, marker);
-    }
+    marker.isClustered = false;
+    marker.isDrawn = false;
+    if (!marker.isVisible) return;
+    
+    updateMarkerPosition(marker);
+    if (!marker.isOnScreen) return;
+    
+    (marker.isSelected ? pinned : clusterable).push(marker);
+  });
+  
+  // The heatmap stands in for individual markers; only the selection stays on top
+  let singles = isDensityLayer() ? [] : clusterable;
+  mapState.clusters = [];
+  
+  if (mapState.clustering && !isDensityLayer()) {
+    const result = clusterMarkers(clusterable, {
+      zoom: mapState.zoom,
+      origin: geoToPixel(0, 0)
+    });
+    mapState.clusters = result.clusters;
+    singles = result.singles;
+    
+    mapState.clusters.forEach(cluster => {
+      cluster.markers.forEach(marker => {
+        marker.isClustered = true;
+      });
+    });
+  }
+  
+  singles.concat(pinned).forEach(marker => {
+    drawMarker(ctx, marker);
+    marker.isDrawn = true;
   });
+  mapState.clusters.forEach(cluster => drawCluster(ctx, cluster));
+}
+
+/**
+ * Update a marker's pixel position for the current view
+ * @param {object} marker - Marker object
+ */
+function updateMarkerPosition(marker) {
+  const { x, y, visible } = geoToPixel(marker.lat, marker.lng);
+  marker.pixelX = x;
+  marker.pixelY = y;
+  marker.isOnScreen = visible;
+}
+
+/**
+ * Get marker color for an event type
+ * @param {string} type - Event type
+ * @param {import('./js/types.js').EventRecord} [event] - Event, for anomaly type metadata
+ * @returns {string} CSS color
+ */
+function getMarkerColor(type, event) {
+  return event?.typeData?.color || MARKER_COLORS[type] || MARKER_COLORS.default;
+}
+
+/**
+ * Draw marker cluster
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {import('./js/map/clustering.js').MarkerCluster} cluster - Cluster
+ */
+function drawCluster(ctx, cluster) {
+  const { pixelX: x, pixelY: y, count } = cluster;
+  const radius = getClusterRadius(cluster);
+  const sample = cluster.markers.find(m => m.type === cluster.dominantType);
+  
+  // Halo
+  ctx.beginPath();
+  ctx.arc(x, y, radius + 4, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+  ctx.fill();
+  
+  // Body in the dominant type's color
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = getMarkerColor(cluster.dominantType, sample?.event);
+  ctx.fill();
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  
+  // Count
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(count > 999 ? '999+' : String(count), x, y);
+  
+  // Badge when the cluster holds events new since the last visit
+  if (cluster.markers.some(m => m.isNew)) {
+    const angle = -Math.PI / 4;
+    ctx.beginPath();
+    ctx.arc(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius, 4, 0, Math.PI * 2);
+    ctx.fillStyle = MAP_CONFIG.newMarkerColor;
+    ctx.fill();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
 }
 
 /**
@@ -592,25 +1305,34 @@ function redrawMarkers() {
  * @param {object} marker - Marker object
  */
 function drawMarker(ctx, marker) {
-  const { pixelX, pixelY, type, isSelected } = marker;
+  const { pixelX: x, pixelY: y, type, isSelected, isNew, isOngoing } = marker;
   
-  // Update pixel position based on current map state
-  const { x, y } = geoToPixel(marker.lat, marker.lng);
-  marker.pixelX = x;
-  marker.pixelY = y;
+  const color = getMarkerColor(type, marker.event);
+  const radius = isSelected ? 10 : 6;
   
-  // Marker colors by type
-  const colors = {
-    fire: '#FF4444',
-    flood: '#4444FF',
-    earthquake: '#FF8800',
-    hurricane: '#8844FF',
-    drought: '#FFAA00',
-    default: '#444444'
-  };
+  // Fading in during timeline playback
+  ctx.save();
+  ctx.globalAlpha = marker.opacity ?? 1;
   
-  const color = colors[type] || colors.default;
-  const radius = isSelected ? 10 : 6;
+  // Ring around events new since the last visit
+  if (isNew) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
+    ctx.strokeStyle = MAP_CONFIG.newMarkerColor;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+  
+  // Dashed ring while playback is inside the event's span
+  if (isOngoing) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius + (isNew ? 7 : 4), 0, Math.PI * 2);
+    ctx.setLineDash([3, 2]);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
   
   // Draw marker circle
   ctx.beginPath();
@@ -630,6 +1352,8 @@ function drawMarker(ctx, marker) {
     ctx.fillStyle = '#FFFFFF';
     ctx.fill();
   }
+  
+  ctx.restore();
 }
 
 /**
@@ -643,11 +1367,7 @@ function resizeMap() {
   canvas.height = container.offsetHeight;
   
   // Recalculate marker positions
-  mapState.markers.forEach(marker => {
-    const { x, y } = geoToPixel(marker.lat, marker.lng);
-    marker.pixelX = x;
-    marker.pixelY = y;
-  });
+  mapState.markers.forEach(updateMarkerPosition);
   
   redrawMap();
 }
@@ -664,6 +1384,8 @@ function updateMapFromState(state) {
   
   // Update filters
   if (state.filters) {
+    mapState.spatialFilter = state.filters.spatial || null;
+    updateDrawStatus();
     applyFiltersToMarkers(state.filters);
   }
 }
@@ -673,33 +1395,25 @@ function updateMapFromState(state) {
  * @param {import('./js/types.js').FilterState} filters - Filter state
  */
 function applyFiltersToMarkers(filters) {
+  const filterFunction = createEventFilter(filters);
+  
   mapState.markers.forEach(marker => {
-    let isVisible = true;
-    
-    // Type filter
-    if (filters.eventTypes?.length > 0) {
-      isVisible = isVisible && filters.eventTypes.includes(marker.type);
-    }
-    
-    // Date range filter
-    if (filters.dateRange) {
-      const eventDate = new Date(marker.event.date);
-      isVisible = isVisible && 
-        eventDate >= filters.dateRange.start && 
-        eventDate <= filters.dateRange.end;
-    }
-    
-    marker.isVisible = isVisible;
+    marker.matchesFilter = filterFunction(marker.event);
+    updateMarkerPlayback(marker);
   });
   
-  redrawMarkers();
+  redrawMap();
 }
 
 /**
  * Cleanup map module
  */
 function cleanup() {
+  mapElements.navigation?.detach();
+  mapElements.drawTool?.detach();
+  mapElements.searchDropdown?.detach();
   mapState.markers = [];
+  mapState.clusters = [];
   console.log('🧹 Map module cleaned up');
 }
 
@@ -710,7 +1424,14 @@ eventBus.on('cleanup', cleanup);
 export {
   mapState,
   centerMapAt,
+  panMap,
   zoomMap,
+  zoomMapAt,
+  setMapProjection,
+  setFootprintsVisible,
+  setDensityWeight,
   focusOnEvent,
-  addEventMarkers
+  addEventMarkers,
+  appendEventMarkers,
+  updateMarkersForDate
 };
\ No newline at end of file
@@ -5,6 +5,8 @@
 
 import { eventBus } from './js/store.js';
 import { el, on } from './js/utils/dom.js';
+import { formatDate } from './js/utils/format.js';
+import { markAllSeen } from './js/lastVisit.js';
 
 /**
  * Notification state
@@ -16,6 +18,19 @@ let notificationState = {
   maxNotifications: 5
 };
 
+/**
+ * Data file loading progress, shown in one loading notification
+ */
+let loadProgress = {
+  notificationId: null,
+  files: new Map()
+};
+
+/**
+ * Notification listing the events new since the last visit
+ */
+let newEventsNotificationId = null;
+
 /**
  * Notification configuration
  */
@@ -115,7 +130,10 @@ function setupNotificationEvents() {
   });
   
   // Application events that trigger notifications
-  eventBus.on('eventsLoaded', (events) => {
+  eventBus.on('eventsLoaded', (events, details) => {
+    // Years dropped by lazy loading are not news
+    if (details?.evictedYears) return;
+    
     showNotification({
       type: 'success',
       title: 'Events Loaded',
@@ -124,6 +142,19 @@ function setupNotificationEvents() {
     });
   });
   
+  // Per-file progress while event data streams in
+  eventBus.on('dataLoadProgress', (progress) => {
+    updateLoadProgress(progress);
+  });
+  
+  eventBus.on('dataLoadError', () => {
+    finishLoadProgress();
+  });
+  
+  eventBus.on('newEventsChanged', (change) => {
+    updateNewEventsNotice(change);
+  });
+  
   eventBus.on('eventSelected', (event) => {
     showNotification({
       type: 'info',
@@ -249,13 +280,17 @@ function createNotificationElement(options) {
   notification.innerHTML = `
     <div class="notification__icon">${config.icon}</div>
     <div class="notification__content">
-      ${title ? `<div class="notification__title">${title}</div>` : ''}
-      ${message ? `<div class="notification__message">${message}</div>` : ''}
+      ${title ? '<div class="notification__title"></div>' : ''}
+      ${message ? '<div class="notification__message"></div>' : ''}
       ${actions.length > 0 ? createActionsHTML(actions) : ''}
     </div>
     <button class="notification__close" aria-label="Close notification">×</button>
   `;
   
+  // Titles and messages are text; they can quote imported event titles and file names
+  if (title) notification.querySelector('.notification__title').textContent = title;
+  if (message) notification.querySelector('.notification__message').textContent = message;
+  
   // Setup event listeners
   setupNotificationElementEvents(notification, id, actions);
   
@@ -406,6 +441,127 @@ export function hideLoading(id) {
   hideNotification(id);
 }
 
+/**
+ * Update loading notification message and progress bar
+ * @param {string} id - Loading notification ID
+ * @param {string} message - New message
+ * @param {number|null} [fraction=null] - Completed fraction (0-1); null shows an indeterminate bar
+ */
+export function updateLoading(id, message, fraction = null) {
+  const notification = notificationState.notifications.get(id);
+  if (!notification) return;
+  
+  updateNotification(id, message);
+  
+  let bar = notification.element.querySelector('.notification__progress');
+  if (!bar) {
+    bar = el('progress', { className: 'notification__progress', max: 1 });
+    notification.element.querySelector('.notification__content')?.appendChild(bar);
+  }
+  
+  if (fraction === null) {
+    bar.removeAttribute('value');
+  } else {
+    bar.value = Math.min(fraction, 1);
+  }
+}
+
+/**
+ * Format a byte count
+ * @param {number} bytes - Byte count
+ * @returns {string} Readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Show data file progress, one line per file, until every file is done
+ * @param {{file: string, loadedBytes: number, totalBytes: (number|null), loadedEvents: number, done: boolean, cached?: boolean, failed?: boolean}} progress - Progress of one file
+ */
+function updateLoadProgress(progress) {
+  // Files served from the cache finish at once; only list them next to files still loading
+  if (progress.cached && !loadProgress.notificationId) return;
+  
+  loadProgress.files.set(progress.file, progress);
+  const files = Array.from(loadProgress.files.values());
+  
+  if (files.every(file => file.done)) {
+    finishLoadProgress();
+    return;
+  }
+  
+  const message = files.map(file => {
+    let status = file.totalBytes ?
+      `${formatBytes(file.loadedBytes)} of ${formatBytes(file.totalBytes)}` :
+      formatBytes(file.loadedBytes);
+    if (file.cached) status = 'cached';
+    if (file.failed) status = 'failed';
+    return `${file.file}: ${status}, ${file.loadedEvents} events`;
+  }).join('\n');
+  
+  // Overall fraction, when every fetched file reports its size
+  const fetched = files.filter(file => !file.cached);
+  const fraction = fetched.every(file => file.totalBytes) ?
+    fetched.reduce((sum, file) => sum + file.loadedBytes, 0) / fetched.reduce((sum, file) => sum + file.totalBytes, 0) :
+    null;
+  
+  if (!loadProgress.notificationId) {
+    loadProgress.notificationId = showLoading(message);
+  }
+  updateLoading(loadProgress.notificationId, message, fraction);
+}
+
+/**
+ * Hide the data loading notification and forget the file progress
+ */
+function finishLoadProgress() {
+  if (loadProgress.notificationId && getNotification(loadProgress.notificationId)) {
+    hideLoading(loadProgress.notificationId);
+  }
+  
+  loadProgress = {
+    notificationId: null,
+    files: new Map()
+  };
+}
+
+/**
+ * Show how many loaded events are new since the last visit, in one notification
+ * @param {{ids: string[], since: (string|null)}} change - New event ids and the last visit time
+ */
+function updateNewEventsNotice({ ids, since }) {
+  const isShown = newEventsNotificationId && getNotification(newEventsNotificationId);
+  
+  if (ids.length === 0) {
+    if (isShown) hideNotification(newEventsNotificationId);
+    newEventsNotificationId = null;
+    return;
+  }
+  
+  const count = `${ids.length} new event${ids.length === 1 ? '' : 's'}`;
+  const message = since ?
+    `${count} since your last visit on ${formatDate(since)}` :
+    `${count} since your last visit`;
+  
+  if (isShown) {
+    updateNotification(newEventsNotificationId, message);
+    return;
+  }
+  
+  newEventsNotificationId = showNotification({
+    type: 'info',
+    title: 'New Events',
+    message,
+    duration: 10000,
+    actions: [
+      { label: 'Mark as seen', handler: markAllSeen }
+    ]
+  });
+}
+
 /**
  * Show success notification
  * @param {string} title - Success title
@@ -544,14 +700,5 @@ eventBus.on('cleanup', cleanup);
 
 // Export public interface
 export {
-  notificationState,
-  showLoading,
-  hideLoading,
-  showSuccess,
-  showError,
-  showWarning,
-  showInfo,
-  showConfirmation,
-  getNotificationCount,
-  updateNotification
+  notificationState
 };
\ No newline at end of file
@@ -232,7 +232,7 @@ export function showEventDetails(event) {
         label: 'View Timeline',
         type: 'secondary',
         handler: () => {
-          eventBus.emit('seekToDate', new Date(event.date));
+          eventBus.emit('seekToDate', new Date(event.timestamp));
           return false; // Don't close popup
         }
       },
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Compare two versions of an events file
+ * Reads both files the way the app does (data adapters, file migrations, record normalization)
+ * and reports the events added, removed and modified between them, matched by `id`, with the
+ * changed fields of each modified event (js/eventDiff.js).
+ *
+ * Usage: node scripts/diff-events.mjs <oldFile> <newFile> [--json]
+ *   oldFile   Earlier version of the file (any format the app imports)
+ *   newFile   Later version
+ *   --json    Print a machine-readable report instead of text
+ *
+ * Exit codes: 0 no differences, 1 differences found, 2 bad arguments or unreadable files.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { importAppModules } from './lib/app-modules.mjs';
+
+const [
+  { diffEvents, formatChange, countChanges },
+  { migrateDocument },
+  { normalizeEvents },
+  { parseSource }
+] = await importAppModules('eventDiff.js', 'migrations.js', 'eventSchema.js', 'adapters/index.js');
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{files: string[], json: boolean, help: boolean}}
+ */
+function parseArgs(args) {
+  const options = { files: [], json: false, help: false };
+
+  args.forEach(arg => {
+    if (arg === '--json') options.json = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else options.files.push(path.resolve(arg));
+  });
+
+  if (!options.help && options.files.length !== 2) {
+    throw new Error('Expected two files: the old and the new version');
+  }
+
+  return options;
+}
+
+/**
+ * Read the events of a file as the app loads them
+ * @param {string} file - File path
+ * @returns {Promise<Object[]>} Normalized events
+ */
+async function readEvents(file) {
+  const name = path.relative(process.cwd(), file) || file;
+  const text = await readFile(file, 'utf8');
+  let parsed = parseSource(text, { fileName: path.basename(file) });
+
+  if (parsed.adapter.id === 'native') {
+    const migration = migrateDocument('eventFile', {
+      schemaVersion: parsed.schemaVersion,
+      year: parsed.year,
+      events: parsed.events
+    }, { label: name });
+    parsed = { ...parsed, ...migration.data };
+  }
+
+  return normalizeEvents(parsed.events, parsed.schemaVersion);
+}
+
+/**
+ * Print a diff as text
+ * @param {import('../js/eventDiff.js').EventsDiff} diff - Diff
+ * @param {string[]} names - Old and new file names
+ */
+function printDiff(diff, names) {
+  console.log(`--- ${names[0]}`);
+  console.log(`+++ ${names[1]}`);
+
+  diff.added.forEach(event => {
+    console.log(`+ ${event.id}  ${event.title} (${event.type}, ${event.severity}, ${event.timestamp})`);
+  });
+  diff.removed.forEach(event => {
+    console.log(`- ${event.id}  ${event.title}`);
+  });
+  diff.modified.forEach(entry => {
+    console.log(`~ ${entry.id}  ${entry.title}`);
+    entry.changes.forEach(change => console.log(`    ${formatChange(change)}`));
+  });
+
+  console.log(`\n${diff.added.length} added, ${diff.removed.length} removed, ${diff.modified.length} modified, ${diff.unchanged} unchanged`);
+}
+
+/**
+ * Run the comparison
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log('Usage: node scripts/diff-events.mjs <oldFile> <newFile> [--json]');
+    return 0;
+  }
+
+  const names = options.files.map(file => path.relative(process.cwd(), file) || file);
+  let before;
+  let after;
+  try {
+    before = await readEvents(options.files[0]);
+    after = await readEvents(options.files[1]);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const diff = diffEvents(before, after);
+
+  if (options.json) {
+    const report = {
+      before: names[0],
+      after: names[1],
+      added: diff.added,
+      removed: diff.removed,
+      modified: diff.modified.map(({ id, title, changes }) => ({ id, title, changes })),
+      summary: {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        modified: diff.modified.length,
+        unchanged: diff.unchanged
+      }
+    };
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printDiff(diff, names);
+  }
+
+  return countChanges(diff) > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
\ No newline at end of file
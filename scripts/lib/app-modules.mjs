@@ -0,0 +1,29 @@
+/**
+ * @fileoverview App modules for the Node scripts
+ * The modules in js/ announce themselves with a console.log line when they load. Scripts print
+ * reports on stdout, so those lines are held back while the modules load; if a module fails to
+ * load, they are written to stderr ahead of the error.
+ */
+
+/**
+ * Import modules from js/
+ * @param {...string} specifiers - Paths relative to js/ (e.g. 'validation.js')
+ * @returns {Promise<Object[]>} Module namespaces, in argument order
+ * @throws {Error} When a module fails to load
+ */
+export async function importAppModules(...specifiers) {
+  const held = [];
+  const log = console.log;
+  console.log = (...args) => held.push(args);
+
+  try {
+    return await Promise.all(specifiers.map(specifier => import(new URL(`../../js/${specifier}`, import.meta.url))));
+
+  } catch (error) {
+    held.forEach(args => console.error(...args));
+    throw error;
+
+  } finally {
+    console.log = log;
+  }
+}
\ No newline at end of file
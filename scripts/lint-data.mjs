@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Dataset linter for the files in data/
+ * Checks events.index.json, every event file it lists, stories.json, instruments.json and
+ * anomaly-types.json with the app's own validation (js/validation.js), plus the references
+ * between them: story event ids, event instruments, and index counts and totals.
+ *
+ * Usage: node scripts/lint-data.mjs [dataDir] [--json] [--strict]
+ *   dataDir   Data directory (default: data/ next to this script's parent)
+ *   --json    Print a machine-readable report instead of text
+ *   --strict  Treat warnings as errors
+ *
+ * Exit codes: 0 clean, 1 errors found, 2 the index could not be read.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { importAppModules } from './lib/app-modules.mjs';
+
+/**
+ * Linter configuration
+ */
+const LINT_CONFIG = {
+  DEFAULT_DATA_DIR: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data'),
+  INDEX_FILE: 'events.index.json',
+  STORIES_FILE: 'stories.json',
+  DEFAULT_INSTRUMENTS_FILE: 'instruments.json',
+  DEFAULT_ANOMALY_TYPES_FILE: 'anomaly-types.json'
+};
+
+/**
+ * @typedef {Object} FileReport
+ * @property {string} file - File name relative to the data directory
+ * @property {string} kind - Schema document name ('eventsIndex', 'eventFile', 'stories', ...)
+ * @property {boolean} valid - Whether the file has no errors
+ * @property {import('../js/types.js').ValidationIssue[]} errors - Errors
+ * @property {import('../js/types.js').ValidationIssue[]} warnings - Warnings
+ */
+
+const [
+  { validateDocument, validateEventFile, validateEvents, setReferenceData },
+  { normalizeEvents },
+  { parseSource },
+  { joinPointer, formatIssue }
+] = await importAppModules('validation.js', 'eventSchema.js', 'adapters/index.js', 'utils/jsonSchema.js');
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{dataDir: string, json: boolean, strict: boolean, help: boolean}}
+ */
+function parseArgs(args) {
+  const options = { dataDir: LINT_CONFIG.DEFAULT_DATA_DIR, json: false, strict: false, help: false };
+
+  args.forEach(arg => {
+    if (arg === '--json') options.json = true;
+    else if (arg === '--strict') options.strict = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else options.dataDir = path.resolve(arg);
+  });
+
+  return options;
+}
+
+/**
+ * Create the report entry of a file
+ * @param {string} file - File name
+ * @param {string} kind - Schema document name
+ * @returns {FileReport}
+ */
+function createFileReport(file, kind) {
+  return { file, kind, valid: true, errors: [], warnings: [] };
+}
+
+/**
+ * Add issues to a file report
+ * @param {FileReport} report - File report
+ * @param {import('../js/types.js').ValidationIssue[]} issues - Issues
+ */
+function addIssues(report, issues) {
+  issues.forEach(issue => {
+    (issue.level === 'error' ? report.errors : report.warnings).push(issue);
+  });
+  report.valid = report.errors.length === 0;
+}
+
+/**
+ * Add one cross-reference issue to a file report
+ * @param {FileReport} report - File report
+ * @param {string} pointer - JSON pointer of the reference
+ * @param {string} message - Description
+ * @param {'error'|'warning'} [level='error'] - Issue level
+ */
+function addReferenceIssue(report, pointer, message, level = 'error') {
+  addIssues(report, [{ path: pointer, message, keyword: 'reference', level }]);
+}
+
+/**
+ * Read and parse a JSON file, recording read and syntax errors on the report
+ * @param {string} dataDir - Data directory
+ * @param {FileReport} report - Report of the file
+ * @returns {Promise<Object|null>} Parsed file, or null when unreadable
+ */
+async function readJson(dataDir, report) {
+  const text = await readText(dataDir, report);
+  if (text === null) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    addIssues(report, [{ path: '', message: `Invalid JSON: ${error.message}`, keyword: 'syntax', level: 'error' }]);
+    return null;
+  }
+}
+
+/**
+ * Read a text file, recording read errors on the report
+ * @param {string} dataDir - Data directory
+ * @param {FileReport} report - Report of the file
+ * @returns {Promise<string|null>} File text, or null when unreadable
+ */
+async function readText(dataDir, report) {
+  try {
+    return await readFile(path.join(dataDir, report.file), 'utf8');
+  } catch (error) {
+    const message = error.code === 'ENOENT' ? 'File not found' : `Cannot read file: ${error.message}`;
+    addIssues(report, [{ path: '', message, keyword: 'file', level: 'error' }]);
+    return null;
+  }
+}
+
+/**
+ * Lint one event file listed in the index
+ * @param {string} dataDir - Data directory
+ * @param {Object} entry - Index year entry
+ * @param {number} entryIndex - Position of the entry in the index `years` array
+ * @param {Object} context - Shared lint state
+ * @param {FileReport} context.indexReport - Index report, for count mismatches
+ * @param {Map<string, string>} context.eventFiles - File of every event id seen so far (updated)
+ * @param {Set<string>} context.instrumentIds - Known instrument ids
+ * @returns {Promise<FileReport>}
+ */
+async function lintEventFile(dataDir, entry, entryIndex, context) {
+  const report = createFileReport(entry.file, 'eventFile');
+  const text = await readText(dataDir, report);
+  if (text === null) return report;
+
+  let parsed;
+  try {
+    parsed = parseSource(text, { fileName: entry.file, format: entry.format });
+  } catch (error) {
+    // A broken JSON file fails format detection; the parser's message says where it breaks
+    let message = error.message;
+    if (/\.json$/i.test(entry.file)) {
+      try {
+        JSON.parse(text);
+      } catch (syntaxError) {
+        message = `Invalid JSON: ${syntaxError.message}`;
+      }
+    }
+    addIssues(report, [{ path: '', message, keyword: 'syntax', level: 'error' }]);
+    return report;
+  }
+
+  // Records are checked in their canonical shape, as the app loads them
+  const events = normalizeEvents(parsed.events, parsed.schemaVersion);
+  const isEventFile = parsed.year !== undefined;
+  const eventsPath = isEventFile ? '/events' : '';
+  const validation = isEventFile ?
+    validateEventFile({ schemaVersion: parsed.schemaVersion, year: parsed.year, events }) :
+    validateEvents(events);
+  addIssues(report, validation.issues);
+
+  events.forEach((event, index) => {
+    const eventPath = joinPointer(eventsPath, index);
+    if (!event || typeof event !== 'object') return;
+
+    if (typeof event.instrument === 'string' && !context.instrumentIds.has(event.instrument)) {
+      addReferenceIssue(report, joinPointer(eventPath, 'instrument'),
+        `Unknown instrument: ${event.instrument} (not in instruments.json)`);
+    }
+
+    // Ids must be unique across files too: the app merges every year into one list
+    if (event.id) {
+      const otherFile = context.eventFiles.get(event.id);
+      if (otherFile && otherFile !== entry.file) {
+        addReferenceIssue(report, joinPointer(eventPath, 'id'), `Duplicate event ID: ${event.id} (also in ${otherFile})`);
+      } else {
+        context.eventFiles.set(event.id, entry.file);
+      }
+    }
+  });
+
+  if (typeof entry.count === 'number' && entry.count !== parsed.events.length) {
+    addReferenceIssue(context.indexReport, joinPointer(joinPointer('/years', entryIndex), 'count'),
+      `Count ${entry.count} does not match the ${parsed.events.length} events in ${entry.file}`);
+  }
+
+  report.eventCount = parsed.events.length;
+  return report;
+}
+
+/**
+ * Lint stories.json against the catalogue
+ * @param {string} dataDir - Data directory
+ * @param {Map<string, string>} eventFiles - File of every catalogue event id
+ * @returns {Promise<FileReport>}
+ */
+async function lintStories(dataDir, eventFiles) {
+  const report = createFileReport(LINT_CONFIG.STORIES_FILE, 'stories');
+  const stories = await readJson(dataDir, report);
+  if (!stories) return report;
+
+  addIssues(report, validateDocument('stories', stories).issues);
+
+  Object.entries(stories.stories || {}).forEach(([key, story]) => {
+    const storyPath = joinPointer('/stories', key);
+    if (!story || typeof story !== 'object') return;
+
+    if (story.id !== undefined && story.id !== key) {
+      addReferenceIssue(report, joinPointer(storyPath, 'id'), `Story id ${story.id} does not match its key ${key}`);
+    }
+
+    (Array.isArray(story.steps) ? story.steps : []).forEach((step, index) => {
+      if (step?.eventId && !eventFiles.has(step.eventId)) {
+        addReferenceIssue(report, joinPointer(joinPointer(joinPointer(storyPath, 'steps'), index), 'eventId'),
+          `Unknown event: ${step.eventId} (not in any indexed events file)`);
+      }
+    });
+  });
+
+  const defaultStoryId = stories.config?.defaultStoryId;
+  if (defaultStoryId && !stories.stories?.[defaultStoryId]) {
+    addReferenceIssue(report, '/config/defaultStoryId', `Unknown story: ${defaultStoryId}`);
+  }
+
+  return report;
+}
+
+/**
+ * Check that the reference entries are stored under their own id
+ * @param {FileReport} report - Report of the reference file
+ * @param {Object<string, Object>} entries - Entries by key
+ * @param {string} member - Member holding the entries ('instruments', 'types')
+ */
+function checkEntryIds(report, entries, member) {
+  Object.entries(entries || {}).forEach(([key, entry]) => {
+    if (entry && entry.id !== undefined && entry.id !== key) {
+      addReferenceIssue(report, joinPointer(joinPointer(`/${member}`, key), 'id'), `Id ${entry.id} does not match its key ${key}`);
+    }
+  });
+}
+
+/**
+ * Lint the whole data directory
+ * @param {string} dataDir - Data directory
+ * @returns {Promise<{dataDir: string, files: FileReport[], summary: Object}|null>} Report, or null when the index is unreadable
+ */
+async function lintDataDir(dataDir) {
+  const indexReport = createFileReport(LINT_CONFIG.INDEX_FILE, 'eventsIndex');
+  const index = await readJson(dataDir, indexReport);
+  if (!index) {
+    return { dataDir, files: [indexReport], summary: summarize([indexReport]), fatal: true };
+  }
+  addIssues(indexReport, validateDocument('eventsIndex', index).issues);
+
+  // Reference files first: they supply the known types and severities
+  const instrumentsReport = createFileReport(index.instruments || LINT_CONFIG.DEFAULT_INSTRUMENTS_FILE, 'instruments');
+  const anomalyTypesReport = createFileReport(index.anomalyTypes || LINT_CONFIG.DEFAULT_ANOMALY_TYPES_FILE, 'anomalyTypes');
+  const instruments = await readJson(dataDir, instrumentsReport);
+  const anomalyTypes = await readJson(dataDir, anomalyTypesReport);
+
+  if (anomalyTypes) {
+    // Types first, so instrument capabilities are checked against them
+    setReferenceData({ anomalyTypes });
+    addIssues(anomalyTypesReport, validateDocument('anomalyTypes', anomalyTypes).issues);
+    checkEntryIds(anomalyTypesReport, anomalyTypes.types, 'types');
+  }
+  if (instruments) {
+    addIssues(instrumentsReport, validateDocument('instruments', instruments).issues);
+    checkEntryIds(instrumentsReport, instruments.instruments, 'instruments');
+  }
+
+  // Unresolved instruments are reported as reference errors below, not as schema warnings
+  const context = {
+    indexReport,
+    eventFiles: new Map(),
+    instrumentIds: new Set(Object.keys(instruments?.instruments || {}))
+  };
+
+  const eventReports = [];
+  let total = 0;
+  const entries = Array.isArray(index.years) ? index.years : [];
+  for (const [entryIndex, entry] of entries.entries()) {
+    if (!entry?.file) continue;
+    const report = await lintEventFile(dataDir, entry, entryIndex, context);
+    total += report.eventCount || 0;
+    eventReports.push(report);
+  }
+
+  if (typeof index.total === 'number' && index.total !== total) {
+    addReferenceIssue(indexReport, '/total', `Total ${index.total} does not match the ${total} events in the indexed files`);
+  }
+
+  const files = [
+    indexReport,
+    ...eventReports,
+    instrumentsReport,
+    anomalyTypesReport,
+    await lintStories(dataDir, context.eventFiles)
+  ];
+
+  return { dataDir, files, summary: summarize(files) };
+}
+
+/**
+ * Count files, errors and warnings
+ * @param {FileReport[]} files - File reports
+ * @returns {{files: number, invalidFiles: number, errors: number, warnings: number}}
+ */
+function summarize(files) {
+  return {
+    files: files.length,
+    invalidFiles: files.filter(file => !file.valid).length,
+    errors: files.reduce((sum, file) => sum + file.errors.length, 0),
+    warnings: files.reduce((sum, file) => sum + file.warnings.length, 0)
+  };
+}
+
+/**
+ * Print a report as text
+ * @param {{dataDir: string, files: FileReport[], summary: Object}} report - Lint report
+ */
+function printText(report) {
+  console.log(`🔍 Linting ${report.dataDir}`);
+
+  report.files.forEach(file => {
+    const status = !file.valid ? '❌' : file.warnings.length > 0 ? '🟡' : '✅';
+    console.log(`${status} ${file.file}`);
+    file.errors.forEach(issue => console.log(`   error    ${formatIssue(issue)}`));
+    file.warnings.forEach(issue => console.log(`   warning  ${formatIssue(issue)}`));
+  });
+
+  const { files, errors, warnings } = report.summary;
+  console.log(`\n${errors > 0 ? '❌' : '✅'} ${files} files, ${errors} errors, ${warnings} warnings`);
+}
+
+/**
+ * Run the linter
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log('Usage: node scripts/lint-data.mjs [dataDir] [--json] [--strict]');
+    return 0;
+  }
+
+  const report = await lintDataDir(options.dataDir);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printText(report);
+  }
+
+  if (report.fatal) return 2;
+  const failed = report.summary.errors > 0 || (options.strict && report.summary.warnings > 0);
+  return failed ? 1 : 0;
+}
+
+process.exitCode = await main();
\ No newline at end of file
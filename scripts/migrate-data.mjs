@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Rewrite data files at the schema version the app reads
+ * Applies the migrations the app runs at load time (js/migrations.js) to files on disk, so
+ * older files can be upgraded once instead of on every load.
+ *
+ * Usage: node scripts/migrate-data.mjs [dataDir | file...] [--kind <kind>] [--dry-run] [--check]
+ *   dataDir     Data directory: the index, every JSON file it lists, stories.json and the
+ *               reference files (default: data/ next to this script's parent)
+ *   file        Single files; the kind comes from the file name unless --kind is given
+ *   --kind      Document kind of the files (eventFile, eventsIndex, stories, instruments, anomalyTypes)
+ *   --dry-run   Report what would change without writing
+ *   --check     Like --dry-run, but exit 1 when a file needs migrating
+ *
+ * Exit codes: 0 done, 1 a file failed (or needs migrating with --check), 2 bad arguments.
+ */
+
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { importAppModules } from './lib/app-modules.mjs';
+
+/**
+ * Migration script configuration
+ */
+const MIGRATE_CONFIG = {
+  DEFAULT_DATA_DIR: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data'),
+  INDEX_FILE: 'events.index.json',
+  STORIES_FILE: 'stories.json',
+  DEFAULT_INSTRUMENTS_FILE: 'instruments.json',
+  DEFAULT_ANOMALY_TYPES_FILE: 'anomaly-types.json',
+  // Document kind by file name; any other JSON file is an events file
+  FILE_KINDS: [
+    [/^events\.index\.json$/, 'eventsIndex'],
+    [/^stories\.json$/, 'stories'],
+    [/^instruments\.json$/, 'instruments'],
+    [/^anomaly-types\.json$/, 'anomalyTypes'],
+    [/\.json$/i, 'eventFile']
+  ]
+};
+
+const [{ migrateDocument, getSupportedVersion }] = await importAppModules('migrations.js');
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{paths: string[], kind: (string|null), dryRun: boolean, check: boolean, help: boolean}}
+ */
+function parseArgs(args) {
+  const options = { paths: [], kind: null, dryRun: false, check: false, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--check') options.check = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg === '--kind') options.kind = args[++i];
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else options.paths.push(path.resolve(arg));
+  }
+
+  if (options.kind !== null) {
+    // Throws for kinds without a schema
+    getSupportedVersion(options.kind);
+  }
+
+  return options;
+}
+
+/**
+ * Document kind of a file from its name
+ * @param {string} file - File path
+ * @returns {string|null}
+ */
+function getFileKind(file) {
+  const name = path.basename(file);
+  const match = MIGRATE_CONFIG.FILE_KINDS.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : null;
+}
+
+/**
+ * Files of a data directory, with their kinds
+ * @param {string} dataDir - Data directory
+ * @returns {Promise<{file: string, kind: string}[]>}
+ */
+async function listDataFiles(dataDir) {
+  const indexFile = path.join(dataDir, MIGRATE_CONFIG.INDEX_FILE);
+  const index = JSON.parse(await readFile(indexFile, 'utf8'));
+
+  // Index entries in other formats (CSV, GeoJSON, ...) have no schema version
+  const eventFiles = (Array.isArray(index.years) ? index.years : [])
+    .filter(entry => entry?.file && (!entry.format || entry.format === 'native') && /\.json$/i.test(entry.file))
+    .map(entry => ({ file: path.join(dataDir, entry.file), kind: 'eventFile' }));
+
+  return [
+    { file: indexFile, kind: 'eventsIndex' },
+    ...eventFiles,
+    { file: path.join(dataDir, MIGRATE_CONFIG.STORIES_FILE), kind: 'stories' },
+    { file: path.join(dataDir, index.instruments || MIGRATE_CONFIG.DEFAULT_INSTRUMENTS_FILE), kind: 'instruments' },
+    { file: path.join(dataDir, index.anomalyTypes || MIGRATE_CONFIG.DEFAULT_ANOMALY_TYPES_FILE), kind: 'anomalyTypes' }
+  ];
+}
+
+/**
+ * Migrate one file
+ * @param {{file: string, kind: string}} target - File and document kind
+ * @param {boolean} write - Whether to rewrite the file
+ * @returns {Promise<{file: string, status: 'current'|'migrated'|'failed', message: string}>} Failure messages include the file name
+ */
+async function migrateFile({ file, kind }, write) {
+  const name = path.relative(process.cwd(), file) || file;
+
+  try {
+    const text = await readFile(file, 'utf8');
+    const result = migrateDocument(kind, JSON.parse(text), { label: name });
+
+    if (result.applied.length === 0) {
+      return { file: name, status: 'current', message: `schema version ${result.version}, up to date` };
+    }
+
+    if (write) {
+      // Keep the file's final newline, or its absence
+      const ending = text.endsWith('\n') ? '\n' : '';
+      await writeFile(file, `${JSON.stringify(result.data, null, 2)}${ending}`);
+    }
+
+    const steps = result.applied.map(step => `\n     - ${step}`).join('');
+    const verb = write ? 'migrated' : 'needs migrating';
+    return { file: name, status: 'migrated', message: `${verb} from schema version ${result.fromVersion} to ${result.version}${steps}` };
+
+  } catch (error) {
+    // Migration errors already name the file
+    const message = error.message.includes(name) ? error.message : `${name}: ${error.message}`;
+    return { file: name, status: 'failed', message };
+  }
+}
+
+/**
+ * Run the migrations
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log('Usage: node scripts/migrate-data.mjs [dataDir | file...] [--kind <kind>] [--dry-run] [--check]');
+    return 0;
+  }
+
+  const paths = options.paths.length > 0 ? options.paths : [MIGRATE_CONFIG.DEFAULT_DATA_DIR];
+  const targets = [];
+
+  for (const target of paths) {
+    try {
+      if ((await stat(target)).isDirectory()) {
+        targets.push(...await listDataFiles(target));
+        continue;
+      }
+    } catch (error) {
+      console.error(`❌ ${target}: ${error.message}`);
+      return 2;
+    }
+
+    const kind = options.kind || getFileKind(target);
+    if (!kind) {
+      console.error(`❌ ${target}: unknown document kind, pass --kind`);
+      return 2;
+    }
+    targets.push({ file: target, kind });
+  }
+
+  const write = !options.dryRun && !options.check;
+  const results = [];
+  for (const target of targets) {
+    results.push(await migrateFile(target, write));
+  }
+
+  const icons = { current: '✅', migrated: '⬆️', failed: '❌' };
+  results.forEach(result => {
+    const text = result.status === 'failed' ? result.message : `${result.file}: ${result.message}`;
+    console.log(`${icons[result.status]} ${text}`);
+  });
+
+  const migrated = results.filter(result => result.status === 'migrated').length;
+  const failed = results.filter(result => result.status === 'failed').length;
+  console.log(`\n${results.length} files, ${migrated} ${write ? 'migrated' : 'to migrate'}, ${failed} failed`);
+
+  return failed > 0 || (options.check && migrated > 0) ? 1 : 0;
+}
+
+process.exitCode = await main();
\ No newline at end of file
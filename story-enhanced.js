@@ -8,6 +8,9 @@ import { StoryStateMachine } from './js/storyStateMachine.js';
 import { formatDate } from './js/utils/format.js';
 import { qs, el, on, debounce } from './js/utils/dom.js';
 import { clamp } from './js/utils/math.js';
+import { createEventFilter } from './js/eventFilter.js';
+import { validateDocument, logValidationResult } from './js/validation.js';
+import { migrateDocument } from './js/migrations.js';
 
 /**
  * Enhanced Story Controller
@@ -17,6 +20,7 @@ class EnhancedStoryController {
     this.stateMachine = new StoryStateMachine();
     this.stories = [];
     this.currentStoryIndex = 0;
+    this.activeStory = null; // Unfiltered story, re-filtered when filters change
     this.autoplay = false;
     this.elements = {};
     this.config = {
@@ -66,7 +70,7 @@ class EnhancedStoryController {
       
       // Initialize state machine with first story
       if (this.stories.length > 0) {
-        await this.stateMachine.loadStory(this.stories[0]);
+        await this.loadStory(this.stories[0]);
       }
       
       console.log('Enhanced Story Mode initialized');
@@ -84,7 +88,12 @@ class EnhancedStoryController {
       const response = await fetch('./data/stories.json');
       if (!response.ok) throw new Error('Failed to load stories');
       
-      const data = await response.json();
+      const data = migrateDocument('stories', await response.json(), { label: 'stories.json' }).data;
+      const validation = validateDocument('stories', data);
+      if (!validation.valid) {
+        logValidationResult(validation, 'stories.json');
+        throw new Error(`Invalid stories file: ${validation.errors[0]}`);
+      }
       this.stories = data.stories || [];
       
       console.log(`Loaded ${this.stories.length} stories`);
@@ -99,7 +108,7 @@ class EnhancedStoryController {
    * Generate stories from events (fallback)
    */
   async generateStoriesFromEvents() {
-    const events = store.getState().events.list;
+    const events = store.getState().events || [];
     if (events.length === 0) return [];
 
     // Group events by month for story creation
@@ -116,12 +125,12 @@ class EnhancedStoryController {
         duration: this.config.defaultDuration,
         narration: this.generateNarration(event),
         camera: {
-          center: [event.latitude, event.longitude],
+          center: [event.coordinates.lat, event.coordinates.lng],
           zoom: 8
         },
         filters: {
           instrument: event.instrument,
-          anomaly_type: event.anomaly_type
+          anomaly_type: event.type
         }
       }))
     }));
@@ -132,7 +141,7 @@ class EnhancedStoryController {
    */
   groupEventsByMonth(events) {
     return events.reduce((groups, event) => {
-      const date = new Date(event.date);
+      const date = new Date(event.timestamp);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       
       if (!groups[monthKey]) {
@@ -148,10 +157,11 @@ class EnhancedStoryController {
    * Generate narration for event
    */
   generateNarration(event) {
-    const date = formatDate(new Date(event.date));
-    const location = `${event.latitude.toFixed(2)}, ${event.longitude.toFixed(2)}`;
+    const date = formatDate(new Date(event.timestamp));
+    const { lat, lng } = event.coordinates;
+    const location = event.location.name || `coordinates ${lat.toFixed(2)}, ${lng.toFixed(2)}`;
     
-    return `On ${date}, satellite ${event.instrument} detected a ${event.anomaly_type} anomaly at coordinates ${location}. ${event.description || 'This event represents a significant environmental change worth monitoring.'}`;
+    return `On ${date}, satellite ${event.instrument} detected a ${event.type} anomaly at ${location}. ${event.description || 'This event represents a significant environmental change worth monitoring.'}`;
   }
 
   /**
@@ -300,7 +310,7 @@ class EnhancedStoryController {
     if (!story) return;
 
     try {
-      await this.stateMachine.loadStory(story);
+      await this.loadStory(story);
       this.updateStoryInfo(story);
     } catch (error) {
       console.error('Failed to select story:', error);
@@ -470,16 +480,49 @@ class EnhancedStoryController {
     eventBus.emit('cameraChange', camera);
   }
 
+  /**
+   * Load a story into the state machine, keeping only steps whose events pass the current filters
+   */
+  async loadStory(story) {
+    this.activeStory = story;
+
+    const filteredStory = this.getFilteredStory(story);
+    this.stateMachine.reset();
+
+    if (!filteredStory) {
+      console.warn(`No steps of "${story.title}" match the current filters`);
+      return false;
+    }
+
+    return this.stateMachine.initStory(filteredStory);
+  }
+
+  /**
+   * Get story with steps outside the current filters removed
+   * Steps whose events are not loaded are kept, since they cannot be checked.
+   */
+  getFilteredStory(story) {
+    const state = store.getState();
+    const events = state.events || [];
+    const filterFunction = createEventFilter(state.filters || {});
+    const eventsById = new Map(events.map(event => [event.id, event]));
+
+    const steps = (story.steps || []).filter(step => {
+      const event = eventsById.get(step.eventId);
+      return !event || filterFunction(event);
+    });
+
+    return steps.length > 0 ? { ...story, steps } : null;
+  }
+
   /**
    * Handle filters changed
    */
   async handleFiltersChanged() {
-    const currentState = this.stateMachine.getState();
-    
-    // If story is active, rebuild current story with new filters
-    if (currentState !== 'IDLE' && this.stateMachine.getCurrentStory()) {
+    // If a story is loaded, rebuild it with the new filters
+    if (this.activeStory) {
       try {
-        await this.stateMachine.handleFilterChange();
+        await this.loadStory(this.activeStory);
       } catch (error) {
         console.error('Failed to handle filter change:', error);
       }
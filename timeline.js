@@ -4,9 +4,17 @@
  */
 
 import { store, actions, eventBus } from './js/store.js';
-import { formatDate, getRelativeTime } from './js/utils/format.js';
+import { formatDate, formatDateRange, getRelativeTime } from './js/utils/format.js';
 import { qs, el, on, debounce } from './js/utils/dom.js';
 import { clamp } from './js/utils/math.js';
+import { floorToUnit, addTimeUnits, getUnitLength } from './js/utils/time.js';
+import { createEventFilter } from './js/eventFilter.js';
+import { getEventSpan } from './js/eventSchema.js';
+import { listYears } from './js/yearLoader.js';
+import { isNewSinceLastVisit } from './js/lastVisit.js';
+import { attachTimelineBrush, BRUSH_CONFIG } from './js/timeline/brush.js';
+import { attachHistogram } from './js/timeline/histogram.js';
+import { attachSwimlanes, LANE_GROUPINGS } from './js/timeline/swimlanes.js';
 
 /**
  * Timeline configuration
@@ -29,7 +37,44 @@ const TIMELINE_CONFIG = {
   
   // Animation
   SCROLL_DURATION: 500,
-  TRANSITION_DURATION: 250
+  TRANSITION_DURATION: 250,
+  
+  // Date range brush snap units
+  BRUSH_SNAP_LABELS: {
+    day: 'Day',
+    month: 'Month',
+    year: 'Year'
+  },
+  
+  // Views: the event list, or lanes on a time axis
+  VIEW_MODES: {
+    list: 'List',
+    lanes: 'Lanes'
+  },
+  LANE_DAY_WIDTH: 4, // Pixels per day on the lanes' time axis at 100% zoom
+  
+  // Histogram bin length by zoom level (the first entry the zoom reaches applies)
+  HISTOGRAM_UNITS: [
+    { minZoom: 2, unit: 'day' },
+    { minZoom: 1, unit: 'week' },
+    { minZoom: 0, unit: 'month' }
+  ],
+  
+  // Playback
+  PLAYBACK_STEP_DURATION: 1000, // Time one step (day, week or month) takes at 1x speed, in ms
+  PLAYBACK_SEEK_INTERVAL: 50, // Minimum time between map and item updates while playing, in ms
+  PLAYBACK_STEPS: {
+    day: 'Day',
+    week: 'Week',
+    month: 'Month'
+  },
+  
+  // Year placeholders
+  YEAR_GAP_LABELS: {
+    missing: 'Not loaded',
+    loading: 'Loading…',
+    failed: 'Failed to load'
+  }
 };
 
 /**
@@ -43,13 +88,29 @@ let timelineState = {
   dateRange: { start: null, end: null },
   playbackSpeed: 1.0,
   isPlaying: false,
-  selectedPeriod: 'all',
+  playback: {
+    step: 'week', // Calendar unit per step ('day', 'week' or 'month')
+    loop: false, // Start over at the first event after the last one
+    pauseAtSelection: false, // Pause when the selected event's timestamp is reached
+    lastFrame: null, // Animation frame time of the previous advance
+    lastSeek: 0 // Time of the last map and item update
+  },
   zoom: 1.0,
+  view: 'list', // 'list' or 'lanes'
+  laneGroup: 'type', // Lanes per anomaly type, instrument or region (LANE_GROUPINGS key)
   
   // Virtualization state
   events: [],
   filteredEvents: [],
   visibleEvents: [],
+  slots: [], // Rendered positions: filtered events plus one placeholder per year not loaded
+  
+  // Year loading state
+  years: [],
+  brushExtent: null, // Whole years the date range brush covers
+  yearBands: [],
+  reportedRange: null,
+  pendingScroll: null,
   scrollPosition: 0,
   viewportWidth: 0,
   totalWidth: 0,
@@ -72,14 +133,36 @@ let timelineElements = {
   viewport: null,
   scrollContainer: null,
   itemsContainer: null,
+  yearBands: null,
   controls: null,
   
   // Controls
   playButton: null,
+  stopButton: null,
+  stepBackButton: null,
+  stepForwardButton: null,
   dateDisplay: null,
   speedControl: null,
-  periodSelector: null,
+  stepControl: null,
+  loopToggle: null,
+  pauseAtSelectionToggle: null,
   zoomControls: null,
+  viewControl: null,
+  laneGroupControl: null,
+  
+  // Swimlanes (alternate view)
+  lanesRoot: null,
+  lanes: null,
+  
+  // Date range brush (writes the filter dateRange)
+  brushTrack: null,
+  brushSnap: null,
+  brushClear: null,
+  brush: null,
+  
+  // Event count histogram
+  histogramCanvas: null,
+  histogram: null,
   
   // Hover popup
   hoverPopup: null,
@@ -131,6 +214,9 @@ export function initTimeline() {
       updateTimelineFromState(state);
     });
     
+    // Years loaded so far (lazy year loading)
+    timelineState.years = listYears();
+    
     // Initialize from current state
     const currentState = store.getState();
     if (currentState.events?.length > 0) {
@@ -167,6 +253,36 @@ function buildTimelineUI() {
             <option value=\"4\">4x</option>
           </select>
         </div>
+        <div class=\"timeline-playback\">
+          <button class=\"timeline-btn timeline-step-back\" aria-label=\"Step back\">⏮</button>
+          <button class=\"timeline-btn timeline-step-forward\" aria-label=\"Step forward\">⏭</button>
+          <button class=\"timeline-btn timeline-stop\" aria-label=\"Stop playback and show all events\">⏹</button>
+          <label for=\"timeline-step-select\">Step:</label>
+          <select id=\"timeline-step-select\" class=\"timeline-step-select\">
+            ${Object.entries(TIMELINE_CONFIG.PLAYBACK_STEPS).map(([step, label]) => `
+              <option value=\"${step}\"${step === timelineState.playback.step ? ' selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <label class=\"timeline-toggle\">
+            <input type=\"checkbox\" class=\"timeline-loop-toggle\"> Loop
+          </label>
+          <label class=\"timeline-toggle\">
+            <input type=\"checkbox\" class=\"timeline-pause-toggle\"> Pause at selection
+          </label>
+        </div>
+        <div class=\"timeline-view\">
+          <label for=\"timeline-view-select\">View:</label>
+          <select id=\"timeline-view-select\" class=\"timeline-view-select\">
+            ${Object.entries(TIMELINE_CONFIG.VIEW_MODES).map(([view, label]) => `
+              <option value=\"${view}\"${view === timelineState.view ? ' selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <select class=\"timeline-lane-select\" aria-label=\"Lanes by\" hidden>
+            ${Object.entries(LANE_GROUPINGS).map(([group, { label }]) => `
+              <option value=\"${group}\"${group === timelineState.laneGroup ? ' selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
         <div class=\"timeline-zoom\">
           <button class=\"timeline-zoom-out\" aria-label=\"Zoom out\">−</button>
           <span class=\"timeline-zoom-level\">100%</span>
@@ -179,14 +295,32 @@ function buildTimelineUI() {
       </div>
     </div>
     
+    <div class=\"timeline-brush\">
+      <span class=\"timeline-brush__title\">Dates:</span>
+      <div class=\"timeline-brush__track\" title=\"Drag to select dates; drag the selection to move it, its edges to resize it; double-click to clear\"></div>
+      <select class=\"timeline-brush__snap\" aria-label=\"Snap selection to\">
+        ${BRUSH_CONFIG.SNAP_UNITS.map(unit => `
+          <option value=\"${unit}\"${unit === BRUSH_CONFIG.DEFAULT_SNAP ? ' selected' : ''}>${TIMELINE_CONFIG.BRUSH_SNAP_LABELS[unit]}</option>
+        `).join('')}
+      </select>
+      <button class=\"timeline-btn timeline-brush__clear\" aria-label=\"Clear date range\">✕</button>
+    </div>
+    
+    <div class=\"timeline-histogram\">
+      <canvas class=\"timeline-histogram__canvas\" role=\"img\" aria-label=\"No events\"></canvas>
+    </div>
+    
     <div class=\"timeline-viewport\" role=\"region\" aria-label=\"Timeline events\">
       <div class=\"timeline-scroll-container\">
+        <div class=\"timeline-year-bands\" aria-hidden=\"true\"></div>
         <div class=\"timeline-items-container\">
           <!-- Timeline items will be rendered here -->
         </div>
       </div>
     </div>
     
+    <div class=\"timeline-lanes\" role=\"region\" aria-label=\"Timeline lanes\" hidden></div>
+    
     <div class=\"timeline-hover-popup\" style=\"display: none;\">
       <div class=\"popup-content\">
         <div class=\"popup-title\"></div>
@@ -200,16 +334,56 @@ function buildTimelineUI() {
   timelineElements.viewport = qs('.timeline-viewport', container);
   timelineElements.scrollContainer = qs('.timeline-scroll-container', container);
   timelineElements.itemsContainer = qs('.timeline-items-container', container);
+  timelineElements.yearBands = qs('.timeline-year-bands', container);
   timelineElements.playButton = qs('.timeline-play', container);
+  timelineElements.stopButton = qs('.timeline-stop', container);
+  timelineElements.stepBackButton = qs('.timeline-step-back', container);
+  timelineElements.stepForwardButton = qs('.timeline-step-forward', container);
   timelineElements.dateDisplay = qs('.timeline-date-display', container);
   timelineElements.speedControl = qs('.timeline-speed-select', container);
+  timelineElements.stepControl = qs('.timeline-step-select', container);
+  timelineElements.loopToggle = qs('.timeline-loop-toggle', container);
+  timelineElements.pauseAtSelectionToggle = qs('.timeline-pause-toggle', container);
   timelineElements.zoomControls = {
     zoomIn: qs('.timeline-zoom-in', container),
     zoomOut: qs('.timeline-zoom-out', container),
     level: qs('.timeline-zoom-level', container)
   };
+  timelineElements.viewControl = qs('.timeline-view-select', container);
+  timelineElements.laneGroupControl = qs('.timeline-lane-select', container);
+  timelineElements.lanesRoot = qs('.timeline-lanes', container);
   timelineElements.hoverPopup = qs('.timeline-hover-popup', container);
   timelineElements.eventCount = qs('.timeline-event-count', container);
+  timelineElements.brushTrack = qs('.timeline-brush__track', container);
+  timelineElements.brushSnap = qs('.timeline-brush__snap', container);
+  timelineElements.brushClear = qs('.timeline-brush__clear', container);
+  timelineElements.histogramCanvas = qs('.timeline-histogram__canvas', container);
+  
+  // Brushed windows go to the filters; the brush is redrawn from the filter state
+  timelineElements.brush = attachTimelineBrush(timelineElements.brushTrack, {
+    onChange: (range) => {
+      // Filter ranges include their end; the brush window's end is exclusive
+      eventBus.emit('dateRangeSelected', range && {
+        start: range.start,
+        end: new Date(range.end.getTime() - 1)
+      });
+    }
+  });
+  
+  // Clicking a bar brings its first event into view
+  timelineElements.histogram = attachHistogram(timelineElements.histogramCanvas, {
+    onSelect: (bin) => jumpToDate(bin.start)
+  });
+  
+  timelineElements.lanes = attachSwimlanes(timelineElements.lanesRoot, {
+    onSelect: (event) => {
+      actions.selectEvent(event);
+      setActiveEvent(event.id);
+    },
+    onRangeChange: (range) => {
+      if (timelineState.view === 'lanes') reportRange(range);
+    }
+  });
 }
 
 /**
@@ -225,6 +399,38 @@ function setupTimelineEvents() {
     updateSpeedDisplay();
   });
   
+  // Playback options
+  on(timelineElements.stopButton, 'click', stopPlayback);
+  on(timelineElements.stepBackButton, 'click', () => stepPlayback(-1));
+  on(timelineElements.stepForwardButton, 'click', () => stepPlayback(1));
+  on(timelineElements.stepControl, 'change', (event) => {
+    timelineState.playback.step = event.target.value;
+    updateSpeedDisplay();
+  });
+  on(timelineElements.loopToggle, 'change', (event) => {
+    timelineState.playback.loop = event.target.checked;
+  });
+  on(timelineElements.pauseAtSelectionToggle, 'change', (event) => {
+    timelineState.playback.pauseAtSelection = event.target.checked;
+  });
+  
+  // Date range brush
+  on(timelineElements.brushSnap, 'change', (event) => {
+    timelineElements.brush.setSnap(event.target.value);
+  });
+  on(timelineElements.brushClear, 'click', () => {
+    timelineElements.brush.clear();
+  });
+  
+  // View mode
+  on(timelineElements.viewControl, 'change', (event) => {
+    setViewMode(event.target.value);
+  });
+  on(timelineElements.laneGroupControl, 'change', (event) => {
+    timelineState.laneGroup = event.target.value;
+    updateLanes();
+  });
+  
   // Zoom controls
   on(timelineElements.zoomControls.zoomIn, 'click', () => zoomTimeline(1.2));
   on(timelineElements.zoomControls.zoomOut, 'click', () => zoomTimeline(0.8));
@@ -240,7 +446,23 @@ function setupTimelineEvents() {
     loadEvents(events);
   });
   
-  eventBus.on('filtersChanged', debouncedFilter);
+  eventBus.on('eventsBatchLoaded', ({ events }) => {
+    loadEvents(events);
+  });
+  
+  eventBus.on('filtersChanged', (filters) => {
+    updateBrushRange(filters);
+    debouncedFilter();
+  });
+  
+  eventBus.on('yearsChanged', (years) => {
+    timelineState.years = years;
+    updateBrushExtent();
+    buildSlots();
+    updateViewportSize();
+    renderTimeline();
+    updateLanes();
+  });
   
   eventBus.on('eventSelected', (event) => {
     setActiveEvent(event.id);
@@ -251,6 +473,10 @@ function setupTimelineEvents() {
     setActiveEvent(event.id);
     scrollActiveIntoView(true);
   });
+  
+  eventBus.on('newEventsChanged', () => {
+    renderTimeline();
+  });
 }
 
 /**
@@ -284,32 +510,22 @@ function setupIntersectionObserver() {
  */
 function loadEvents(events) {
   timelineState.events = events;
-  timelineState.filteredEvents = [...events];
   
-  // Sort events by date
-  timelineState.filteredEvents.sort((a, b) => 
-    new Date(a.timestamp) - new Date(b.timestamp)
-  );
-  
-  // Calculate date range
-  if (timelineState.filteredEvents.length > 0) {
-    timelineState.dateRange.start = new Date(timelineState.filteredEvents[0].timestamp);
-    timelineState.dateRange.end = new Date(timelineState.filteredEvents[timelineState.filteredEvents.length - 1].timestamp);
-  }
-  
-  // Check if virtualization is needed
-  timelineState.isVirtualized = timelineState.filteredEvents.length > TIMELINE_CONFIG.VIRTUAL_THRESHOLD;
+  // Lay out the events that pass the current filters
+  applyFilters();
   
   console.log(`📈 Timeline loaded: ${events.length} events, virtualization: ${timelineState.isVirtualized ? 'ON' : 'OFF'}`);
-  
-  // Update viewport size
-  updateViewportSize();
-  
-  // Render timeline
-  renderTimeline();
-  
-  // Update info display
-  updateTimelineInfo();
+}
+
+/**
+ * Check whether a store event list holds the events already loaded, in the same order
+ * Store updates hand out fresh copies, so the list is compared by id rather than by reference.
+ * @param {Object[]} events - Store events
+ * @returns {boolean}
+ */
+function isLoadedEventList(events) {
+  const loaded = timelineState.events;
+  return events.length === loaded.length && events.every((event, index) => event.id === loaded[index].id);
 }
 
 /**
@@ -317,45 +533,47 @@ function loadEvents(events) {
  */
 function applyFilters() {
   const state = store.getState();
-  const { typeFilter, severityFilter, dateFilter } = state.filters || {};
   
-  timelineState.filteredEvents = timelineState.events.filter(event => {
-    // Type filter
-    if (typeFilter && typeFilter !== 'all' && event.type !== typeFilter) {
-      return false;
-    }
-    
-    // Severity filter
-    if (severityFilter && severityFilter !== 'all' && event.severity !== severityFilter) {
-      return false;
-    }
-    
-    // Date filter
-    if (dateFilter) {
-      const eventDate = new Date(event.timestamp);
-      if (dateFilter.start && eventDate < dateFilter.start) return false;
-      if (dateFilter.end && eventDate > dateFilter.end) return false;
-    }
-    
-    return true;
-  });
+  // Same predicate as the filters panel and map, including the drawn area
+  timelineState.filteredEvents = timelineState.events.filter(createEventFilter(state.filters || {}));
   
   // Re-sort filtered events
   timelineState.filteredEvents.sort((a, b) => 
     new Date(a.timestamp) - new Date(b.timestamp)
   );
+  updateDateRange();
   
-  // Update virtualization status
-  timelineState.isVirtualized = timelineState.filteredEvents.length > TIMELINE_CONFIG.VIRTUAL_THRESHOLD;
+  // Update layout and virtualization status
+  buildSlots();
+  updateBrushExtent();
   
   // Update viewport and render
   updateViewportSize();
   renderTimeline();
+  updateHistogram();
+  updateLanes();
   updateTimelineInfo();
   
   console.log(`📈 Timeline filtered: ${timelineState.filteredEvents.length} events visible`);
 }
 
+/**
+ * Time covered by the filtered events, including the spans of lasting events
+ */
+function updateDateRange() {
+  let start = Infinity;
+  let end = -Infinity;
+  timelineState.filteredEvents.forEach(event => {
+    const span = getEventSpan(event);
+    if (span.start < start) start = span.start;
+    if (span.end > end) end = span.end;
+  });
+  
+  const hasRange = start <= end;
+  timelineState.dateRange.start = hasRange ? new Date(start) : null;
+  timelineState.dateRange.end = hasRange ? new Date(end) : null;
+}
+
 /**
  * Update viewport size calculations
  */
@@ -363,19 +581,229 @@ function updateViewportSize() {
   if (!timelineElements.viewport) return;
   
   timelineState.viewportWidth = timelineElements.viewport.clientWidth;
-  timelineState.totalWidth = timelineState.filteredEvents.length * TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
+  timelineState.totalWidth = timelineState.slots.length * TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
   
-  // Update scroll container width
-  timelineElements.scrollContainer.style.width = `${timelineState.totalWidth}px`;
+  // Update scrollable content width
+  timelineElements.itemsContainer.style.width = `${timelineState.totalWidth}px`;
+}
+
+/**
+ * Lay out the filtered events by year, with a placeholder for each catalogue year that is not loaded
+ * Keeps the item at the left edge in place when slots are added or removed before it.
+ */
+function buildSlots() {
+  const itemWidth = TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
+  const anchorIndex = Math.floor(timelineState.scrollPosition / itemWidth);
+  const anchor = timelineState.slots[anchorIndex];
+  const hadEvents = timelineState.slots.some(slot => slot.event);
+  
+  const statusByYear = new Map(timelineState.years.map(entry => [entry.year, entry.status]));
+  const eventYears = timelineState.filteredEvents.map(event => new Date(event.timestamp).getUTCFullYear());
+  const allYears = Array.from(new Set([...statusByYear.keys(), ...eventYears])).sort((a, b) => a - b);
+  
+  // Placeholders outside the date filter would load years the filter hides anyway
+  const { dateRange } = store.getState().filters || {};
+  const rangeStart = dateRange?.start ? new Date(dateRange.start).getTime() : -Infinity;
+  const rangeEnd = dateRange?.end ? new Date(dateRange.end).getTime() : Infinity;
+  
+  const slots = [];
+  const bands = [];
+  let eventIndex = 0;
+  
+  allYears.forEach(year => {
+    const status = statusByYear.get(year) || 'loaded';
+    const start = slots.length;
+    
+    while (eventIndex < eventYears.length && eventYears[eventIndex] === year) {
+      slots.push({ event: timelineState.filteredEvents[eventIndex], year });
+      eventIndex++;
+    }
+    
+    if (status !== 'loaded' && rangeStart < Date.UTC(year + 1, 0, 1) && rangeEnd >= Date.UTC(year, 0, 1)) {
+      slots.push({ year, status });
+    }
+    
+    if (slots.length > start) {
+      bands.push({ year, status, start, count: slots.length - start });
+    }
+  });
+  
+  timelineState.slots = slots;
+  timelineState.yearBands = bands;
+  timelineState.isVirtualized = slots.length > TIMELINE_CONFIG.VIRTUAL_THRESHOLD;
+  
+  if (!hadEvents) {
+    // First events: start at the loaded years rather than the placeholders before them
+    const firstEvent = slots.findIndex(slot => slot.event);
+    if (firstEvent > 0) {
+      timelineState.pendingScroll = firstEvent * itemWidth;
+    }
+  } else if (anchor) {
+    // Keep the anchor item where it was
+    const anchorKey = getSlotKey(anchor);
+    const newIndex = slots.findIndex(slot => getSlotKey(slot) === anchorKey);
+    if (newIndex >= 0 && newIndex !== anchorIndex) {
+      timelineState.pendingScroll = timelineState.scrollPosition + (newIndex - anchorIndex) * itemWidth;
+    }
+  }
+}
+
+/**
+ * Span the brush track covers: whole years, from the first catalogue or filtered event year to the last
+ */
+function updateBrushExtent() {
+  const years = new Set(timelineState.years.map(entry => entry.year));
+  timelineState.filteredEvents.forEach(event => {
+    const year = new Date(event.timestamp).getUTCFullYear();
+    if (!Number.isNaN(year)) years.add(year);
+  });
+  if (years.size === 0) return;
+  
+  const sorted = Array.from(years).sort((a, b) => a - b);
+  timelineState.brushExtent = {
+    start: new Date(Date.UTC(sorted[0], 0, 1)),
+    end: new Date(Date.UTC(sorted[sorted.length - 1] + 1, 0, 1))
+  };
+  timelineElements.brush.setExtent(timelineState.brushExtent);
+  updateBrushRange(store.getState().filters);
+}
+
+/**
+ * Show the filter date range on the brush
+ * @param {import('./js/types.js').FilterState} [filters] - Filter state
+ */
+function updateBrushRange(filters) {
+  const { start, end } = filters?.dateRange || {};
+  const extent = timelineState.brushExtent;
+  if ((!start && !end) || !extent) {
+    timelineElements.brush.setRange(null);
+    return;
+  }
+  
+  // Open ends reach the edge of the track; the filter end is inclusive, the window end is not
+  timelineElements.brush.setRange({
+    start: start ? new Date(start) : extent.start,
+    end: end ? new Date(new Date(end).getTime() + 1) : extent.end
+  });
+}
+
+/**
+ * Histogram bin length for the current zoom: months zoomed out, days zoomed in
+ * @returns {'day'|'week'|'month'}
+ */
+function getHistogramUnit() {
+  const level = TIMELINE_CONFIG.HISTOGRAM_UNITS.find(entry => timelineState.zoom >= entry.minZoom);
+  return level ? level.unit : 'month';
+}
+
+/**
+ * Count the filtered events in the histogram strip
+ */
+function updateHistogram() {
+  timelineElements.histogram.setEvents(timelineState.filteredEvents, getHistogramUnit());
+}
+
+/**
+ * Switch between the event list and the swimlanes
+ * @param {'list'|'lanes'} view - View mode
+ */
+function setViewMode(view) {
+  const isLanes = view === 'lanes';
+  timelineState.view = isLanes ? 'lanes' : 'list';
+  timelineElements.viewControl.value = timelineState.view;
+  timelineElements.viewport.hidden = isLanes;
+  timelineElements.lanesRoot.hidden = !isLanes;
+  timelineElements.laneGroupControl.hidden = !isLanes;
+  timelineState.reportedRange = null;
+  
+  if (isLanes) {
+    updateLanes();
+    const first = timelineState.filteredEvents[0];
+    if (timelineState.activeEventId) {
+      timelineElements.lanes.scrollToEvent(timelineState.activeEventId);
+    } else if (first) {
+      timelineElements.lanes.scrollToDate(first.timestamp);
+    }
+  } else {
+    updateViewportSize();
+    renderTimeline();
+    scrollActiveIntoView(true);
+  }
+}
+
+/**
+ * Lay out the filtered events in the swimlanes (when they are shown)
+ */
+function updateLanes() {
+  if (timelineState.view !== 'lanes' || !timelineState.brushExtent) return;
+  
+  // The axis spans the brush's whole years, so not-loaded years can be scrolled to
+  timelineElements.lanes.setEvents(timelineState.filteredEvents, {
+    groupBy: timelineState.laneGroup,
+    extent: timelineState.brushExtent,
+    pixelsPerDay: TIMELINE_CONFIG.LANE_DAY_WIDTH * timelineState.zoom
+  });
+}
+
+/**
+ * Identity of a slot across layouts
+ * @param {{event?: Object, year: number}} slot - Timeline slot
+ * @returns {string}
+ */
+function getSlotKey(slot) {
+  return slot.event ? slot.event.id : `year:${slot.year}`;
+}
+
+/**
+ * Date a slot stands for
+ * @param {{event?: Object, year: number}} slot - Timeline slot
+ * @param {boolean} atEnd - For a placeholder, the end of its year instead of the start
+ * @returns {string} ISO timestamp
+ */
+function getSlotDate(slot, atEnd) {
+  if (slot.event) return slot.event.timestamp;
+  return new Date(atEnd ? Date.UTC(slot.year + 1, 0, 1) - 1 : Date.UTC(slot.year, 0, 1)).toISOString();
+}
+
+/**
+ * Report the dates in the viewport so the years it reaches get loaded
+ */
+function reportVisibleRange() {
+  const slots = timelineState.slots;
+  // The lanes report their own range
+  if (timelineState.view !== 'list' || slots.length === 0) return;
+  
+  const itemWidth = TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
+  const first = clamp(Math.floor(timelineState.scrollPosition / itemWidth), 0, slots.length - 1);
+  const last = clamp(Math.ceil((timelineState.scrollPosition + timelineState.viewportWidth) / itemWidth) - 1, first, slots.length - 1);
+  
+  const range = {
+    start: getSlotDate(slots[first], false),
+    end: getSlotDate(slots[last], true)
+  };
+  reportRange(range);
+}
+
+/**
+ * Announce the dates in view, unless they are the ones announced last
+ * @param {{start: string, end: string}} range - ISO start and end
+ */
+function reportRange(range) {
+  const reported = timelineState.reportedRange;
+  if (reported && reported.start === range.start && reported.end === range.end) return;
+  
+  timelineState.reportedRange = range;
+  eventBus.emit('timelineRangeChanged', range);
 }
 
 /**
  * Handle scroll events with virtualization
  */
 function handleScroll() {
-  if (!timelineState.isVirtualized) return;
-  
   timelineState.scrollPosition = timelineElements.scrollContainer.scrollLeft;
+  reportVisibleRange();
+  
+  if (!timelineState.isVirtualized) return;
   
   // Calculate visible range
   calculateVisibleRange();
@@ -395,26 +823,83 @@ function calculateVisibleRange() {
     Math.floor(timelineState.scrollPosition / itemWidth) - bufferSize
   );
   
-  const endIndex = Math.min(timelineState.filteredEvents.length - 1,
+  const endIndex = Math.min(timelineState.slots.length - 1,
     Math.ceil((timelineState.scrollPosition + timelineState.viewportWidth) / itemWidth) + bufferSize
   );
   
   timelineState.renderStartIndex = startIndex;
   timelineState.renderEndIndex = endIndex;
   
-  timelineState.visibleEvents = timelineState.filteredEvents.slice(startIndex, endIndex + 1);
+  timelineState.visibleEvents = timelineState.slots
+    .slice(startIndex, endIndex + 1)
+    .filter(slot => slot.event)
+    .map(slot => slot.event);
 }
 
 /**
  * Render timeline items (with virtualization support)
  */
 function renderTimeline() {
+  // Apply a scroll position kept across a layout change before picking visible items
+  if (timelineState.pendingScroll !== null) {
+    timelineElements.scrollContainer.scrollLeft = timelineState.pendingScroll;
+    timelineState.scrollPosition = timelineElements.scrollContainer.scrollLeft;
+    timelineState.pendingScroll = null;
+  }
+  
   if (timelineState.isVirtualized) {
     calculateVisibleRange();
     renderVisibleItems();
   } else {
     renderAllItems();
   }
+  
+  renderYearBands();
+  reportVisibleRange();
+}
+
+/**
+ * Render the shaded year regions behind the items
+ */
+function renderYearBands() {
+  const container = timelineElements.yearBands;
+  if (!container) return;
+  
+  const itemWidth = TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
+  container.innerHTML = '';
+  
+  timelineState.yearBands.forEach((band, index) => {
+    const alternate = index % 2 === 1 ? ' timeline-year-band--alt' : '';
+    container.appendChild(el('div', {
+      className: `timeline-year-band timeline-year-band--${band.status}${alternate}`,
+      style: `left: ${band.start * itemWidth}px; width: ${band.count * itemWidth}px;`
+    }, el('span', { className: 'timeline-year-band-label' }, String(band.year))));
+  });
+}
+
+/**
+ * Create the placeholder of a year that is not loaded
+ * @param {{year: number, status: string}} slot - Placeholder slot
+ * @param {number} index - Slot index
+ * @returns {HTMLElement} Placeholder element
+ */
+function createYearGap(slot, index) {
+  return el('div', {
+    className: `timeline-year-gap timeline-year-gap--${slot.status}`,
+    'data-index': index,
+    'data-year': slot.year,
+    style: `width: ${TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom}px;`
+  }, `${slot.year}: ${TIMELINE_CONFIG.YEAR_GAP_LABELS[slot.status] || slot.status}`);
+}
+
+/**
+ * Create the element of a slot
+ * @param {{event?: Object, year: number, status?: string}} slot - Timeline slot
+ * @param {number} index - Slot index
+ * @returns {HTMLElement}
+ */
+function createSlotElement(slot, index) {
+  return slot.event ? createTimelineItem(slot.event, index) : createYearGap(slot, index);
 }
 
 /**
@@ -424,8 +909,8 @@ function renderAllItems() {
   const container = timelineElements.itemsContainer;
   container.innerHTML = '';
   
-  timelineState.filteredEvents.forEach((event, index) => {
-    const item = createTimelineItem(event, index);
+  timelineState.slots.forEach((slot, index) => {
+    const item = createSlotElement(slot, index);
     container.appendChild(item);
     
     // Add to intersection observer
@@ -452,14 +937,14 @@ function renderVisibleItems() {
   }
   
   // Render visible items
-  timelineState.visibleEvents.forEach((event, visibleIndex) => {
+  timelineState.slots.slice(timelineState.renderStartIndex, timelineState.renderEndIndex + 1).forEach((slot, visibleIndex) => {
     const actualIndex = timelineState.renderStartIndex + visibleIndex;
-    const item = createTimelineItem(event, actualIndex);
+    const item = createSlotElement(slot, actualIndex);
     container.appendChild(item);
   });
   
   // Create spacer for items after visible range
-  const remainingItems = timelineState.filteredEvents.length - timelineState.renderEndIndex - 1;
+  const remainingItems = timelineState.slots.length - timelineState.renderEndIndex - 1;
   if (remainingItems > 0) {
     const spacerAfter = el('div', {
       className: 'timeline-spacer',
@@ -488,14 +973,38 @@ function createTimelineItem(event, index) {
     item.classList.add('is-active');
   }
   
-  item.innerHTML = `
-    <div class=\"timeline-item-content\">
-      <div class=\"timeline-item-date\">${formatDate(event.timestamp, 'short')}</div>
-      <div class=\"timeline-item-title\">${event.title}</div>
-      <div class=\"timeline-item-type\" data-type=\"${event.type}\">${event.type}</div>
-      <div class=\"timeline-item-severity timeline-item-severity--${event.severity}\"></div>
-    </div>
-  `;
+  if (isUpcoming(event)) {
+    item.classList.add('is-upcoming');
+  }
+  
+  if (isOngoing(event)) {
+    item.classList.add('is-ongoing');
+  }
+  
+  // Lasting events show their span as a bar
+  const span = getEventSpan(event);
+  const hasSpan = span.end > span.start;
+  if (hasSpan) {
+    item.classList.add('has-span');
+  }
+  
+  const isNew = isNewSinceLastVisit(event.id);
+  if (isNew) {
+    item.classList.add('is-new');
+  }
+  
+  // Built from nodes: titles and types may come from imported files
+  const spanLength = hasSpan ? describeSpanLength(span.end - span.start) : '';
+  const content = el('div', { className: 'timeline-item-content' }, [
+    isNew ? el('div', { className: 'timeline-item-badge', title: 'New since your last visit' }, 'New') : null,
+    el('div', { className: 'timeline-item-date' },
+      hasSpan ? formatDateRange(new Date(span.start), new Date(span.end)) : formatDate(event.timestamp, 'short')),
+    hasSpan ? el('div', { className: 'timeline-item-span', title: `Lasts ${spanLength}` }, spanLength) : null,
+    el('div', { className: 'timeline-item-title' }, String(event.title ?? '')),
+    el('div', { className: 'timeline-item-type', 'data-type': event.type }, String(event.type ?? '')),
+    el('div', { className: `timeline-item-severity timeline-item-severity--${event.severity}` })
+  ]);
+  item.appendChild(content);
   
   // Event listeners
   on(item, 'click', () => {
@@ -519,6 +1028,17 @@ function createTimelineItem(event, index) {
   return item;
 }
 
+/**
+ * Length of an event span in days or weeks
+ * @param {number} length - Span length (ms)
+ * @returns {string}
+ */
+function describeSpanLength(length) {
+  const days = Math.max(1, Math.round(length / (24 * 60 * 60 * 1000)));
+  if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+  return `${Math.round(days / 7)} weeks`;
+}
+
 /**
  * Set active event with visual feedback
  * @param {string} eventId - Event ID to activate
@@ -532,6 +1052,7 @@ function setActiveEvent(eventId) {
   
   // Set new active state
   timelineState.activeEventId = eventId;
+  timelineElements.lanes.setActive(eventId);
   const newActive = qs(`[data-event-id=\"${eventId}\"]`, timelineElements.container);
   if (newActive) {
     newActive.classList.add('is-active');
@@ -551,6 +1072,11 @@ function setActiveEvent(eventId) {
 export function scrollActiveIntoView(center = true) {
   if (!timelineState.activeEventId) return;
   
+  if (timelineState.view === 'lanes') {
+    timelineElements.lanes.scrollToEvent(timelineState.activeEventId);
+    return;
+  }
+  
   const activeItem = qs(`[data-event-id=\"${timelineState.activeEventId}\"]`, timelineElements.container);
   if (!activeItem) return;
   
@@ -623,6 +1149,30 @@ function smoothScrollTo(targetPosition) {
   scrollAnimationId = requestAnimationFrame(animate);
 }
 
+/**
+ * Scroll the list to the first filtered event at or after a date
+ * @param {Date} date - Date to jump to
+ */
+function jumpToDate(date) {
+  if (timelineState.view === 'lanes') {
+    timelineElements.lanes.scrollToDate(date);
+    return;
+  }
+  
+  // Slots are in time order
+  const index = timelineState.slots.findIndex(slot => slot.event && new Date(slot.event.timestamp) >= date);
+  if (index < 0) return;
+  
+  const itemWidth = TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
+  const targetScrollPosition = clamp(index * itemWidth, 0, Math.max(0, timelineState.totalWidth - timelineState.viewportWidth));
+  
+  if (TIMELINE_CONFIG.SMOOTH_SCROLL) {
+    smoothScrollTo(targetScrollPosition);
+  } else {
+    timelineElements.scrollContainer.scrollLeft = targetScrollPosition;
+  }
+}
+
 /**
  * Show hover popup with lazy positioning
  * @param {Object} event - Event data
@@ -635,7 +1185,10 @@ function showHoverPopup(event, target) {
   
   // Update popup content
   qs('.popup-title', popup).textContent = event.title;
-  qs('.popup-date', popup).textContent = formatDate(event.timestamp, 'full');
+  const span = getEventSpan(event);
+  qs('.popup-date', popup).textContent = span.end > span.start ?
+    `${formatDateRange(new Date(span.start), new Date(span.end))} (${describeSpanLength(span.end - span.start)})` :
+    formatDate(event.timestamp, 'full');
   qs('.popup-type', popup).textContent = `${event.type} • ${event.severity}`;
   
   // Position popup
@@ -671,6 +1224,8 @@ function hideHoverPopup() {
 function handleResize() {
   updateViewportSize();
   renderTimeline();
+  timelineElements.histogram.redraw();
+  timelineElements.lanes.refresh();
 }
 
 /**
@@ -686,16 +1241,233 @@ function togglePlayback() {
 
 /**
  * Start timeline playback
+ * Advances `currentDate` through the filtered events' range, one step (day, week or month) per
+ * PLAYBACK_STEP_DURATION at 1x speed, and lets the map show the events that have happened by then.
  */
 function startPlayback() {
+  const range = getPlaybackRange();
+  if (!range) {
+    console.warn('📈 No events to play');
+    return;
+  }
+  
+  // Start over after the end, or at the beginning the first time
+  if (!timelineState.currentDate || timelineState.currentDate >= range.end) {
+    setCurrentDate(range.start, true);
+  }
+  
   timelineState.isPlaying = true;
+  timelineState.playback.lastFrame = null;
   timelineElements.playButton.innerHTML = '<span class=\"icon\">⏸</span>';
   timelineElements.playButton.setAttribute('aria-label', 'Pause timeline');
   
-  // TODO: Implement playback logic
+  animationFrameId = requestAnimationFrame(advancePlayback);
   console.log('📈 Timeline playback started');
 }
 
+/**
+ * Advance playback by the time since the previous frame
+ * @param {number} now - Animation frame time
+ */
+function advancePlayback(now) {
+  animationFrameId = null;
+  if (!timelineState.isPlaying) return;
+  
+  const range = getPlaybackRange();
+  if (!range) {
+    pausePlayback();
+    return;
+  }
+  
+  const { playback } = timelineState;
+  const elapsed = playback.lastFrame === null ? 0 : now - playback.lastFrame;
+  playback.lastFrame = now;
+  
+  // Looping: the frame after the end starts over
+  if (timelineState.currentDate >= range.end) {
+    setCurrentDate(range.start, true);
+    animationFrameId = requestAnimationFrame(advancePlayback);
+    return;
+  }
+  
+  // Steps have calendar lengths (months differ), so advance by a share of the current one
+  const current = timelineState.currentDate;
+  const stepShare = elapsed * timelineState.playbackSpeed / TIMELINE_CONFIG.PLAYBACK_STEP_DURATION;
+  let next = new Date(current.getTime() + stepShare * getUnitLength(current, playback.step));
+  
+  // Stop on the selected event when its timestamp is passed
+  const selected = playback.pauseAtSelection && getSelectedEvent();
+  if (selected) {
+    const selectedTime = new Date(selected.timestamp);
+    if (selectedTime > current && selectedTime <= next) {
+      setCurrentDate(selectedTime, true);
+      pausePlayback();
+      return;
+    }
+  }
+  
+  if (next >= range.end) {
+    setCurrentDate(range.end, true);
+    if (playback.loop) {
+      animationFrameId = requestAnimationFrame(advancePlayback);
+    } else {
+      pausePlayback();
+    }
+    return;
+  }
+  
+  setCurrentDate(next);
+  animationFrameId = requestAnimationFrame(advancePlayback);
+}
+
+/**
+ * Move the playback position one step back or forward, pausing playback
+ * @param {number} direction - -1 for back, 1 for forward
+ */
+function stepPlayback(direction) {
+  const range = getPlaybackRange();
+  if (!range) return;
+  
+  if (timelineState.isPlaying) {
+    pausePlayback();
+  }
+  
+  const { step } = timelineState.playback;
+  const current = timelineState.currentDate || (direction > 0 ? range.start : range.end);
+  const stepStart = floorToUnit(current, step);
+  
+  // Back from inside a step goes to its start; otherwise to the neighbouring boundary
+  const target = direction < 0 && stepStart < current ?
+    stepStart :
+    addTimeUnits(stepStart, step, direction);
+  
+  setCurrentDate(new Date(clamp(target.getTime(), range.start.getTime(), range.end.getTime())), true);
+}
+
+/**
+ * Stop playback and show every filtered event again
+ */
+function stopPlayback() {
+  if (timelineState.isPlaying) {
+    pausePlayback();
+  }
+  
+  timelineState.currentDate = null;
+  updatePlaybackItems();
+  eventBus.emit('timelineSeek', null);
+  
+  const active = getSelectedEvent();
+  timelineElements.dateDisplay.textContent = active ?
+    formatDate(active.timestamp, 'full') :
+    'Select an event';
+}
+
+/**
+ * Time span playback runs over: the filtered events' date range (spans included), from the step
+ * containing its start to one step after its end, so the last event fades in fully
+ * @returns {{start: Date, end: Date}|null} Null without events
+ */
+function getPlaybackRange() {
+  const { start, end } = timelineState.dateRange;
+  if (timelineState.filteredEvents.length === 0 || !start) return null;
+  
+  const { step } = timelineState.playback;
+  return {
+    start: floorToUnit(start, step),
+    end: addTimeUnits(end, step, 1)
+  };
+}
+
+/**
+ * Selected event among the filtered events
+ * @returns {Object|undefined}
+ */
+function getSelectedEvent() {
+  const id = timelineState.activeEventId;
+  return id ? timelineState.filteredEvents.find(event => event.id === id) : undefined;
+}
+
+/**
+ * Move the playback position
+ * @param {Date} date - New position
+ * @param {boolean} [immediate=false] - Update the map and items now rather than at the next seek interval
+ */
+function setCurrentDate(date, immediate = false) {
+  timelineState.currentDate = date;
+  timelineElements.dateDisplay.textContent = formatDate(date, { hour: undefined, minute: undefined });
+  
+  const now = performance.now();
+  if (!immediate && now - timelineState.playback.lastSeek < TIMELINE_CONFIG.PLAYBACK_SEEK_INTERVAL) return;
+  timelineState.playback.lastSeek = now;
+  
+  // Markers fade in over one step
+  eventBus.emit('timelineSeek', date, {
+    fadeWindow: getUnitLength(date, timelineState.playback.step)
+  });
+  updatePlaybackItems();
+}
+
+/**
+ * Whether an event (or its span) starts after the playback position
+ * @param {Object} event - Event data
+ * @returns {boolean}
+ */
+function isUpcoming(event) {
+  return timelineState.currentDate !== null && getEventSpan(event).start > timelineState.currentDate;
+}
+
+/**
+ * Whether the playback position lies inside an event's span
+ * @param {Object} event - Event data
+ * @returns {boolean}
+ */
+function isOngoing(event) {
+  if (timelineState.currentDate === null) return false;
+  
+  const { start, end } = getEventSpan(event);
+  const time = timelineState.currentDate.getTime();
+  return end > start && time >= start && time <= end;
+}
+
+/**
+ * Dim rendered items still ahead of the playback position and keep the latest passed one in view
+ */
+function updatePlaybackItems() {
+  timelineElements.lanes.setPlayhead(timelineState.currentDate, timelineState.isPlaying);
+  
+  const items = timelineElements.itemsContainer.querySelectorAll('.timeline-item');
+  items.forEach(item => {
+    const slot = timelineState.slots[parseInt(item.dataset.index)];
+    item.classList.toggle('is-upcoming', Boolean(slot?.event && isUpcoming(slot.event)));
+    item.classList.toggle('is-ongoing', Boolean(slot?.event && isOngoing(slot.event)));
+  });
+  
+  if (!timelineState.isPlaying || timelineState.currentDate === null) return;
+  
+  // Slots are in time order; find the last event at or before the position
+  const slots = timelineState.slots;
+  let lastPassed = -1;
+  for (let i = slots.length - 1; i >= 0; i--) {
+    if (slots[i].event && !isUpcoming(slots[i].event)) {
+      lastPassed = i;
+      break;
+    }
+  }
+  if (lastPassed < 0) return;
+  
+  const itemWidth = TIMELINE_CONFIG.ITEM_WIDTH * timelineState.zoom;
+  const itemStart = lastPassed * itemWidth;
+  const scrollLeft = timelineElements.scrollContainer.scrollLeft;
+  if (itemStart < scrollLeft || itemStart + itemWidth > scrollLeft + timelineState.viewportWidth) {
+    // Leave room ahead for the events about to appear
+    timelineElements.scrollContainer.scrollLeft = clamp(
+      itemStart - timelineState.viewportWidth / 3,
+      0,
+      Math.max(0, timelineState.totalWidth - timelineState.viewportWidth)
+    );
+  }
+}
+
 /**
  * Pause timeline playback
  */
@@ -723,6 +1495,8 @@ function zoomTimeline(factor) {
     timelineState.zoom = newZoom;
     updateViewportSize();
     renderTimeline();
+    updateHistogram();
+    updateLanes();
     updateZoomDisplay();
   }
 }
@@ -739,6 +1513,11 @@ function updateZoomDisplay() {
  * Update speed display
  */
 function updateSpeedDisplay() {
+  const steps = TIMELINE_CONFIG.PLAYBACK_STEPS[timelineState.playback.step].toLowerCase();
+  const seconds = TIMELINE_CONFIG.PLAYBACK_STEP_DURATION / 1000 / timelineState.playbackSpeed;
+  timelineElements.speedControl.value = String(timelineState.playbackSpeed);
+  timelineElements.speedControl.title = `One ${steps} every ${seconds}s`;
+  
   console.log(`📈 Timeline speed: ${timelineState.playbackSpeed}x`);
 }
 
@@ -762,7 +1541,7 @@ function updateTimelineInfo() {
  * @param {Object} state - Store state
  */
 function updateTimelineFromState(state) {
-  if (state.events && state.events !== timelineState.events) {
+  if (state.events && !isLoadedEventList(state.events)) {
     loadEvents(state.events);
   }
   